@@ -0,0 +1,115 @@
+/**
+ * Checks of the pure parsers (payload decoders, labels, TSV text lines, QR code symbols, diffs and catalog terms)
+ *
+ * Usage: `node scripts/check-parsers.mjs` (`yarn check:parsers`), exits with code 1 if any check fails.
+ */
+import assert from 'node:assert/strict';
+
+import { catalogTerms } from '../src/catalog.mjs';
+import { decodePayload, combinePayloads, crossCheckLabel } from '../src/decoders/index.mjs';
+import { diffResults, formatDiff } from '../src/diff.mjs';
+import { parseLabel } from '../src/label.mjs';
+import { TESSERACT_TSV_COLUMNS } from '../src/ocr.mjs';
+import { parseTsvTextLines } from '../src/pdf.mjs';
+import { encodeQrSymbol, parseQrSegments, qrDataCodewords, readQrSymbol } from '../src/qrcode.mjs';
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+const decode = (text, format = 'datamatrix', readerInit = false) => decodePayload({ text, format, readerInit });
+
+check('datalogic enter/exit programming labels', () => {
+	for (const text of ['$P', '$P\r', '$P,P', '$P,P\r', '$+$-']) {
+		assert.equal(decode(text)?.action, 'enter-programming', JSON.stringify(text));
+	}
+});
+
+check('datalogic commands', () => {
+	assert.deepEqual(decode('$P,HA35,P'), { vendor: 'datalogic', parameter: 'HA', value: '35', action: 'set', raw: 'HA35' });
+	assert.equal(decode('$P,HA35,P\r')?.value, '35');
+	assert.deepEqual(decode('$P,Ae,P')?.action, 'reset');
+	assert.deepEqual(decode('$P,HA35,CD1,P')?.commands?.map((command) => command.raw), ['HA35', 'CD1']);
+	assert.equal(decode('$+HA35$-')?.parameter, 'HA');
+	assert.equal(combinePayloads([decode('$P,HA35,P'), decode('$P,CD1,P')])?.text, '$P,HA35,CD1,P\r');
+});
+
+check('honeywell menu commands', () => {
+	assert.equal(decode('BEPLVL3.', 'code128', true)?.action, 'set');
+	assert.equal(decode('BEPLVL3.', 'qrcode', false), null);
+	assert.equal(decode('\x16M\rBEPLVL?.', 'qrcode', false)?.action, 'query');
+	assert.equal(decode('DEFALT.', 'code128', true)?.action, 'reset');
+	assert.deepEqual(decode('BEPLVL3,DLY10!', 'code128', true)?.commands?.map((command) => command.parameter), ['BEPLVL', 'BEPDLY']);
+});
+
+check('labels', () => {
+	const fields = parseLabel('Enable Beeper (Default) BEPLVL3.');
+	assert.equal(fields.isDefault, true);
+	assert.deepEqual(fields.featureCodes, ['BEPLVL3.']);
+	assert.equal(fields.title, 'Enable Beeper');
+	assert.equal(crossCheckLabel(decode('BEPLVL3.', 'code128', true), fields), true);
+	assert.equal(crossCheckLabel(decode('BEPLVL2.', 'code128', true), fields), false);
+});
+
+check('tsv text lines', () => {
+	const words = (columns, rows) => [columns.join('\t'), ...rows.map((row) => row.join('\t'))].join('\n');
+	// pdftotext: par_num before block_num
+	const [poppler] = parseTsvTextLines(words(['level', 'page_num', 'par_num', 'block_num', 'line_num', 'word_num', 'left', 'top', 'width', 'height', 'conf', 'text'], [
+		[5, 1, 2, 3, 0, 0, 10, 20, 30, 10, 100, 'Enable'],
+		[5, 1, 2, 3, 0, 1, 45, 20, 30, 10, 100, 'Beeper'],
+	]), (value) => value);
+	assert.deepEqual(poppler, { page: 1, paragraph: 2, block: 3, line: 0, text: 'Enable Beeper', bbox: { x0: 10, y0: 20, x1: 75, y1: 30 } });
+	// tesseract: block_num before par_num
+	const [tesseract] = parseTsvTextLines(words(TESSERACT_TSV_COLUMNS, [
+		[5, 1, 3, 2, 1, 1, 10, 20, 30, 10, 96.5, 'Enable'],
+	]), (value) => value * 2, TESSERACT_TSV_COLUMNS);
+	assert.deepEqual(tesseract, { page: 1, paragraph: 2, block: 3, line: 1, text: 'Enable', bbox: { x0: 20, y0: 40, x1: 80, y1: 60 } });
+});
+
+check('qr code symbols', () => {
+	// Byte mode 'AB', terminator and pad codewords (version 1-L)
+	const dataCodewords = Uint8Array.from({ length: qrDataCodewords(1, 'L') }, (_, idx) => [0x40, 0x24, 0x14, 0x20][idx] ?? (idx % 2 ? 0x11 : 0xEC));
+	const symbol = readQrSymbol(encodeQrSymbol({ version: 1, ecLevel: 'L', mask: 3, dataCodewords }));
+	assert.equal(symbol.valid, true);
+	assert.equal(symbol.ecLevel, 'L');
+	assert.equal(symbol.mask, 3);
+	assert.deepEqual(symbol.dataCodewords, dataCodewords);
+
+	const [segment, ...rest] = parseQrSegments(symbol.dataCodewords, symbol.version);
+	assert.equal(segment.mode, 'byte');
+	assert.equal(Buffer.from(segment.bytes).toString('latin1'), 'AB');
+	assert.equal(rest.length, 0);
+});
+
+check('diff', () => {
+	const result = (...barcodes) => ({ common: {}, 'page:1': { id: 1, barcodes } });
+	const diff = diffResults(
+		result({ text: 'A', label: 'Enable', format: 'qrcode' }, { text: 'B', label: 'Disable', format: 'qrcode' }),
+		result({ text: 'A', label: 'Enable', format: 'qrcode' }, { text: 'C', label: 'Disable', format: 'qrcode' }),
+	);
+	assert.deepEqual(diff.summary, { added: 0, removed: 0, relabelled: 0, payloadChanged: 1, formatChanged: 0, strictChanged: 0, unchanged: 1 });
+
+	// Labels are compared and reported by their title
+	const relabelled = diffResults(
+		result({ text: 'A', label: 'Enable (Default)', title: 'Enable', format: 'qrcode' }, { text: 'B', label: 'Disable', title: 'Disable', format: 'qrcode' }),
+		result({ text: 'A', label: 'Enable', title: 'Enable', format: 'qrcode' }, { text: 'B', label: 'Off', title: 'Off', format: 'qrcode' }),
+	);
+	assert.equal(relabelled.summary.relabelled, 1);
+	assert.match(formatDiff(relabelled), /label "Disable" -> "Off"/);
+});
+
+check('catalog terms', () => {
+	assert.deepEqual(catalogTerms('Enable Code 39, enable'), ['enable', 'code', '39']);
+	assert.deepEqual(catalogTerms(null), []);
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+	try {
+		await fn();
+		console.info(`ok ${name}`);
+	} catch (err) {
+		failed++;
+		console.error(`FAILED ${name}: ${err.message}`);
+	}
+}
+process.exitCode = failed > 0 ? 1 : 0;
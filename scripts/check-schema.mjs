@@ -0,0 +1,39 @@
+/**
+ * Extract a page of a manual as JSON and NDJSON and validate both outputs against the result schema
+ *
+ * Usage: `node scripts/check-schema.mjs [manual.pdf] [page]` (`yarn check:schema`), defaults to page 23
+ * of the sample manual `ds2208-prg-en.pdf` (Zebra DS2208 product reference guide, not part of the
+ * repository). The outputs are written into `temp-schema-check/`.
+ */
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+const rootDir = path.resolve(import.meta.dirname, '..');
+const outputDir = path.join(rootDir, 'temp-schema-check');
+const [file = path.join(rootDir, 'ds2208-prg-en.pdf'), page = '23'] = process.argv.slice(2);
+
+/**
+ * Run a command of the CLI, stops the check if it fails
+ * @param {string[]} args
+ */
+const run = (args) => {
+	const { status, error } = spawnSync(process.execPath, [path.join(rootDir, 'index.mjs'), ...args], { stdio: 'inherit' });
+	if (error || status !== 0) {
+		console.error(`Failed: index.mjs ${args.join(' ')}`);
+		process.exit(status || 1);
+	}
+};
+
+try {
+	await fs.access(file);
+} catch (err) {
+	console.error(`Manual '${file}' not found, pass the PDF file to check as argument: yarn check:schema <manual.pdf> [page]`);
+	process.exit(1);
+}
+
+await fs.mkdir(outputDir, { recursive: true });
+const jsonFile = path.join(outputDir, 'result.json'), ndjsonFile = path.join(outputDir, 'result.ndjson');
+run(['-p', page, '-o', jsonFile, file]);
+run(['-p', page, '-f', 'ndjson', '-o', ndjsonFile, file]);
+run(['validate', jsonFile, ndjsonFile]);
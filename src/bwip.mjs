@@ -1,8 +1,287 @@
 /**
  * PoC port of extract-barcodes from C++ to JS/TS
  */
+import zlib from 'node:zlib';
+
 import * as zxing from 'zxing-wasm';
 import bwipjs from 'bwip-js';
+import { createCanvas } from 'canvas';
+
+import {
+	encodeQrSymbol,
+	matricesEqual,
+	parseQrSegments,
+	qrMatrixToSvg,
+	readQrSymbol,
+	symbolToMatrix,
+} from './qrcode.mjs';
+
+/**
+ * Common bwip-js rendering options
+ * @param {string} bcid bwip-js barcode type
+ * @param {object} extraOpts Additional (format specific) options
+ * @returns {object}
+ */
+function commonBwipOptions(bcid, extraOpts = {}) {
+	return Object.freeze({
+		...extraOpts,
+		bcid,
+		paddingbottom: 2,
+		paddingtop: 2,
+		paddingleft: 2,
+		paddingright: 2,
+		backgroundcolor: 'FFFFFF',
+		includetext: false,
+		textalign: 'center',
+		scale: 3,
+	});
+}
+
+/**
+ * Linear (1D) barcode formats, everything else is rendered as a matrix of (2 unit wide) modules
+ */
+export const LINEAR_FORMATS = Object.freeze(['code128', 'code39', 'code93', 'codabar', 'itf', 'ean-13', 'ean-8', 'upc-a', 'upc-e']);
+
+/**
+ * Quiet zone limits in modules (measured quiet zones are often cut short by neighbouring content)
+ */
+const MIN_QUIET_ZONE = 1;
+const MAX_QUIET_ZONE = 20;
+
+/**
+ * @typedef {object} SymbolMeasurement Printed size of the original barcode
+ * @property {number} dpi Resolution of the measures (72 for PDF points)
+ * @property {number} width Symbol width (without quiet zone)
+ * @property {number} height Symbol height, respectively bar height of linear barcodes
+ * @property {{left: number, right: number, top: number, bottom: number}} quietZone
+ *
+ * @typedef {object} SymbolDimensions Physical size of the regenerated barcode
+ * @property {number} xDimension Module width in mm
+ * @property {number} width Symbol width (without quiet zone) in mm
+ * @property {number} height Symbol (bar) height in mm
+ * @property {{left: number, right: number, top: number, bottom: number}} quietZone Quiet zone in modules
+ * @property {number} modules Number of modules across
+ */
+
+/**
+ * Derive the physical dimensions of a symbol from its measured size and module count
+ * @param {SymbolMeasurement} measurement
+ * @param {number} modules Number of modules across the symbol
+ * @returns {SymbolDimensions}
+ */
+function symbolDimensions(measurement, modules) {
+	const modulePx = measurement.width / modules;
+	const mm = (px) => Math.round(px / measurement.dpi * 25.4 * 1000) / 1000;
+	const quiet = (px) => Math.min(Math.max(Math.round(px / modulePx), MIN_QUIET_ZONE), MAX_QUIET_ZONE);
+	return {
+		xDimension: mm(modulePx),
+		width: mm(measurement.width),
+		height: mm(measurement.height),
+		quietZone: Object.fromEntries(['left', 'right', 'top', 'bottom'].map((side) => [side, quiet(measurement.quietZone[side])])),
+		modules,
+	};
+}
+
+/**
+ * Set the physical size (in mm) of an SVG image
+ * @param {string} svg
+ * @param {number} mmPerUnit Millimeters per SVG (viewBox) unit
+ * @returns {string}
+ */
+function withSvgSize(svg, mmPerUnit) {
+	const [, , w, h] = (svg.match(/viewBox="([^"]*)"/)?.at(1) ?? '').split(/\s+/).map(Number.parseFloat);
+	if (!(w > 0 && h > 0)) return svg;
+	const round = (value) => Math.round(value * 1000) / 1000;
+	return svg.replace(/<svg\b/, `<svg width="${round(w * mmPerUnit)}mm" height="${round(h * mmPerUnit)}mm"`);
+}
+
+/**
+ * Add the print resolution (pHYs chunk) to a PNG image
+ * @param {Buffer} png
+ * @param {number} pixelsPerMeter
+ * @returns {Buffer}
+ */
+function withPngResolution(png, pixelsPerMeter) {
+	const data = Buffer.alloc(9);
+	data.writeUInt32BE(Math.round(pixelsPerMeter), 0);
+	data.writeUInt32BE(Math.round(pixelsPerMeter), 4);
+	data.writeUInt8(1, 8);	// Unit: meter
+
+	const chunk = Buffer.alloc(4 + 4 + data.length + 4);
+	chunk.writeUInt32BE(data.length, 0);
+	chunk.write('pHYs', 4, 'ascii');
+	data.copy(chunk, 8);
+	chunk.writeUInt32BE(zlib.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+
+	// Insert right after the IHDR chunk (signature 8 bytes, IHDR 25 bytes)
+	const ihdrEnd = 8 + 4 + 4 + png.readUInt32BE(8) + 4;
+	return Buffer.concat([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)]);
+}
+
+/**
+ * bwip-js options printing the human-readable text of a linear barcode
+ *
+ * EAN and UPC symbols have a fixed text layout, for everything else the detected text, position
+ * and alignment are used. Text size and distance are given in modules (if measured).
+ *
+ * @param {object} bwipOptions
+ * @param {import('./label.mjs').HumanReadableText} humanReadable Text with its measures in pixels
+ * @param {number?} modulePx Module width in pixels
+ * @returns {object}
+ */
+function humanReadableOptions(bwipOptions, humanReadable, modulePx = null) {
+	if (!humanReadable?.text) return {};
+	const fixedLayout = /^(?:ean|upc)/.test(bwipOptions.bcid);
+	return {
+		includetext: true,
+		...(fixedLayout ? {} : {
+			alttext: humanReadable.text,
+			textxalign: humanReadable.align ?? 'center',
+			textyalign: humanReadable.position ?? 'below',
+		}),
+		...(modulePx > 0 && humanReadable.height > 0 ? { textsize: humanReadable.height / modulePx } : {}),
+		...(modulePx > 0 && humanReadable.gap >= 0 ? { textyoffset: humanReadable.gap / modulePx } : {}),
+	};
+}
+
+/**
+ * Render bwip-js options into PNG and SVG, reproducing the measured physical size, quiet
+ * zone, bar height and human-readable text of the original if available
+ *
+ * bwip-js draws linear modules 1 unit and matrix modules 2 units wide (at scale 1), bar
+ * heights are given in mm at 72 units per inch.
+ *
+ * @param {object} bwipOptions
+ * @param {BwipRenderOptions} renderOptions
+ * @returns {Promise<{barcodePng: Buffer, barcodeSvg: string, dimensions: SymbolDimensions?}>}
+ */
+async function renderBwip(bwipOptions, renderOptions = {}) {
+	const { measurement, humanReadable } = renderOptions;
+	if (!(measurement?.dpi > 0 && measurement.width > 0)) {
+		const options = { ...bwipOptions, ...humanReadableOptions(bwipOptions, humanReadable) };
+		return {
+			barcodePng: await bwipjs.toBuffer({ ...options }),
+			barcodeSvg: await bwipjs.toSVG({ ...options, scale: 1 }),
+			dimensions: null,
+		};
+	}
+
+	const [encoded] = bwipjs.raw({ ...bwipOptions });
+	const linear = Array.isArray(encoded.sbs);
+	const unitsPerModule = linear ? 1 : 2;
+	const modules = linear ? encoded.sbs.reduce((sum, width) => sum + width, 0) : encoded.pixx;
+	const dimensions = symbolDimensions(measurement, modules);
+
+	const options = {
+		...bwipOptions,
+		paddingleft: dimensions.quietZone.left * unitsPerModule,
+		paddingright: dimensions.quietZone.right * unitsPerModule,
+		paddingtop: dimensions.quietZone.top * unitsPerModule,
+		paddingbottom: dimensions.quietZone.bottom * unitsPerModule,
+		// Bar height in modules, expressed in bwip-js millimeters (one module per 1/72 inch)
+		...(linear ? { height: dimensions.height / dimensions.xDimension * 25.4 / 72 } : {}),
+		...(linear ? humanReadableOptions(bwipOptions, humanReadable, measurement.width / modules) : {}),
+	};
+	const scale = options.scale ?? 3;
+	return {
+		barcodePng: withPngResolution(await bwipjs.toBuffer({ ...options }), scale * unitsPerModule / dimensions.xDimension * 1000),
+		barcodeSvg: withSvgSize(await bwipjs.toSVG({ ...options, scale: 1 }), dimensions.xDimension / unitsPerModule),
+		dimensions,
+	};
+}
+
+/**
+ * Get the modifier of a zxing symbology identifier (e.g. `]A1` => 1)
+ * @param {string?} symbologyIdentifier
+ * @returns {number}
+ */
+function symbologyModifier(symbologyIdentifier) {
+	const modifier = Number.parseInt(symbologyIdentifier?.at(2) ?? '', 36);
+	return Number.isNaN(modifier) ? 0 : modifier;
+}
+
+/**
+ * Convert zxing's PDF417 error correction percentage into a bwip-js eclevel (0-8)
+ * @param {string?} ecLevel zxing ecLevel, e.g. '50%'
+ * @param {number} codewords Total number of codewords (columns * rows)
+ * @returns {number?}
+ */
+function pdf417EcLevel(ecLevel, codewords) {
+	const percent = Number.parseFloat(ecLevel ?? '');
+	if (Number.isNaN(percent) || !(codewords > 0)) return null;
+
+	// eclevel N uses 2^(N+1) error correction codewords
+	const ecCodewords = percent * codewords / 100;
+	const level = Math.round(Math.log2(ecCodewords)) - 1;
+	return Number.isFinite(level) ? Math.min(Math.max(level, 0), 8) : null;
+}
+
+/**
+ * Render a module matrix into a PNG, using the same geometry as bwip-js (2 * scale pixels per module)
+ * @param {boolean[][]} matrix
+ * @param {number} scale
+ * @param {number} quietZone Quiet zone in modules
+ * @returns {Buffer}
+ */
+function matrixToPng(matrix, scale = 3, quietZone = 1) {
+	const module = scale << 1, offset = quietZone * module, size = matrix.length * module + (offset << 1);
+	const ctx = createCanvas(size, size).getContext('2d');
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, size, size);
+	ctx.fillStyle = '#000000';
+	matrix.forEach((row, y) => row.forEach((dark, x) => {
+		if (dark) ctx.fillRect(offset + x * module, offset + y * module, module, module);
+	}));
+	return ctx.canvas.toBuffer('image/png');
+}
+
+/**
+ * Re-encode a QR code from its original data codewords (strict mode)
+ *
+ * The data codewords are read from the module matrix zxing returns as `symbol` (rxing only
+ * reports the content bytes of QR codes). The parsed segments have to match the detected
+ * content, otherwise the codewords are considered unreliable.
+ *
+ * @param {zxing.ReadResult} barcode
+ * @returns {{matrix: boolean[][], exact: boolean?, qrcode: object}?} `null` if the bit stream could not be recovered
+ */
+function recoverQrCode(barcode) {
+	const original = symbolToMatrix(barcode.symbol);
+	if (!original) return null;
+
+	// Damaged symbols (unreadable format information) are rendered from the content instead
+	let symbolInfo;
+	try {
+		const { valid, ...info } = readQrSymbol(original);
+		if (!valid) return null;
+		symbolInfo = info;
+	} catch (err) {
+		return null;
+	}
+
+	let segments;
+	try {
+		segments = parseQrSegments(symbolInfo.dataCodewords, symbolInfo.version);
+	} catch (err) {
+		return null;
+	}
+	const content = Buffer.concat(segments.filter((segment) => segment.bytes).map((segment) => Buffer.from(segment.bytes)));
+	if (Buffer.compare(content, Buffer.from(barcode.bytes ?? [])) !== 0)
+		return null;
+
+	const matrix = encodeQrSymbol(symbolInfo);
+	return {
+		matrix,
+		exact: original ? matricesEqual(matrix, original) : null,
+		qrcode: {
+			version: symbolInfo.version,
+			ecLevel: symbolInfo.ecLevel,
+			mask: symbolInfo.mask,
+			eci: segments.find((segment) => segment.mode === 'eci')?.eci ?? null,
+			segments: segments.map(({ mode, count }) => ({ mode, ...(count != null ? { count } : {}) })),
+		},
+	};
+}
 
 /**
  * Use bwip-js to render barcode
@@ -11,9 +290,12 @@ import bwipjs from 'bwip-js';
  * @property {Uint8Array} barcodePng
  * @property {Uint8Array} barcodeSvg
  * @property {boolean} strict
+ * @property {SymbolDimensions?} dimensions Physical size (if the original was measured)
  *
  * @typedef {object} BwipRenderOptions
  * @property {boolean?} strict
+ * @property {SymbolMeasurement?} measurement Printed size of the original, reproduced in the output
+ * @property {import('./label.mjs').HumanReadableText?} humanReadable Human-readable text to print with linear barcodes
  */
 export class BwipBarcodeRenderer {
 	/**
@@ -32,9 +314,32 @@ export class BwipBarcodeRenderer {
 			extraOpts['mask'] = String(barcodeExtra.DataMask || -1);
 
 		// Attempt to regenerate code with bwip-js (this will be interesting with code128 based stuff)
-		let barcodePng = null, barcodeSvg = null, strict = false;
+		let barcodePng = null, barcodeSvg = null, strict = false, exact = undefined, qrcode = null, dimensions = null;
 		switch (barcodeFormat) {
 		case 'qrcode': {
+			// Strict mode: re-encode the original data codewords (segments, version, EC level and mask)
+			if (options.strict) {
+				const recovered = recoverQrCode(barcode);
+				if (recovered) {
+					if (options.measurement?.dpi > 0 && options.measurement.width > 0) {
+						// QR codes have a symmetric quiet zone, the smallest measured side wins
+						dimensions = symbolDimensions(options.measurement, recovered.matrix.length);
+						const quietZone = Math.min(...Object.values(dimensions.quietZone));
+						dimensions.quietZone = { left: quietZone, right: quietZone, top: quietZone, bottom: quietZone };
+						barcodePng = withPngResolution(matrixToPng(recovered.matrix, 3, quietZone), 6 / dimensions.xDimension * 1000);
+						barcodeSvg = withSvgSize(qrMatrixToSvg(recovered.matrix, { padding: quietZone * 2 }), dimensions.xDimension / 2);
+					} else {
+						barcodePng = matrixToPng(recovered.matrix);
+						barcodeSvg = qrMatrixToSvg(recovered.matrix);
+					}
+					strict = true;
+					exact = recovered.exact;
+					qrcode = recovered.qrcode;
+					break;
+				}
+				exact = false;
+			}
+
 			// NOTE: Rendered barcodes will most likely not match original due
 			// to different payload encoding (or lack of control thereof)
 			const bwipOptions = Object.freeze({
@@ -53,8 +358,7 @@ export class BwipBarcodeRenderer {
 				scale: 3,
 			});
 
-			barcodePng = await bwipjs.toBuffer({ ...bwipOptions });
-			barcodeSvg = await bwipjs.toSVG({ ...bwipOptions, scale: 1 });
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
 			break;
 		}
 		case 'datamatrix': {
@@ -64,41 +368,27 @@ export class BwipBarcodeRenderer {
 				.map((v) => `^${v.toString().padStart(3, '0')}`)
 				.join('') || null;
 
-			const commonBwipOptions = Object.freeze({
-				...extraOpts,
-				bcid: barcodeFormat,
-				paddingbottom: 2,
-				paddingtop: 2,
-				paddingleft: 2,
-				paddingright: 2,
-				backgroundcolor: 'FFFFFF',
-				includetext: false,
-				textalign: 'center',
-				scale: 3,
-			});
-
 			let bwipOptions;
 			if (bwipRaw && options.strict) {
-				bwipOptions = {
-					...commonBwipOptions,
+				bwipOptions = commonBwipOptions(barcodeFormat, {
+					...extraOpts,
 					alttext: barcode.text,
 					text: bwipRaw,
 					raw: true,
-				};
+				});
 				strict = true;
 			} else {
-				bwipOptions = {
-					...commonBwipOptions,
+				bwipOptions = commonBwipOptions(barcodeFormat, {
+					...extraOpts,
 					alttext: barcode.text,
 					parsefnc: barcode.readerInit,
 					text: barcode.readerInit
 						? "^PROG".concat(barcode.text)
 						: barcode.text,
-				};
+				});
 			}
 
-			barcodePng = await bwipjs.toBuffer({ ...bwipOptions });
-			barcodeSvg = await bwipjs.toSVG({ ...bwipOptions, scale: 1 });
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
 			break;
 		}
 		case 'code128': {
@@ -109,40 +399,139 @@ export class BwipBarcodeRenderer {
 				.map((v) => `^${v.toString().padStart(3, '0')}`)
 				.join('') || null;
 
-			const commonBwipOptions = Object.freeze({
-				...extraOpts,
-				bcid: barcodeFormat,
-				paddingbottom: 2,
-				paddingtop: 2,
-				paddingleft: 2,
-				paddingright: 2,
-				backgroundcolor: 'FFFFFF',
-				includetext: false,
-				textalign: 'center',
-				scale: 3,
-			});
-
 			let bwipOptions;
 			if (bwipRaw && options.strict) {
-				bwipOptions = {
-					...commonBwipOptions,
+				bwipOptions = commonBwipOptions(barcodeFormat, {
+					...extraOpts,
 					// alttext: barcode.text,
 					text: bwipRaw,
 					raw: true,
-				};
+				});
 				strict = true;
 			} else {
-				bwipOptions = {
-					...commonBwipOptions,
+				bwipOptions = commonBwipOptions(barcodeFormat, {
+					...extraOpts,
 					parsefnc: barcode.readerInit,
 					text: barcode.readerInit
 						? "^FNC3".concat(barcode.text)
 						: barcode.text,
-				};
+				});
 			}
 
-			barcodePng = await bwipjs.toBuffer({ ...bwipOptions });
-			barcodeSvg = await bwipjs.toSVG({ ...bwipOptions, scale: 1 });
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			break;
+		}
+		case 'pdf417':
+		case 'micropdf417': {
+			// NOTE: zxing-wasm does not (yet) report the symbol dimensions, fall back to the
+			// columns and rows measured from the original barcode crop (see `measurePdf417`)
+			const columns = Number.parseInt(barcodeExtra?.Columns ?? barcode.symbolInfo?.columns, 10) || null;
+			const rows = Number.parseInt(barcodeExtra?.Rows ?? barcode.symbolInfo?.rows, 10) || null;
+			const eclevel = barcodeFormat === 'pdf417' && columns && rows
+				? pdf417EcLevel(barcode.ecLevel, columns * rows)
+				: null;
+
+			const bwipOptions = {
+				...commonBwipOptions(barcodeFormat, extraOpts),
+				...(columns ? { columns } : {}),
+				...(rows ? { rows } : {}),
+				...(eclevel != null ? { eclevel } : {}),
+				text: barcode.text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			break;
+		}
+		case 'aztec': {
+			// Aztec version equals the number of layers, compact symbols are 11 + 4 * layers modules wide
+			const layers = Number.parseInt(barcodeExtra?.Layers ?? barcode.version, 10) || null;
+			const size = barcode.symbol?.width ?? 0;
+			const compact = typeof barcodeExtra?.Compact === 'boolean'
+				? barcodeExtra.Compact
+				: (layers != null && size > 0 && size === 11 + 4 * layers);
+			const format = size === 11 ? 'rune' : (compact ? 'compact' : 'full');
+
+			const bwipOptions = {
+				...commonBwipOptions('azteccode', extraOpts),
+				...(layers && format !== 'rune' ? { layers } : {}),
+				...(size > 0 ? { format } : {}),
+				readerinit: barcode.readerInit,
+				text: barcode.text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			break;
+		}
+		case 'code39': {
+			// Symbology identifier modifier: bit 0 = check digit validated, bit 1 = check digit stripped, bit 2 = full ASCII
+			const modifier = symbologyModifier(barcode.symbologyIdentifier);
+			const hasCheckDigit = (modifier & 0x1) !== 0;
+			const checkDigitTransmitted = hasCheckDigit && (modifier & 0x2) === 0;
+			const fullAscii = (modifier & 0x4) !== 0;
+
+			const bwipOptions = {
+				...commonBwipOptions(fullAscii ? 'code39ext' : 'code39', extraOpts),
+				includecheck: hasCheckDigit,
+				text: checkDigitTransmitted ? barcode.text.slice(0, -1) : barcode.text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			strict = options.strict ?? false;
+			break;
+		}
+		case 'code93': {
+			// Check characters are mandatory for code93 (and stripped by zxing), full ASCII
+			// is needed for anything outside of the basic character set
+			const fullAscii = !/^[0-9A-Z \-.$/+%]*$/.test(barcode.text);
+			const bwipOptions = {
+				...commonBwipOptions(fullAscii ? 'code93ext' : 'code93', extraOpts),
+				includecheck: true,
+				text: barcode.text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			strict = options.strict ?? false;
+			break;
+		}
+		case 'codabar': {
+			// zxing returns the start/stop characters as part of the text
+			const bwipOptions = {
+				...commonBwipOptions('rationalizedCodabar', extraOpts),
+				text: barcode.text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			strict = options.strict ?? false;
+			break;
+		}
+		case 'itf': {
+			// Symbology identifier modifier: 1 = check digit validated and transmitted, 3 = validated and stripped
+			const modifier = symbologyModifier(barcode.symbologyIdentifier);
+			const hasCheckDigit = (modifier & 0x1) !== 0;
+			const checkDigitTransmitted = modifier === 1;
+			const bwipOptions = {
+				...commonBwipOptions('interleaved2of5', extraOpts),
+				includecheck: hasCheckDigit,
+				text: checkDigitTransmitted ? barcode.text.slice(0, -1) : barcode.text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			strict = options.strict ?? false;
+			break;
+		}
+		case 'ean-13':
+		case 'ean-8':
+		case 'upc-a':
+		case 'upc-e': {
+			// NOTE: zxing expands UPC-E to 13 digits, the original 8 digit code is passed in extra data
+			const text = barcodeFormat === 'upc-e' ? (barcodeExtra?.UPCE ?? barcode.text) : barcode.text;
+			const bwipOptions = {
+				...commonBwipOptions(barcodeFormat.replace('-', ''), extraOpts),
+				text,
+			};
+
+			({ barcodePng, barcodeSvg, dimensions } = await renderBwip(bwipOptions, options));
+			strict = options.strict ?? false;
 			break;
 		}
 		default:
@@ -151,6 +540,49 @@ export class BwipBarcodeRenderer {
 			return null;
 		}
 
-		return { barcodePng, barcodeSvg, strict };
+		return { barcodePng, barcodeSvg, strict, exact, qrcode, dimensions };
+	}
+
+	/**
+	 * Render a text payload (e.g. a combined configuration code) into a new barcode
+	 *
+	 * Non-printable characters are escaped for the bwip-js parser, code128 reader initialisation
+	 * symbols are prefixed with FNC3.
+	 *
+	 * @param {{text: string, format: 'code128'|'datamatrix'|'qrcode', readerInit?: boolean}} payload
+	 * @returns {Promise<{barcodePng: Buffer, barcodeSvg: string}>}
+	 */
+	static async renderText(payload) {
+		// NOTE: With function character parsing enabled (code128) a literal caret is written as '^^'
+		const escaped = Array.from(payload.text, (ch) => {
+			const code = ch.charCodeAt(0);
+			if (code === 0x5e && payload.format === 'code128') return '^^';
+			return (code < 0x20 || code === 0x5e || code === 0x7f) ? `^${String(code).padStart(3, '0')}` : ch;
+		}).join('');
+
+		let bwipOptions;
+		switch (payload.format) {
+		case 'code128':
+			bwipOptions = commonBwipOptions('code128', {
+				text: `${payload.readerInit ? '^FNC3' : ''}${escaped}`,
+				parse: true, parsefnc: true,
+			});
+			break;
+		case 'datamatrix':
+		case 'qrcode':
+			bwipOptions = commonBwipOptions(payload.format, {
+				text: escaped,
+				parse: true,
+				...(payload.readerInit && payload.format === 'datamatrix' ? { readerinit: true } : {}),
+			});
+			break;
+		default:
+			throw new Error(`Can not render payload as '${payload.format}'`);
+		}
+
+		return {
+			barcodePng: await bwipjs.toBuffer({ ...bwipOptions }),
+			barcodeSvg: await bwipjs.toSVG({ ...bwipOptions, scale: 1 }),
+		};
 	}
 }
@@ -0,0 +1,188 @@
+/**
+ * Persistent cache of expensive page stages (rendering, decoding, text extraction and OCR)
+ *
+ * Entries are keyed on the content hash of the input file, the page number, the settings of the
+ * stage and the cache version (see `CACHE_FORMAT`), and stored as V8 serialized files (keeps
+ * binary data like barcode bytes and crops). Reading an entry refreshes its modification time,
+ * pruning removes entries not used for a given time.
+ */
+import { createHash } from 'node:crypto';
+import { createReadStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import v8 from 'node:v8';
+
+/**
+ * Format version of cache entries, part of every cache key (entries of other versions are never read)
+ *
+ * Bump it with every change of the cached data: its structure (page detections, text lines) and the
+ * output of the cached stages for the same input and settings (rendering, barcode detection and
+ * merging, crops and measurements, text extraction and OCR). Updates of the decoder libraries
+ * are covered by their versions in the keys.
+ */
+const CACHE_FORMAT = 2;
+
+/**
+ * Libraries whose output is cached
+ */
+const CACHED_LIBRARIES = Object.freeze(['zxing-wasm', 'rxing-wasm']);
+
+/**
+ * Default maximum age of unused cache entries in days
+ */
+export const DEFAULT_CACHE_MAX_AGE = 30;
+
+/**
+ * @typedef {object} Cache
+ * @property {string} dir Cache directory
+ * @property {(...parts: any[]) => string} key Cache key of a stage (parts are JSON serialized)
+ * @property {(key: string) => Promise<boolean>} has
+ * @property {(key: string) => Promise<any>} get Cached value, `null` if missing or unreadable
+ * @property {(key: string, value: any) => Promise<boolean>} set Store a value, `false` if it could not be written
+ */
+
+/**
+ * Default cache directory (`$XDG_CACHE_HOME/config-barcode-extractor` or `~/.cache/...`)
+ * @returns {string}
+ */
+export function defaultCacheDir() {
+	return path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'config-barcode-extractor');
+}
+
+/**
+ * Content hash of a file (SHA-256)
+ * @param {string} file
+ * @returns {Promise<string>} Hex digest
+ */
+export async function fileHash(file) {
+	const hash = createHash('sha256');
+	for await (const chunk of createReadStream(file)) hash.update(chunk);
+	return hash.digest('hex');
+}
+
+/**
+ * Installed version of a package
+ * @param {string} name
+ * @returns {Promise<string?>} `null` if not installed
+ */
+async function packageVersion(name) {
+	try {
+		let dir = path.dirname(fileURLToPath(import.meta.resolve(name)));
+		while (path.basename(dir) !== name && path.dirname(dir) !== dir) dir = path.dirname(dir);
+		return JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8')).version ?? null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Version of the cached data, part of every cache key: the cache format and the versions of the
+ * decoder libraries
+ * @returns {Promise<string>}
+ */
+async function cacheVersion() {
+	const versions = await Promise.all(CACHED_LIBRARIES.map(async (name) => `${name}@${await packageVersion(name)}`));
+	return [CACHE_FORMAT, ...versions].join('+');
+}
+
+/**
+ * Open the cache for an input file
+ * @param {string} file Input file (its content hash is part of the keys)
+ * @param {string?} cacheDir Cache directory (default: `defaultCacheDir()`)
+ * @returns {Promise<Cache>}
+ */
+export async function openCache(file, cacheDir = null) {
+	const dir = cacheDir ?? defaultCacheDir();
+	const [hash, version] = await Promise.all([fileHash(file), cacheVersion()]);
+	const entryFile = (key) => path.join(dir, key.slice(0, 2), `${key}.bin`);
+
+	return {
+		dir,
+		key: (...parts) => createHash('sha256').update(JSON.stringify([version, hash, ...parts])).digest('hex'),
+		async has(key) {
+			return fs.access(entryFile(key)).then(() => true, () => false);
+		},
+		async get(key) {
+			try {
+				const value = v8.deserialize(await fs.readFile(entryFile(key)));
+				const now = new Date();
+				await fs.utimes(entryFile(key), now, now).catch(() => null);
+				return value;
+			} catch {
+				return null;
+			}
+		},
+		async set(key, value) {
+			// Written into a temporary file first, parallel runs never read partial entries
+			const target = entryFile(key);
+			const tempFile = `${target}.${process.pid}.tmp`;
+			try {
+				await fs.mkdir(path.dirname(target), { recursive: true });
+				await fs.writeFile(tempFile, v8.serialize(value));
+				await fs.rename(tempFile, target);
+				return true;
+			} catch {
+				await fs.rm(tempFile, { force: true }).catch(() => null);
+				return false;
+			}
+		},
+	};
+}
+
+/**
+ * Entry files (incl. temporary files of interrupted writes) in the cache directory, other files
+ * in the directory are never touched
+ * @param {string} dir Cache directory
+ * @returns {AsyncGenerator<string>} Paths relative to the cache directory
+ */
+async function* cacheEntries(dir) {
+	if (!await fs.access(dir).then(() => true, () => false)) return;
+	for await (const entry of fs.glob('*/*', { cwd: dir })) {
+		if (/^[0-9a-f]{2}$/.test(path.dirname(entry)) && /^[0-9a-f]{64}\.bin(\.\d+\.tmp)?$/.test(path.basename(entry)))
+			yield entry;
+	}
+}
+
+/**
+ * Remove cache entries (of all input files) not used for a given time
+ * @param {string?} cacheDir Cache directory (default: `defaultCacheDir()`)
+ * @param {number} maxAgeDays
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function pruneCache(cacheDir = null, maxAgeDays = DEFAULT_CACHE_MAX_AGE) {
+	const dir = cacheDir ?? defaultCacheDir();
+	const threshold = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+
+	let removed = 0;
+	for await (const entry of cacheEntries(dir)) {
+		const entryFile = path.join(dir, entry);
+		const stat = await fs.stat(entryFile).catch(() => null);
+		if (stat && stat.mtimeMs < threshold) {
+			await fs.rm(entryFile, { force: true });
+			removed++;
+		}
+	}
+	return removed;
+}
+
+/**
+ * Remove all cache entries, the cache directory itself and unrelated files in it are kept
+ * @param {string?} cacheDir Cache directory (default: `defaultCacheDir()`)
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function clearCache(cacheDir = null) {
+	const dir = cacheDir ?? defaultCacheDir();
+
+	let removed = 0;
+	const shards = new Set();
+	for await (const entry of cacheEntries(dir)) {
+		await fs.rm(path.join(dir, entry), { force: true });
+		shards.add(path.dirname(entry));
+		removed++;
+	}
+	// Shard directories are only removed once empty
+	for (const shard of shards) await fs.rmdir(path.join(dir, shard)).catch(() => null);
+	return removed;
+}
@@ -0,0 +1,269 @@
+/**
+ * Searchable on-disk catalog of extraction results (many manuals)
+ *
+ * The catalog is an indexed JSON store: `catalog.json` holds one record per barcode (manual, page,
+ * bbox, label, payload, section) and an inverted index of the label and section terms,
+ * the regenerated images are written into `images/<manual>/`. Indexing a result again replaces
+ * the records of its manual.
+ */
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { StringUtils } from './utils.mjs';
+
+/**
+ * Format version of `catalog.json`
+ */
+export const CATALOG_VERSION = 1;
+
+/**
+ * Fields of the inverted index
+ */
+const INDEXED_FIELDS = Object.freeze(['label', 'section']);
+
+/**
+ * @typedef {object} CatalogManual
+ * @property {string} id
+ * @property {string} file Source document of the extraction
+ * @property {string} result Extraction result the manual was indexed from
+ * @property {number} pages Number of pages of the source document
+ * @property {number} barcodes Number of indexed barcodes
+ * @property {string} indexed Timestamp
+ *
+ * @typedef {object} CatalogBarcode
+ * @property {string} manual Manual id
+ * @property {number} page Page number
+ * @property {number} index Index of the barcode on its page
+ * @property {Bbox} bbox Bbox on the page image
+ * @property {string?} label
+ * @property {string?} title
+ * @property {string} text Decoded payload
+ * @property {string} format
+ * @property {string?} vendor Vendor of the decoded payload
+ * @property {string?} parameter Vendor parameter of the decoded payload
+ * @property {string[]} section Section path
+ * @property {{png: string?, svg: string?}} images Regenerated images (relative to the catalog directory)
+ *
+ * @typedef {object} Catalog
+ * @property {string} dir Catalog directory
+ * @property {number} version
+ * @property {Object<string, CatalogManual>} manuals
+ * @property {CatalogBarcode[]} barcodes
+ * @property {Object<string, Object<string, number[]>>} terms Inverted index: field, term, barcode indices
+ *
+ * @typedef {object} CatalogQuery
+ * @property {string?} label Words of the label (all have to appear, case-insensitive)
+ * @property {string?} payload Decoded payload (substring, case-insensitive)
+ * @property {string?} format Barcode format
+ * @property {string?} vendor Vendor of the decoded payload
+ * @property {string?} section Words of the section path
+ * @property {string?} manual Manual id or source file name
+ */
+
+/**
+ * Split text into lower case index terms
+ * @param {string?} text
+ * @returns {string[]}
+ */
+export function catalogTerms(text) {
+	return Array.from(new Set(String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []));
+}
+
+/**
+ * Normalize text for phrase matching (lower case, single spaces)
+ * @param {string?} text
+ * @returns {string}
+ */
+const normalizeText = (text) => String(text ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Build the inverted index of the catalog barcodes
+ * @param {CatalogBarcode[]} barcodes
+ * @returns {Object<string, Object<string, number[]>>}
+ */
+function buildTerms(barcodes) {
+	const terms = Object.fromEntries(INDEXED_FIELDS.map((field) => [field, {}]));
+	for (const [idx, barcode] of barcodes.entries()) {
+		const values = {
+			label: `${barcode.label ?? ''} ${barcode.title ?? ''}`,
+			section: barcode.section.join(' '),
+		};
+		for (const field of INDEXED_FIELDS) {
+			for (const term of catalogTerms(values[field])) {
+				(terms[field][term] ??= []).push(idx);
+			}
+		}
+	}
+	return terms;
+}
+
+/**
+ * Load a catalog (an empty catalog if it does not exist yet)
+ * @param {string} dir Catalog directory
+ * @returns {Promise<Catalog>}
+ */
+export async function loadCatalog(dir) {
+	const content = await fs.readFile(path.join(dir, 'catalog.json'), 'utf8').catch((err) => {
+		if (err?.code === 'ENOENT') return null;
+		throw err;
+	});
+	if (content == null) return { dir, version: CATALOG_VERSION, manuals: {}, barcodes: [], terms: buildTerms([]) };
+
+	const catalog = JSON.parse(content);
+	if (catalog.version !== CATALOG_VERSION)
+		throw new Error(`Unsupported catalog version ${catalog.version} in '${dir}', please index the results again`);
+	return { ...catalog, dir };
+}
+
+/**
+ * Write the catalog
+ * @param {Catalog} catalog
+ * @returns {Promise<void>}
+ */
+export async function saveCatalog(catalog) {
+	const { dir, ...content } = catalog;
+	await fs.mkdir(dir, { recursive: true });
+
+	const catalogFile = path.join(dir, 'catalog.json');
+	await fs.writeFile(`${catalogFile}.tmp`, JSON.stringify(content));
+	await fs.rename(`${catalogFile}.tmp`, catalogFile);
+}
+
+/**
+ * Manual id of a source document, stable across index runs
+ * @param {string} file Source document
+ * @returns {string}
+ */
+function manualId(file) {
+	const name = path.basename(file).replace(/\.[^.]+$/, '').replace(/[^\w.-]+/g, '_');
+	const hash = createHash('sha1').update(file).digest('hex').slice(0, 8);
+	return `${name}-${hash}`;
+}
+
+/**
+ * Add (or replace) the barcodes of an extraction result to the catalog
+ * @param {Catalog} catalog
+ * @param {object} pageResults Extraction result (`common` header and `page:<n>` entries)
+ * @param {string} resultFile Result file name (reference only)
+ * @returns {Promise<CatalogManual>}
+ */
+export async function indexResult(catalog, pageResults, resultFile) {
+	const file = pageResults?.common?.file;
+	if (StringUtils.isBlank(file))
+		throw new Error(`'${resultFile}' is not an extraction result (missing common.file)`);
+
+	const id = manualId(file);
+	const imageDir = path.join('images', id);
+	await fs.rm(path.join(catalog.dir, imageDir), { recursive: true, force: true });
+	await fs.mkdir(path.join(catalog.dir, imageDir), { recursive: true });
+
+	const barcodes = [];
+	const pages = Object.entries(pageResults)
+		.filter(([key]) => key.startsWith('page:'))
+		.map(([_, page]) => page)
+		.sort((a, b) => a.id - b.id);
+	for (const page of pages) {
+		for (const [index, barcode] of (page.barcodes ?? []).entries()) {
+			const images = { png: null, svg: null };
+			if (StringUtils.isNotBlank(barcode.output?.png)) {
+				images.png = path.join(imageDir, `page-${page.id}-${index}.png`);
+				await fs.writeFile(path.join(catalog.dir, images.png), Buffer.from(barcode.output.png, 'base64'));
+			}
+			if (StringUtils.isNotBlank(barcode.output?.svg)) {
+				images.svg = path.join(imageDir, `page-${page.id}-${index}.svg`);
+				await fs.writeFile(path.join(catalog.dir, images.svg), barcode.output.svg);
+			}
+
+			barcodes.push({
+				manual: id, page: page.id, index,
+				bbox: barcode.bbox,
+				label: barcode.label ?? null,
+				title: barcode.title ?? null,
+				text: barcode.text,
+				format: barcode.format,
+				vendor: barcode.payload?.vendor ?? null,
+				parameter: barcode.payload?.parameter ?? null,
+				section: barcode.section ?? [],
+				images,
+			});
+		}
+	}
+
+	catalog.barcodes = catalog.barcodes.filter((barcode) => barcode.manual !== id).concat(barcodes);
+	catalog.terms = buildTerms(catalog.barcodes);
+	catalog.manuals[id] = {
+		id, file,
+		result: resultFile,
+		pages: pageResults.common.pages,
+		barcodes: barcodes.length,
+		indexed: new Date().toISOString(),
+	};
+	return catalog.manuals[id];
+}
+
+/**
+ * Remove a manual and its images from the catalog
+ * @param {Catalog} catalog
+ * @param {string} id Manual id
+ * @returns {Promise<boolean>} Whether the manual was in the catalog
+ */
+export async function removeManual(catalog, id) {
+	if (!catalog.manuals[id]) return false;
+	delete catalog.manuals[id];
+	catalog.barcodes = catalog.barcodes.filter((barcode) => barcode.manual !== id);
+	catalog.terms = buildTerms(catalog.barcodes);
+	await fs.rm(path.join(catalog.dir, 'images', id), { recursive: true, force: true });
+	return true;
+}
+
+/**
+ * Barcode indices containing all terms of a field (`null` if the query has no terms)
+ * @param {Catalog} catalog
+ * @param {string} field
+ * @param {string} query
+ * @returns {Set<number>?}
+ */
+function lookupTerms(catalog, field, query) {
+	const terms = catalogTerms(query);
+	if (terms.length <= 0) return null;
+	return terms
+		.map((term) => new Set(catalog.terms[field]?.[term] ?? []))
+		.reduce((result, ids) => new Set([...result].filter((idx) => ids.has(idx))));
+}
+
+/**
+ * Search the catalog, all given query fields have to match
+ * @param {Catalog} catalog
+ * @param {CatalogQuery} query
+ * @returns {Array<CatalogBarcode & {file: string, images: {png: string?, svg: string?}}>} Hits with the
+ *   source document and absolute image paths, in manual and page order
+ */
+export function searchCatalog(catalog, query = {}) {
+	// Candidates from the inverted index, verified against the full values below
+	const candidates = [
+		StringUtils.isNotBlank(query.label) ? lookupTerms(catalog, 'label', query.label) : null,
+		StringUtils.isNotBlank(query.section) ? lookupTerms(catalog, 'section', query.section) : null,
+	].filter((ids) => ids != null).reduce((result, ids) => result == null ? ids : new Set([...result].filter((idx) => ids.has(idx))), null);
+
+	// Queries without index terms (e.g. only punctuation) are matched as substrings
+	const label = catalogTerms(query.label).length <= 0 ? normalizeText(query.label) : null;
+	const payload = normalizeText(query.payload);
+	const format = normalizeText(query.format), vendor = normalizeText(query.vendor);
+	const manual = StringUtils.isNotBlank(query.manual) ? query.manual : null;
+
+	return (candidates ? [...candidates].sort((a, b) => a - b).map((idx) => catalog.barcodes[idx]) : catalog.barcodes)
+		.filter((barcode) => (!label || normalizeText(`${barcode.label ?? ''}\n${barcode.title ?? ''}`).includes(label))
+			&& (!payload || normalizeText(barcode.text).includes(payload))
+			&& (!format || normalizeText(barcode.format) === format)
+			&& (!vendor || normalizeText(barcode.vendor) === vendor)
+			&& (!manual || barcode.manual === manual || catalog.manuals[barcode.manual]?.file === manual
+				|| path.basename(catalog.manuals[barcode.manual]?.file ?? '') === manual))
+		.sort((a, b) => a.manual.localeCompare(b.manual) || a.page - b.page || a.index - b.index)
+		.map((barcode) => ({
+			...barcode,
+			file: catalog.manuals[barcode.manual]?.file ?? null,
+			images: Object.fromEntries(Object.entries(barcode.images)
+				.map(([type, image]) => [type, image ? path.resolve(catalog.dir, image) : null])),
+		}));
+}
@@ -0,0 +1,119 @@
+/**
+ * Resolve a configuration recipe into an ordered scan sheet
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { BwipBarcodeRenderer } from '../bwip.mjs';
+import { parseRecipe, resolveRecipe } from '../compose.mjs';
+import { readResultFile } from '../outdir.mjs';
+import { PAGE_SIZES, renderBarcodeSheet } from '../sheet.mjs';
+
+export const command = 'compose <recipe> <results..>';
+export const describe = 'Resolve a recipe (YAML or JSON) of ordered scans against extraction results';
+
+export const builder = (yargs) => yargs
+	.positional('recipe', {
+		type: 'string',
+		description: 'Recipe file (YAML or JSON)',
+	})
+	.positional('results', {
+		type: 'string',
+		description: 'Extraction result(s) (JSON) or --out-dir manifest(s)',
+	})
+	.option('combine', {
+		alias: 'c',
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Generate a single combined code instead of a scan sequence (if supported by the vendor)',
+		default: undefined,
+	})
+	.option('format', {
+		alias: 'f',
+		type: 'string',
+		requiresArg: true,
+		choices: ['pdf', 'json'],
+		description: 'Output format (pdf: numbered scan sheet)',
+		default: 'pdf',
+	})
+	.option('page-size', {
+		type: 'string',
+		requiresArg: true,
+		choices: Object.keys(PAGE_SIZES),
+		description: 'Paper size',
+		default: 'a4',
+	})
+	.option('columns', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Number of barcode columns',
+		default: 2,
+	})
+	.option('barcode-width', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Printed barcode width in mm',
+		default: 50,
+	})
+	.option('output', {
+		alias: 'o',
+		type: 'string',
+		requiresArg: true,
+		description: 'Output filename',
+		default: null,
+	});
+
+export async function handler(argv) {
+	try {
+		const recipe = parseRecipe(await fs.readFile(argv.recipe, { encoding: 'utf8' }));
+		const results = [];
+		for (const file of argv.results)
+			results.push(await readResultFile(file));
+
+		const resolved = resolveRecipe(recipe, results, { combine: argv.combine });
+		if (resolved.errors.length > 0) {
+			for (const error of resolved.errors) {
+				console.error(error.step > 0 ? `Step ${error.step}: ${error.message}` : error.message);
+				for (const candidate of error.candidates)
+					console.error(`  - page ${candidate.page} of '${candidate.file}': '${candidate.barcode.label ?? ''}' (${JSON.stringify(candidate.barcode.text)})`);
+			}
+			process.exitCode = 1;
+			return;
+		}
+
+		for (const scan of resolved.scans)
+			console.info(`${String(scan.number).padStart(3)}. ${scan.description} (page ${scan.page})`);
+
+		const combined = resolved.combined
+			? { ...resolved.combined, ...(await BwipBarcodeRenderer.renderText(resolved.combined)) }
+			: null;
+		if (combined)
+			console.info(`Combined ${combined.vendor} code: ${JSON.stringify(combined.text)}`);
+
+		const outputFile = argv.output || path.join(path.dirname(argv.recipe), `${path.basename(argv.recipe, path.extname(argv.recipe))}.${argv.format}`);
+		if (argv.format === 'json') {
+			await fs.writeFile(outputFile, JSON.stringify({
+				title: resolved.title,
+				scans: resolved.scans.map(({ barcode, ...scan }) => ({ ...scan, text: barcode.text, label: barcode.label ?? null })),
+				combined: combined ? {
+					vendor: combined.vendor, format: combined.format, text: combined.text,
+					output: { png: combined.barcodePng.toString('base64'), svg: combined.barcodeSvg },
+				} : null,
+			}, undefined, 2));
+		} else {
+			const items = combined
+				? [{ page: null, index: 0, barcode: { label: resolved.title ?? 'Combined configuration', text: combined.text, output: { svg: combined.barcodeSvg } } }]
+				: resolved.scans.map((scan) => ({ page: scan.page, index: scan.index, barcode: { ...scan.barcode, label: `${scan.number}. ${scan.description}` } }));
+			await fs.writeFile(outputFile, await renderBarcodeSheet(items, {
+				pageSize: argv.pageSize,
+				columns: argv.columns,
+				barcodeWidth: argv.barcodeWidth,
+				title: resolved.title,
+			}));
+		}
+		console.info(`Written scan sequence to '${outputFile}'`);
+	} catch (err) {
+		console.error("Failed to compose recipe", err);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,58 @@
+/**
+ * Compare the extraction results of two manual revisions
+ */
+import fs from 'node:fs/promises';
+
+import { diffResults, formatDiff, hasChanges } from '../diff.mjs';
+
+export const command = 'diff <old> <new>';
+export const describe = 'Report barcodes added, removed, relabelled or changed between two extraction results';
+
+export const builder = (yargs) => yargs
+	.positional('old', {
+		type: 'string',
+		description: 'Extraction result (JSON) of the old revision',
+	})
+	.positional('new', {
+		type: 'string',
+		description: 'Extraction result (JSON) of the new revision',
+	})
+	.option('json', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Print the diff as JSON instead of the summary',
+		default: false,
+	})
+	.option('output', {
+		alias: 'o',
+		type: 'string',
+		requiresArg: true,
+		description: 'Write the diff as JSON to this file',
+		default: null,
+	})
+	.option('fail-on-change', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Exit with a non-zero exit code if the results differ',
+		default: false,
+	});
+
+export async function handler(argv) {
+	try {
+		const oldResults = JSON.parse(await fs.readFile(argv.old, { encoding: 'utf8' }));
+		const newResults = JSON.parse(await fs.readFile(argv.new, { encoding: 'utf8' }));
+		const diff = diffResults(oldResults, newResults);
+
+		if (argv.json)
+			console.info(JSON.stringify(diff, undefined, 2));
+		else
+			console.info(formatDiff(diff));
+		if (argv.output)
+			await fs.writeFile(argv.output, JSON.stringify(diff, undefined, 2));
+
+		if (argv.failOnChange && hasChanges(diff)) process.exitCode = 2;
+	} catch (err) {
+		console.error("Failed to compare extraction results", err);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,274 @@
+/**
+ * Default command: extract barcodes from PDF files (or scanned page images)
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { Poppler } from 'node-poppler';
+
+import { clearCache, DEFAULT_CACHE_MAX_AGE, pruneCache } from '../cache.mjs';
+import { extractBarcodes } from '../extract.mjs';
+import { renderHtmlCatalog } from '../html.mjs';
+import { openNdjsonWriter } from '../ndjson.mjs';
+import { checkFileTemplate, DEFAULT_FILE_TEMPLATE, writeOutputDirectory } from '../outdir.mjs';
+import { StringUtils } from '../utils.mjs';
+
+export const command = ['$0 <files..>', 'extract <files..>'];
+export const describe = 'Extract configuration barcodes (and their labels) from PDF or image files';
+
+export const builder = (yargs) => yargs
+	.positional('files', {
+		type: 'string',
+		description: 'PDF or image (PNG, JPEG, TIFF) file(s) to process',
+	})
+	.option('debug', {
+		alias: 'd',
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Enable debug mode',
+		default: false,
+	})
+	.option('pages', {
+		alias: 'p',
+		type: 'string',
+		requiresArg: true,
+		description: 'List of pages to process',
+		default: null,
+	})
+	.option('exclude-pages', {
+		alias: 'x',
+		type: 'string',
+		requiresArg: true,
+		description: 'List of pages to exclude from processing',
+		default: null,
+	})
+	.option('strict', {
+		alias: 's',
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Attempt strict reproduction of barcodes',
+		default: false,
+	})
+	.option('verify', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Verify regenerated barcodes by decoding them again (disable with --no-verify)',
+		default: true,
+	})
+	.option('engines', {
+		alias: 'e',
+		type: 'string',
+		requiresArg: true,
+		description: "Comma separated list of decoders run over each page, results are merged ('zxing' is always used, 'rxing')",
+		default: 'zxing',
+		coerce: (engines) => Array.from(new Set(['zxing', ...String(engines).split(',').map((engine) => engine.trim().toLowerCase()).filter((engine) => StringUtils.isNotBlank(engine))])),
+	})
+	.option('second-pass', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Render missed barcode-like regions and empty pages again at a higher resolution (disable with --no-second-pass)',
+		default: true,
+	})
+	.option('second-pass-scale', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Resolution factor of the second pass',
+		default: 3,
+	})
+	.option('human-readable', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Reproduce the human-readable text printed under or over linear barcodes',
+		default: false,
+	})
+	.option('vector', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Read barcodes from the vector drawing operations of the PDF as well (exact dimensions, vector crops)',
+		default: false,
+	})
+	.option('jobs', {
+		alias: 'j',
+		type: 'number',
+		requiresArg: true,
+		description: 'Number of pages processed in parallel worker threads',
+		default: 1,
+	})
+	.option('cache', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Cache detected barcodes (with their crops) and text lines for later runs (disable with --no-cache)',
+		default: true,
+	})
+	.option('cache-dir', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Cache directory (default: $XDG_CACHE_HOME/config-barcode-extractor)',
+		default: null,
+	})
+	.option('cache-max-age', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Remove cache entries not used for the given number of days',
+		default: DEFAULT_CACHE_MAX_AGE,
+	})
+	.option('clear-cache', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Remove all cache entries before processing',
+		default: false,
+	})
+	.option('ocr', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Recognize the text of pages without text layer with tesseract (disable with --no-ocr)',
+		default: true,
+	})
+	.option('ocr-language', {
+		type: 'string',
+		requiresArg: true,
+		description: "Tesseract language(s) used for OCR, e.g. 'eng+deu'",
+		default: 'eng',
+	})
+	.option('fail-on-mismatch', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Exit with a non-zero exit code if a regenerated barcode does not match its original',
+		default: false,
+	})
+	.option('format', {
+		alias: 'f',
+		type: 'string',
+		requiresArg: true,
+		choices: ['json', 'html', 'ndjson'],
+		description: 'Output format (html: standalone catalog comparing original and regenerated barcodes, ndjson: one record per barcode, written while pages are processed)',
+		default: 'json',
+	})
+	.option('output', {
+		alias: 'o',
+		type: 'string',
+		requiresArg: true,
+		description: 'Output filename (single file mode only)',
+		default: null,
+	})
+	.option('out-dir', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Write the barcode images as separate files and a manifest (manifest.json) into this directory instead of the result file (a subdirectory per input with multiple files)',
+		default: null,
+	})
+	.option('file-template', {
+		type: 'string',
+		requiresArg: true,
+		description: 'File names of the barcode images in --out-dir mode ({page}, {index}, {label}, {format})',
+		default: DEFAULT_FILE_TEMPLATE,
+	})
+	.check((argv) => {
+		if (StringUtils.isNotBlank(argv.output) && argv.files.length > 1)
+			throw new Error("-o / --output option can only be used with a single input file");
+		if (StringUtils.isNotBlank(argv.outDir)) {
+			if (StringUtils.isNotBlank(argv.output) || argv.format !== 'json')
+				throw new Error("--out-dir option cannot be combined with -o / --output or -f / --format html|ndjson");
+			checkFileTemplate(argv.fileTemplate);
+		}
+		const unknownEngines = argv.engines.filter((engine) => !['zxing', 'rxing'].includes(engine));
+		if (unknownEngines.length > 0)
+			throw new Error(`-e / --engines: unknown decoder(s) '${unknownEngines.join("', '")}' (supported: zxing, rxing)`);
+		if (!Number.isInteger(argv.jobs) || argv.jobs < 1)
+			throw new Error("-j / --jobs must be a positive number of worker threads");
+		return true;
+	});
+
+/**
+ * Print extraction progress to the console
+ * @param {import('../extract.mjs').ProgressEvent} event
+ */
+export const onProgress = (event) => {
+	if (event.level === 'error')
+		console.error(event.message, event.error ?? '');
+	else if (event.level === 'warn')
+		console.warn(event.message);
+	else
+		console.info(event.message);
+};
+
+export async function handler(argv) {
+	const debug = argv.debug ?? false;
+	const inputFiles = argv.files.map((name) => String(name).trim());
+
+	if (argv.strict) {
+		console.info(`Running in strict mode, additionally using rxing-wasm (code128, datamatrix) and re-encoding QR codes to attempt a perfect recreation...`);
+	}
+
+	try {
+		const poppler = new Poppler();
+		if (argv.clearCache) await clearCache(argv.cacheDir);
+
+		for (const file of inputFiles) {
+			const resultOutputFile = argv.output || `${file}.${argv.format}`;
+			// NDJSON records are written while pages are processed, page results are not kept
+			const streaming = argv.format === 'ndjson';
+			const ndjson = streaming ? await openNdjsonWriter(resultOutputFile) : null;
+
+			let mismatches = 0;
+			const onPageResult = async (result, common) => {
+				mismatches += result.barcodes.filter((barcode) => barcode.verification?.verified === false).length;
+				await ndjson?.writePage(result, common);
+			};
+
+			let pageResults;
+			try {
+				pageResults = await extractBarcodes(file, {
+					poppler, onProgress, onPageResult,
+					retainPages: !streaming,
+					pages: argv.pages,
+					excludePages: argv.excludePages,
+					strict: argv.strict ?? false,
+					verify: argv.verify,
+					engines: argv.engines,
+					secondPass: argv.secondPass,
+					secondPassScale: argv.secondPassScale,
+					vector: argv.vector,
+					humanReadable: argv.humanReadable,
+					ocr: argv.ocr,
+					ocrLanguage: argv.ocrLanguage,
+					jobs: argv.jobs,
+					cache: argv.cache,
+					cacheDir: argv.cacheDir,
+					debug,
+				});
+				await ndjson?.finish(pageResults);
+			} finally {
+				await ndjson?.close();
+			}
+
+			if (mismatches > 0) {
+				console.warn(`${mismatches} regenerated barcode(s) in '${file}' do not match their original`);
+				if (argv.failOnMismatch) process.exitCode = 2;
+			}
+
+			if (StringUtils.isNotBlank(argv.outDir)) {
+				const outDir = inputFiles.length > 1
+					? path.join(argv.outDir, path.basename(file).replace(/\.[^.]+$/, ''))
+					: argv.outDir;
+				const { manifestFile, files } = await writeOutputDirectory(pageResults, outDir, { template: argv.fileTemplate });
+				console.info(`Wrote ${files} image file(s) and manifest '${manifestFile}'`);
+				continue;
+			}
+			if (streaming) continue;
+
+			if (debug) console.debug(`Writing result to file '${resultOutputFile}'...`);
+			await fs.writeFile(resultOutputFile, argv.format === 'html'
+				? renderHtmlCatalog(pageResults)
+				: JSON.stringify(pageResults, undefined, debug ? 2 : 0));
+		}
+
+		if (argv.cache) {
+			const removed = await pruneCache(argv.cacheDir, argv.cacheMaxAge);
+			if (debug) console.debug(`Removed ${removed} cache entries not used for ${argv.cacheMaxAge} days`);
+		}
+	} catch (err) {
+		console.error("Failed to process file", err);
+		process.exitCode = 1;
+	}
+}
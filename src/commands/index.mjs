@@ -0,0 +1,63 @@
+/**
+ * Load extraction results into the searchable catalog
+ */
+import { indexResult, loadCatalog, removeManual, saveCatalog } from '../catalog.mjs';
+import { readResultFile } from '../outdir.mjs';
+
+export const command = 'index [results..]';
+export const describe = 'Add extraction results (JSON) of many manuals to a searchable catalog';
+
+export const builder = (yargs) => yargs
+	.positional('results', {
+		type: 'string',
+		description: 'Extraction result(s) or --out-dir manifest(s) to index, manuals indexed before are replaced',
+	})
+	.option('catalog', {
+		alias: 'c',
+		type: 'string',
+		requiresArg: true,
+		description: 'Catalog directory',
+		default: 'catalog',
+	})
+	.option('remove', {
+		type: 'string',
+		array: true,
+		requiresArg: true,
+		description: 'Remove manuals (by id) from the catalog (can be given multiple times)',
+		default: [],
+	})
+	.option('list', {
+		alias: 'l',
+		type: 'boolean',
+		requiresArg: false,
+		description: 'List the indexed manuals',
+		default: false,
+	});
+
+export async function handler(argv) {
+	try {
+		const catalog = await loadCatalog(argv.catalog);
+
+		for (const id of argv.remove) {
+			if (await removeManual(catalog, id))
+				console.info(`Removed manual '${id}' from the catalog`);
+			else
+				console.warn(`Manual '${id}' is not in the catalog`);
+		}
+
+		for (const resultFile of argv.results ?? []) {
+			const pageResults = await readResultFile(resultFile);
+			const manual = await indexResult(catalog, pageResults, resultFile);
+			console.info(`Indexed ${manual.barcodes} barcode(s) of '${manual.file}' as '${manual.id}'`);
+		}
+		await saveCatalog(catalog);
+
+		if (argv.list) {
+			for (const manual of Object.values(catalog.manuals).sort((a, b) => a.id.localeCompare(b.id)))
+				console.info(`${manual.id}\t${manual.barcodes} barcode(s)\t${manual.file}`);
+		}
+	} catch (err) {
+		console.error("Failed to index extraction results", err);
+		process.exitCode = 1;
+	}
+}
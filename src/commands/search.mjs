@@ -0,0 +1,95 @@
+/**
+ * Search the catalog of indexed extraction results
+ */
+import { loadCatalog, searchCatalog } from '../catalog.mjs';
+import { StringUtils } from '../utils.mjs';
+
+export const command = 'search [label]';
+export const describe = 'Search the barcodes of all indexed manuals by label, payload, format, vendor and section';
+
+export const builder = (yargs) => yargs
+	.positional('label', {
+		type: 'string',
+		description: "Words of the label, e.g. 'Enable Code 39'",
+	})
+	.option('catalog', {
+		alias: 'c',
+		type: 'string',
+		requiresArg: true,
+		description: 'Catalog directory',
+		default: 'catalog',
+	})
+	.option('payload', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Decoded barcode text (substring, case-insensitive)',
+		default: null,
+	})
+	.option('format', {
+		alias: 'f',
+		type: 'string',
+		requiresArg: true,
+		description: 'Barcode format, e.g. code128 or qrcode',
+		default: null,
+	})
+	.option('vendor', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Vendor of the decoded payload, e.g. honeywell',
+		default: null,
+	})
+	.option('section', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Words of the section path',
+		default: null,
+	})
+	.option('manual', {
+		alias: 'm',
+		type: 'string',
+		requiresArg: true,
+		description: 'Restrict the search to a manual (id or source file name)',
+		default: null,
+	})
+	.option('json', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Print the hits as JSON',
+		default: false,
+	})
+	.check((argv) => {
+		if (![argv.label, argv.payload, argv.format, argv.vendor, argv.section, argv.manual].some((value) => StringUtils.isNotBlank(value)))
+			throw new Error("No search criteria given");
+		return true;
+	});
+
+export async function handler(argv) {
+	try {
+		const catalog = await loadCatalog(argv.catalog);
+		const hits = searchCatalog(catalog, {
+			label: argv.label,
+			payload: argv.payload,
+			format: argv.format,
+			vendor: argv.vendor,
+			section: argv.section,
+			manual: argv.manual,
+		});
+
+		if (argv.json) {
+			console.info(JSON.stringify(hits, undefined, 2));
+		} else {
+			for (const hit of hits) {
+				const { x0, y0, x1, y1 } = hit.bbox ?? {};
+				console.info(`${hit.file} (page ${hit.page}, bbox ${x0},${y0}-${x1},${y1}) ${hit.format} '${StringUtils.visibleControlChars(hit.text)}': ${hit.label ?? '(no label)'}`);
+				console.info(`\t${hit.images.svg ?? hit.images.png ?? '(no regenerated image)'}`);
+			}
+		}
+		if (hits.length <= 0) {
+			console.warn(`No barcodes in catalog '${argv.catalog}' match the search`);
+			process.exitCode = 1;
+		}
+	} catch (err) {
+		console.error("Failed to search the catalog", err);
+		process.exitCode = 1;
+	}
+}
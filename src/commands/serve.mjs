@@ -0,0 +1,103 @@
+/**
+ * Local HTTP service for uploading manuals and fetching their extraction results
+ */
+import { DEFAULT_CACHE_MAX_AGE } from '../cache.mjs';
+import { createExtractionServer, DEFAULT_MAX_UPLOAD } from '../server.mjs';
+import { onProgress } from './extract.mjs';
+
+export const command = 'serve';
+export const describe = 'Start an HTTP server on localhost, uploaded PDF files are extracted as queued jobs';
+
+export const builder = (yargs) => yargs
+	.option('host', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Address to listen on',
+		default: '127.0.0.1',
+	})
+	.option('port', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Port to listen on',
+		default: 8080,
+	})
+	.option('jobs', {
+		alias: 'j',
+		type: 'number',
+		requiresArg: true,
+		description: 'Number of pages processed in parallel worker threads (jobs themselves run one after the other)',
+		default: 1,
+	})
+	.option('max-upload', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Maximum upload size in MB',
+		default: DEFAULT_MAX_UPLOAD / 1024 / 1024,
+	})
+	.option('keep-jobs', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Number of finished jobs (and their results) kept in memory',
+		default: 20,
+	})
+	.option('cache', {
+		type: 'boolean',
+		requiresArg: false,
+		description: 'Cache detected barcodes (with their crops) and text lines for later jobs (disable with --no-cache)',
+		default: true,
+	})
+	.option('cache-dir', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Cache directory (default: $XDG_CACHE_HOME/config-barcode-extractor)',
+		default: null,
+	})
+	.option('cache-max-age', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Remove cache entries not used for the given number of days',
+		default: DEFAULT_CACHE_MAX_AGE,
+	})
+	.check((argv) => {
+		if (!Number.isInteger(argv.port) || argv.port < 0 || argv.port > 65535)
+			throw new Error("--port must be a port number");
+		if (!Number.isInteger(argv.jobs) || argv.jobs < 1)
+			throw new Error("-j / --jobs must be a positive number of worker threads");
+		if (!(argv.maxUpload > 0) || !Number.isInteger(argv.keepJobs) || argv.keepJobs < 1)
+			throw new Error("--max-upload and --keep-jobs must be positive numbers");
+		return true;
+	});
+
+export async function handler(argv) {
+	try {
+		const { server, queue } = createExtractionServer({
+			jobs: argv.jobs,
+			maxUpload: Math.round(argv.maxUpload * 1024 * 1024),
+			keepJobs: argv.keepJobs,
+			cache: argv.cache,
+			cacheDir: argv.cacheDir,
+			cacheMaxAge: argv.cacheMaxAge,
+			onProgress,
+		});
+
+		await new Promise((resolve, reject) => {
+			server.once('error', reject);
+			server.listen(argv.port, argv.host, resolve);
+		});
+		const { address, port } = server.address();
+		console.info(`Listening on http://${address.includes(':') ? `[${address}]` : address}:${port}/jobs, upload with e.g. curl --data-binary @manual.pdf 'http://${argv.host}:${port}/jobs?pages=20-30&strict=true'`);
+
+		// Queued uploads are removed, the running job is finished first
+		for (const signal of ['SIGINT', 'SIGTERM']) {
+			process.once(signal, async () => {
+				console.info("Shutting down, waiting for the running job...");
+				server.close();
+				server.closeAllConnections();
+				await queue.close();
+			});
+		}
+	} catch (err) {
+		console.error("Failed to start the server", err);
+		process.exitCode = 1;
+	}
+}
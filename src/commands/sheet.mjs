@@ -0,0 +1,111 @@
+/**
+ * Generate print-ready PDF sheets from an extraction result
+ */
+import fs from 'node:fs/promises';
+
+import { readResultFile } from '../outdir.mjs';
+import { PAGE_SIZES, renderBarcodeSheet, selectBarcodes } from '../sheet.mjs';
+
+export const command = 'sheet <result>';
+export const describe = 'Lay out selected regenerated barcodes with their labels on printable PDF pages';
+
+export const builder = (yargs) => yargs
+	.positional('result', {
+		type: 'string',
+		description: 'Extraction result (JSON) or --out-dir manifest',
+	})
+	.option('pages', {
+		alias: 'p',
+		type: 'string',
+		requiresArg: true,
+		description: 'Select barcodes on these pages of the source document (e.g. 1-3,5)',
+		default: null,
+	})
+	.option('label', {
+		alias: 'l',
+		type: 'string',
+		requiresArg: true,
+		description: 'Select barcodes with a label matching this pattern (regular expression, case-insensitive)',
+		default: null,
+	})
+	.option('payload', {
+		type: 'string',
+		array: true,
+		requiresArg: true,
+		description: 'Select barcodes by their decoded text (can be given multiple times)',
+		default: [],
+	})
+	.option('page-size', {
+		type: 'string',
+		requiresArg: true,
+		choices: Object.keys(PAGE_SIZES),
+		description: 'Paper size',
+		default: 'a4',
+	})
+	.option('columns', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Number of barcode columns',
+		default: 3,
+	})
+	.option('barcode-width', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Printed barcode width in mm',
+		default: 50,
+	})
+	.option('barcode-height', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Printed bar height of linear barcodes in mm (defaults to the aspect ratio of the symbol, 2D symbols keep it)',
+		default: null,
+	})
+	.option('title', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Title on the first page',
+		default: null,
+	})
+	.option('header', {
+		type: 'string',
+		requiresArg: true,
+		description: 'Header text on every page',
+		default: null,
+	})
+	.option('output', {
+		alias: 'o',
+		type: 'string',
+		requiresArg: true,
+		description: 'Output PDF filename',
+		default: null,
+	});
+
+export async function handler(argv) {
+	try {
+		const pageResults = await readResultFile(argv.result);
+		const items = selectBarcodes(pageResults, {
+			pages: argv.pages,
+			label: argv.label,
+			payloads: argv.payload,
+		});
+		if (items.length <= 0) {
+			console.error(`No barcodes in '${argv.result}' match the selection`);
+			process.exitCode = 1;
+			return;
+		}
+
+		const outputFile = argv.output || `${argv.result.replace(/\.json$/i, '')}.sheet.pdf`;
+		console.info(`Writing ${items.length} barcode(s) to '${outputFile}'...`);
+		await fs.writeFile(outputFile, await renderBarcodeSheet(items, {
+			pageSize: argv.pageSize,
+			columns: argv.columns,
+			barcodeWidth: argv.barcodeWidth,
+			barcodeHeight: argv.barcodeHeight,
+			title: argv.title,
+			header: argv.header,
+		}));
+	} catch (err) {
+		console.error("Failed to generate barcode sheet", err);
+		process.exitCode = 1;
+	}
+}
@@ -0,0 +1,67 @@
+/**
+ * Check extraction results against the versioned output schema
+ */
+import fs from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { RESULT_SCHEMA_FILE, validateRecords, validateResult } from '../schema.mjs';
+
+export const command = 'validate <results..>';
+export const describe = 'Check extraction results (JSON, NDJSON or --out-dir manifests) against the output schema';
+
+export const builder = (yargs) => yargs
+	.positional('results', {
+		type: 'string',
+		description: 'Result file(s), .ndjson files are checked record by record',
+	})
+	.option('max-errors', {
+		type: 'number',
+		requiresArg: true,
+		description: 'Maximum number of errors listed per file',
+		default: 20,
+	});
+
+/**
+ * Validate a result file
+ * @param {string} resultFile
+ * @returns {Promise<import('../schema.mjs').SchemaError[]>}
+ */
+async function validateFile(resultFile) {
+	const content = await fs.readFile(resultFile, { encoding: 'utf8' });
+	if (!/\.ndjson$/i.test(resultFile))
+		return validateResult(JSON.parse(content));
+
+	const records = [];
+	for (const [idx, line] of content.split('\n').entries()) {
+		if (line.trim().length <= 0) continue;
+		try {
+			records.push(JSON.parse(line));
+		} catch (err) {
+			return [{ path: `line ${idx + 1}`, message: err.message }];
+		}
+	}
+	return validateRecords(records);
+}
+
+export async function handler(argv) {
+	console.info(`Validating against schema '${fileURLToPath(RESULT_SCHEMA_FILE)}'...`);
+	for (const resultFile of argv.results) {
+		try {
+			const errors = await validateFile(resultFile);
+			if (errors.length <= 0) {
+				console.info(`${resultFile}: valid`);
+				continue;
+			}
+
+			console.error(`${resultFile}: ${errors.length} error(s)`);
+			for (const error of errors.slice(0, argv.maxErrors))
+				console.error(`\t${error.path || '/'}: ${error.message}`);
+			if (errors.length > argv.maxErrors)
+				console.error(`\t... and ${errors.length - argv.maxErrors} more`);
+			process.exitCode = 1;
+		} catch (err) {
+			console.error(`Failed to validate '${resultFile}'`, err);
+			process.exitCode = 1;
+		}
+	}
+}
@@ -0,0 +1,217 @@
+/**
+ * Configuration recipes: ordered scan sequences resolved against extraction results
+ *
+ * @example
+ *   title: Tab suffix
+ *   steps:
+ *     - label: Enter Programming Mode
+ *     - parameter: "0x69"
+ *     - digits: "09"
+ *     - payload: "PAPTAB."
+ *     - label: Save
+ *
+ * Steps refer to barcodes by `label` (exact title/label match preferred over a substring match),
+ * `parameter` (printed parameter number), `payload` (decoded text) or any combination of those,
+ * optionally narrowed down by `page` and `file`. `digits` expands into one scan per character
+ * using the keypad barcodes detected in the extraction results. A plain string step is a label.
+ */
+import YAML from 'yaml';
+
+import { combinePayloads } from './decoders/index.mjs';
+
+/**
+ * @typedef {object} RecipeStep
+ * @property {string?} label
+ * @property {string?} parameter
+ * @property {string?} payload
+ * @property {string?} digits
+ * @property {number?} page
+ * @property {string?} file
+ *
+ * @typedef {object} Recipe
+ * @property {string?} title
+ * @property {RecipeStep[]} steps
+ * @property {boolean?} combine Generate a single combined code (if supported by the vendor)
+ *
+ * @typedef {object} RecipeCandidate
+ * @property {string} file Source document of the extraction result
+ * @property {number} page
+ * @property {number} index Index of the barcode on its page
+ * @property {object} barcode
+ *
+ * @typedef {object} ResolvedScan
+ * @property {number} number Scan number (1-based)
+ * @property {number} step Recipe step (1-based)
+ * @property {string} description
+ *
+ * @typedef {object} RecipeError
+ * @property {number} step Recipe step (1-based)
+ * @property {'missing'|'ambiguous'|'invalid'} reason
+ * @property {string} message
+ * @property {RecipeCandidate[]} candidates
+ */
+
+const STEP_KEYS = Object.freeze(['label', 'parameter', 'payload', 'digits', 'page', 'file']);
+
+/**
+ * Keypad digit labels, e.g. `0`, `Digit 5`, `Keypad A` (hexadecimal keypads)
+ */
+const KEYPAD_PATTERN = /^(?:(?:numeric\s+)?(?:keypad|digit|number|num)\s*)?([0-9A-F])$/i;
+
+const normalize = (str) => String(str ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Parse and validate a YAML or JSON recipe
+ * @param {string} source
+ * @returns {Recipe}
+ */
+export function parseRecipe(source) {
+	// NOTE: Failsafe schema keeps all scalars as strings, otherwise parameter numbers like 0x01 become integers
+	const recipe = YAML.parse(source, { schema: 'failsafe' });
+	if (recipe == null || typeof recipe !== 'object' || !Array.isArray(recipe.steps))
+		throw new Error("Recipe needs a list of 'steps'");
+
+	const steps = recipe.steps.map((step, idx) => {
+		if (typeof step === 'string') return { label: step };
+		if (step == null || typeof step !== 'object')
+			throw new Error(`Invalid recipe step ${idx + 1}: expected an object or label string`);
+
+		const unknown = Object.keys(step).filter((key) => !STEP_KEYS.includes(key));
+		if (unknown.length > 0)
+			throw new Error(`Invalid recipe step ${idx + 1}: unknown key(s) ${unknown.join(', ')}`);
+		if (step.label == null && step.parameter == null && step.payload == null && step.digits == null)
+			throw new Error(`Invalid recipe step ${idx + 1}: needs a label, parameter, payload or digits`);
+		if (step.digits != null && (step.label != null || step.parameter != null || step.payload != null))
+			throw new Error(`Invalid recipe step ${idx + 1}: digits can not be combined with other references`);
+
+		if (step.page != null && !Number.isInteger(Number(step.page)))
+			throw new Error(`Invalid recipe step ${idx + 1}: page has to be a number`);
+
+		return {
+			...step,
+			...(step.page != null ? { page: Number(step.page) } : {}),
+		};
+	});
+
+	return { title: recipe.title ?? null, combine: String(recipe.combine) === 'true', steps };
+}
+
+/**
+ * List all barcodes of the given extraction results
+ * @param {object[]} results
+ * @returns {RecipeCandidate[]}
+ */
+export function recipeCandidates(results) {
+	return results.flatMap((pageResults) => Object.entries(pageResults)
+		.filter(([key]) => key.startsWith('page:'))
+		.map(([_, page]) => page)
+		.sort((a, b) => a.id - b.id)
+		.flatMap((page) => (page.barcodes ?? []).map((barcode, index) => ({
+			file: pageResults.common?.file ?? null, page: page.id, index, barcode,
+		}))));
+}
+
+/**
+ * Detect the numeric (or hexadecimal) keypad barcodes
+ *
+ * Keypads are usually printed as a block of digit barcodes, the section (or page) containing
+ * the most distinct digits wins.
+ *
+ * @param {RecipeCandidate[]} candidates
+ * @returns {Map<string, RecipeCandidate>} Keypad barcode by (upper case) digit
+ */
+export function detectKeypad(candidates) {
+	const keypads = candidates.reduce((res, candidate) => {
+		const digit = (candidate.barcode.title ?? candidate.barcode.label ?? '').trim().match(KEYPAD_PATTERN)?.at(1);
+		if (digit == null) return res;
+
+		const key = `${candidate.file}:${candidate.barcode.group ?? `page:${candidate.page}`}`;
+		if (!res.has(key)) res.set(key, new Map());
+		const keypad = res.get(key);
+		if (!keypad.has(digit.toUpperCase())) keypad.set(digit.toUpperCase(), candidate);
+		return res;
+	}, new Map());
+
+	return Array.from(keypads.values())
+		.sort((a, b) => b.size - a.size)
+		.at(0) ?? new Map();
+}
+
+/**
+ * Find the barcodes matching a recipe step
+ * @param {RecipeStep} step
+ * @param {RecipeCandidate[]} candidates
+ * @returns {RecipeCandidate[]}
+ */
+function matchStep(step, candidates) {
+	let matches = candidates.filter(({ file, page, barcode }) => (step.page == null || page === step.page)
+		&& (step.file == null || String(file ?? '').includes(step.file))
+		&& (step.payload == null || barcode.text === step.payload || barcode.text?.trim() === step.payload.trim())
+		&& (step.parameter == null || normalize(barcode.parameterId) === normalize(step.parameter)));
+
+	if (step.label != null) {
+		const label = normalize(step.label);
+		const exact = matches.filter(({ barcode }) => normalize(barcode.title) === label || normalize(barcode.label) === label);
+		matches = exact.length > 0 ? exact : matches.filter(({ barcode }) => normalize(barcode.label).includes(label));
+	}
+
+	// The same barcode printed several times is not ambiguous
+	return matches.filter((match, idx) => matches.findIndex((other) => other.barcode.text === match.barcode.text) === idx);
+}
+
+/**
+ * Describe a recipe step for error messages and scan sheets
+ * @param {RecipeStep} step
+ * @returns {string}
+ */
+const describeStep = (step) => Object.entries(step)
+	.filter(([_, value]) => value != null)
+	.map(([key, value]) => `${key} '${value}'`)
+	.join(', ');
+
+/**
+ * Resolve a recipe into an ordered scan sequence
+ * @param {Recipe} recipe
+ * @param {object[]} results Extraction results
+ * @param {object} options
+ * @param {boolean?} options.combine Generate a single combined code (overrides the recipe)
+ * @returns {{title: string?, scans: Array<ResolvedScan & RecipeCandidate>, errors: RecipeError[], combined: object?}}
+ */
+export function resolveRecipe(recipe, results, options = {}) {
+	const candidates = recipeCandidates(results);
+	const keypad = recipe.steps.some((step) => step.digits != null) ? detectKeypad(candidates) : new Map();
+
+	const scans = [], errors = [];
+	for (const [idx, step] of recipe.steps.entries()) {
+		if (step.digits != null) {
+			for (const digit of step.digits) {
+				const candidate = keypad.get(digit.toUpperCase());
+				if (candidate)
+					scans.push({ number: scans.length + 1, step: idx + 1, description: `Digit ${digit}`, ...candidate });
+				else
+					errors.push({ step: idx + 1, reason: 'missing', message: `Keypad digit '${digit}' not found`, candidates: [] });
+			}
+			continue;
+		}
+
+		const matches = matchStep(step, candidates);
+		if (matches.length === 1) {
+			const [match] = matches;
+			scans.push({ number: scans.length + 1, step: idx + 1, description: match.barcode.label ?? match.barcode.text, ...match });
+		} else if (matches.length <= 0) {
+			errors.push({ step: idx + 1, reason: 'missing', message: `No barcode matches ${describeStep(step)}`, candidates: [] });
+		} else {
+			errors.push({ step: idx + 1, reason: 'ambiguous', message: `${matches.length} barcodes match ${describeStep(step)}`, candidates: matches });
+		}
+	}
+
+	// Single combined code (only if every scan is a decodable command of the same vendor)
+	let combined = null;
+	if ((options.combine ?? recipe.combine) && errors.length <= 0) {
+		combined = combinePayloads(scans.map((scan) => scan.barcode.payload));
+		if (!combined)
+			errors.push({ step: 0, reason: 'invalid', message: 'Scans can not be combined into a single code (unknown or mixed vendor payloads)', candidates: [] });
+	}
+
+	return { title: recipe.title, scans, errors, combined };
+}
@@ -0,0 +1,75 @@
+/**
+ * Datalogic programming label decoder
+ *
+ * Single label programming: `$P,<command>[,<command>...],P` and the legacy `$+<command>$-`
+ * syntax, both optionally terminated by a carriage return (the datamatrix codes of e.g. the
+ * QD24xx manual contain a trailing `\r`). Commands consist of a two character feature code
+ * and an optional value, e.g. `HA35`.
+ */
+
+const PROGRAMMING_PATTERN = /^\$P(?:,(.*))?$/s;
+const PROGRAMMING_TERMINATOR = /,P\r?$|\r$/;
+const LEGACY_PATTERN = /^\$\+(.*?)\$-\r?$/s;
+
+/**
+ * Special feature codes
+ */
+const SPECIAL_ACTIONS = Object.freeze({
+	Ae: 'reset',
+});
+
+/**
+ * Decode a single feature command
+ * @param {string} command
+ * @returns {DecodedCommand?}
+ */
+function decodeCommand(command) {
+	const match = command.trim().match(/^([A-Za-z][A-Za-z0-9])(.*)$/);
+	if (!match) return null;
+
+	const [_, parameter, value] = match;
+	return {
+		parameter,
+		value: value.length > 0 ? value : null,
+		action: SPECIAL_ACTIONS[parameter] ?? 'set',
+		raw: command.trim(),
+	};
+}
+
+/** @type {PayloadDecoder} */
+export const DatalogicDecoder = Object.freeze({
+	vendor: 'datalogic',
+	decode({ text }) {
+		// The `,P` terminator is stripped first, it would otherwise be taken as a command
+		const match = text?.replace(PROGRAMMING_TERMINATOR, '').match(PROGRAMMING_PATTERN) ?? text?.match(LEGACY_PATTERN);
+		if (!match) return null;
+
+		// Enter/exit programming mode labels ('$P', '$P,P' or '$+$-') carry no command
+		const body = match[1] ?? '';
+		if (body.length <= 0)
+			return { parameter: 'programming', value: null, action: 'enter-programming', raw: text.trim() };
+
+		const commands = body.split(',').map(decodeCommand);
+		if (commands.some((command) => command == null)) return null;
+
+		const [first] = commands;
+		return { ...first, ...(commands.length > 1 ? { commands } : {}) };
+	},
+	/**
+	 * Merge feature commands into a single programming label (enter/exit labels are implied)
+	 * @param {DecodedPayload[]} payloads
+	 * @returns {CombinedPayload?}
+	 */
+	combine(payloads) {
+		const commands = payloads
+			.filter((payload) => payload.action !== 'enter-programming')
+			.flatMap((payload) => payload.commands ?? [payload]);
+		if (commands.length <= 0) return null;
+
+		return {
+			text: `$P,${commands.map((command) => command.raw).join(',')},P\r`,
+			format: 'datamatrix',
+			readerInit: false,
+		};
+	},
+});
@@ -0,0 +1,102 @@
+/**
+ * Honeywell menu command decoder
+ *
+ * Menu command syntax: `[SYN M CR] Tag SubTag [Data] [, SubTag [Data]] [; Tag SubTag [Data]] Storage`
+ * with 3 character tags and sub tags and the storage terminator `.` (permanent), `!` (temporary)
+ * or `&` (permanent, scanner only). Data `?`, `^` and `*` query the current value, the default
+ * value and the value range.
+ *
+ * Menu barcodes are code128 symbols starting with FNC3 (reader initialisation), in other symbols
+ * commands are only recognized with the explicit `SYN M CR` / `SYN Y CR` prefix.
+ */
+
+const COMMAND_PATTERN = /^(?:\x16[MY]\r)?([0-9A-Z]{6}[^.!&]*)([.!&])$/;
+
+const MENU_PREFIX_PATTERN = /^\x16[MY]\r/;
+
+const STORAGE_ACTIONS = Object.freeze({
+	'.': 'set',
+	'!': 'set-temporary',
+	'&': 'set',
+});
+
+const QUERY_ACTIONS = Object.freeze({
+	'?': 'query',
+	'^': 'query-default',
+	'*': 'query-range',
+});
+
+/**
+ * Special commands without value
+ */
+const SPECIAL_ACTIONS = Object.freeze({
+	DEFALT: 'reset',
+	DEFOVR: 'reset',
+	FACDEF: 'reset',
+	MNUCDF: 'save-defaults',
+});
+
+/**
+ * Decode a single `TagSubTag[Data]` command
+ * @param {string} command
+ * @param {string} tag Tag of the previous command (for `,` separated sub tags)
+ * @param {string} storage
+ * @returns {DecodedCommand?}
+ */
+function decodeCommand(command, tag, storage) {
+	const full = tag ? `${tag}${command}` : command;
+	const match = full.match(/^([0-9A-Z]{3})([0-9A-Z]{3})(.*)$/);
+	if (!match) return null;
+
+	const [_, commandTag, subTag, data] = match;
+	const parameter = `${commandTag}${subTag}`;
+	const action = SPECIAL_ACTIONS[parameter] ?? QUERY_ACTIONS[data] ?? STORAGE_ACTIONS[storage];
+	return {
+		parameter,
+		value: data.length > 0 && !QUERY_ACTIONS[data] ? data : null,
+		action,
+		raw: full,
+	};
+}
+
+/** @type {PayloadDecoder} */
+export const HoneywellDecoder = Object.freeze({
+	vendor: 'honeywell',
+	decode({ text, format, readerInit }) {
+		const value = text?.trim() ?? '';
+		if (!(readerInit && format === 'code128') && !MENU_PREFIX_PATTERN.test(value)) return null;
+		const match = value.match(COMMAND_PATTERN);
+		if (!match) return null;
+
+		const [_, body, storage] = match;
+		const commands = [];
+		for (const group of body.split(';')) {
+			let tag = null;
+			for (const [idx, part] of group.split(',').entries()) {
+				const command = decodeCommand(part, idx > 0 ? tag : null, storage);
+				if (!command) return null;
+				tag = command.parameter.slice(0, 3);
+				commands.push(command);
+			}
+		}
+
+		const [first] = commands;
+		return { ...first, ...(commands.length > 1 ? { commands } : {}) };
+	},
+	/**
+	 * Chain menu commands into a single code128 menu barcode (FNC3)
+	 * @param {DecodedPayload[]} payloads
+	 * @returns {CombinedPayload?}
+	 */
+	combine(payloads) {
+		const commands = payloads.flatMap((payload) => payload.commands ?? [payload]);
+		if (commands.some((command) => command.raw == null)) return null;
+
+		const storage = commands.every((command) => command.action === 'set-temporary') ? '!' : '.';
+		return {
+			text: `${commands.map((command) => command.raw).join(';')}${storage}`,
+			format: 'code128',
+			readerInit: true,
+		};
+	},
+});
@@ -0,0 +1,132 @@
+/**
+ * Vendor payload decoders
+ *
+ * Decoders parse the payload of configuration barcodes following a vendor specific grammar
+ * into `{vendor, parameter, value, action}`. Additional decoders can be registered with
+ * `registerDecoder`, the first decoder returning a result wins.
+ *
+ * @example
+ *   registerDecoder({
+ *     vendor: 'acme',
+ *     decode: ({ text }) => text.startsWith('ACME:')
+ *       ? { parameter: text.slice(5, 9), value: text.slice(9), action: 'set' }
+ *       : null,
+ *   });
+ */
+import { DatalogicDecoder } from './datalogic.mjs';
+import { HoneywellDecoder } from './honeywell.mjs';
+
+/**
+ * @typedef {object} Payload
+ * @property {string} text
+ * @property {Uint8Array?} bytes
+ * @property {string} format Lower case zxing format
+ * @property {boolean} readerInit
+ *
+ * @typedef {object} DecodedCommand
+ * @property {string} parameter
+ * @property {string?} value
+ * @property {string} action e.g. 'set', 'set-temporary', 'query', 'reset', 'enter-programming'
+ * @property {string?} raw Command as encoded in the payload
+ *
+ * @typedef {DecodedCommand & {vendor: string, commands?: DecodedCommand[]}} DecodedPayload
+ *
+ * @typedef {object} CombinedPayload
+ * @property {string} text
+ * @property {string} format Lower case zxing format to encode the combined payload with
+ * @property {boolean} readerInit Reader initialisation / programming symbol (e.g. code128 FNC3)
+ *
+ * @typedef {object} PayloadDecoder
+ * @property {string} vendor
+ * @property {(payload: Payload) => (DecodedCommand & {commands?: DecodedCommand[]})?} decode
+ * @property {((payloads: DecodedPayload[]) => CombinedPayload?)?} combine Merge several payloads into
+ *   a single code (optional, only for vendors supporting it)
+ */
+
+/** @type {PayloadDecoder[]} */
+const decoders = [HoneywellDecoder, DatalogicDecoder];
+
+/**
+ * Register a payload decoder
+ * @param {PayloadDecoder} decoder
+ * @param {object} options
+ * @param {boolean} options.prepend Try this decoder before the already registered ones
+ */
+export function registerDecoder(decoder, options = { prepend: false }) {
+	if (typeof decoder?.vendor !== 'string' || typeof decoder?.decode !== 'function')
+		throw new TypeError('Payload decoders need a vendor name and a decode function');
+
+	if (options?.prepend) decoders.unshift(decoder);
+	else decoders.push(decoder);
+}
+
+/**
+ * List registered payload decoders
+ * @returns {PayloadDecoder[]}
+ */
+export const listDecoders = () => [...decoders];
+
+/**
+ * Decode a barcode payload with the registered decoders
+ * @param {Payload} payload
+ * @returns {DecodedPayload?}
+ */
+export function decodePayload(payload) {
+	for (const decoder of decoders) {
+		const result = decoder.decode(payload);
+		if (result) return { vendor: decoder.vendor, ...result };
+	}
+	return null;
+}
+
+/**
+ * Combine decoded payloads of one vendor into a single code
+ * @param {DecodedPayload[]} payloads
+ * @returns {(CombinedPayload & {vendor: string})?} `null` if the payloads are of different (or unknown)
+ *   vendors or the vendor does not support combined codes
+ */
+export function combinePayloads(payloads) {
+	const vendors = new Set(payloads.map((payload) => payload?.vendor));
+	if (payloads.length <= 0 || vendors.size !== 1 || vendors.has(undefined) || vendors.has(null))
+		return null;
+
+	const [vendor] = vendors;
+	const decoder = decoders.find((item) => item.vendor === vendor && typeof item.combine === 'function');
+	const combined = decoder?.combine(payloads) ?? null;
+	return combined ? { vendor, ...combined } : null;
+}
+
+/**
+ * Cross-check a decoded payload against the structured label fields
+ *
+ * Feature codes printed in the label have to match one of the decoded commands, otherwise the
+ * printed parameter number is compared with the decoded parameter (if numeric).
+ *
+ * @param {DecodedPayload?} decoded
+ * @param {LabelFields?} fields
+ * @returns {boolean?} `null` if the label does not contain anything to compare with
+ */
+export function crossCheckLabel(decoded, fields) {
+	if (!decoded || !fields) return null;
+
+	const normalize = (value) => String(value ?? '').replace(/[.;!&,\s]+$/, '').toUpperCase();
+	const commands = decoded.commands ?? [decoded];
+	if (fields.featureCodes?.length > 0) {
+		const raw = commands.map((command) => normalize(command.raw ?? `${command.parameter}${command.value ?? ''}`));
+		return fields.featureCodes.some((code) => raw.includes(normalize(code)));
+	}
+
+	const parameterNumber = (value) => {
+		const str = String(value ?? '').trim();
+		if (/^0x[0-9a-f]+$/i.test(str)) return Number.parseInt(str.slice(2), 16);
+		if (/^[0-9a-f]+h$/i.test(str)) return Number.parseInt(str.slice(0, -1), 16);
+		if (/^\d+$/.test(str)) return Number.parseInt(str, 10);
+		return null;
+	};
+	const printed = parameterNumber(fields.parameterId);
+	const encoded = parameterNumber(decoded.parameter);
+	if (printed != null && encoded != null)
+		return printed === encoded;
+
+	return null;
+}
@@ -0,0 +1,193 @@
+/**
+ * Compare extraction results of two manual revisions
+ *
+ * Barcodes are matched regardless of their page: first by payload and label, then by payload
+ * alone (relabelled) and by label within the same section (payload changed). Unmatched barcodes
+ * of the old result were removed, those of the new result added. Matched barcodes additionally
+ * report format and strict status changes. Labels are compared (and reported) by their cleaned
+ * title, changed default markers or parameter numbers alone are not a label change.
+ */
+import { StringUtils } from './utils.mjs';
+
+/**
+ * @typedef {object} DiffBarcode
+ * @property {number} page
+ * @property {number} index Index of the barcode on its page
+ * @property {string} text Decoded payload
+ * @property {string?} label
+ * @property {string?} title Cleaned label (the raw label if not split), labels are compared by their title
+ * @property {string} format
+ * @property {boolean} strict
+ * @property {string[]} section
+ *
+ * @typedef {object} DiffChange
+ * @property {Array<'label'|'payload'|'format'|'strict'>} changes
+ * @property {DiffBarcode} old
+ * @property {DiffBarcode} new
+ *
+ * @typedef {object} ResultDiff
+ * @property {{file: string?, timestamp: string?, barcodes: number}} old
+ * @property {{file: string?, timestamp: string?, barcodes: number}} new
+ * @property {{added: number, removed: number, relabelled: number, payloadChanged: number, formatChanged: number, strictChanged: number, unchanged: number}} summary
+ * @property {DiffBarcode[]} added
+ * @property {DiffBarcode[]} removed
+ * @property {DiffChange[]} changed
+ */
+
+/**
+ * Normalize a label for matching (lower case, single spaces)
+ * @param {string?} label
+ * @returns {string}
+ */
+const normalizeLabel = (label) => String(label ?? '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Compared fields of all barcodes of an extraction result, in page order
+ * @param {object} pageResults Extraction result (`common` header and `page:<n>` entries)
+ * @returns {Array<DiffBarcode & {labelKey: string}>}
+ */
+function diffBarcodes(pageResults) {
+	return Object.entries(pageResults)
+		.filter(([key]) => key.startsWith('page:'))
+		.map(([_, page]) => page)
+		.sort((a, b) => a.id - b.id)
+		.flatMap((page) => (page.barcodes ?? []).map((barcode, index) => ({
+			page: page.id, index,
+			text: barcode.text,
+			label: barcode.label ?? null,
+			title: barcode.title ?? barcode.label ?? null,
+			format: barcode.format,
+			strict: barcode.strict === true,
+			section: barcode.section ?? [],
+			labelKey: normalizeLabel(barcode.title ?? barcode.label),
+		})));
+}
+
+/**
+ * Pair the remaining barcodes of both results with equal keys (in page order)
+ * @param {DiffBarcode[]} oldBarcodes Unmatched old barcodes (matched ones are removed)
+ * @param {DiffBarcode[]} newBarcodes Unmatched new barcodes (matched ones are removed)
+ * @param {(barcode: DiffBarcode) => string?} key Matching key, `null` never matches
+ * @param {boolean} unique Only pair keys occurring once in both results
+ * @returns {Array<[DiffBarcode, DiffBarcode]>}
+ */
+function pairBarcodes(oldBarcodes, newBarcodes, key, unique = false) {
+	const groups = new Map();
+	for (const barcode of newBarcodes) {
+		const value = key(barcode);
+		if (value == null) continue;
+		if (!groups.has(value)) groups.set(value, []);
+		groups.get(value).push(barcode);
+	}
+	const oldCounts = oldBarcodes.map(key).reduce((counts, value) => counts.set(value, (counts.get(value) ?? 0) + 1), new Map());
+
+	const pairs = [];
+	for (const barcode of [...oldBarcodes]) {
+		const value = key(barcode);
+		const candidates = value != null ? groups.get(value) : null;
+		if (!candidates?.length || (unique && (candidates.length > 1 || oldCounts.get(value) > 1))) continue;
+
+		const match = candidates.shift();
+		pairs.push([barcode, match]);
+		oldBarcodes.splice(oldBarcodes.indexOf(barcode), 1);
+		newBarcodes.splice(newBarcodes.indexOf(match), 1);
+	}
+	return pairs;
+}
+
+/**
+ * Compare the barcodes of two extraction results
+ * @param {object} oldResults Extraction result of the old revision
+ * @param {object} newResults Extraction result of the new revision
+ * @returns {ResultDiff}
+ */
+export function diffResults(oldResults, newResults) {
+	const oldBarcodes = diffBarcodes(oldResults), newBarcodes = diffBarcodes(newResults);
+	const oldCount = oldBarcodes.length, newCount = newBarcodes.length;
+
+	const sectionKey = (barcode) => barcode.section.join('\u001f').toLowerCase();
+	const pairs = [
+		// Same payload and label (possibly moved to another page)
+		...pairBarcodes(oldBarcodes, newBarcodes, (barcode) => `${barcode.text}\u0000${barcode.labelKey}`),
+		// Relabelled: same payload
+		...pairBarcodes(oldBarcodes, newBarcodes, (barcode) => barcode.text),
+		// Payload changed: same label in the same section, or a label occurring only once
+		...pairBarcodes(oldBarcodes, newBarcodes, (barcode) => barcode.labelKey ? `${sectionKey(barcode)}\u0000${barcode.labelKey}` : null),
+		...pairBarcodes(oldBarcodes, newBarcodes, (barcode) => barcode.labelKey || null, true),
+	];
+
+	const strip = ({ labelKey: _labelKey, ...barcode }) => barcode;
+	const changed = pairs.map(([oldBarcode, newBarcode]) => ({
+		changes: [
+			...(oldBarcode.labelKey !== newBarcode.labelKey ? ['label'] : []),
+			...(oldBarcode.text !== newBarcode.text ? ['payload'] : []),
+			...(oldBarcode.format !== newBarcode.format ? ['format'] : []),
+			...(oldBarcode.strict !== newBarcode.strict ? ['strict'] : []),
+		],
+		old: strip(oldBarcode),
+		new: strip(newBarcode),
+	}));
+	const byPage = (a, b) => a.page - b.page || a.index - b.index;
+	const count = (change) => changed.filter((item) => item.changes.includes(change)).length;
+
+	return {
+		old: { file: oldResults.common?.file ?? null, timestamp: oldResults.common?.timestamp ?? null, barcodes: oldCount },
+		new: { file: newResults.common?.file ?? null, timestamp: newResults.common?.timestamp ?? null, barcodes: newCount },
+		summary: {
+			added: newBarcodes.length,
+			removed: oldBarcodes.length,
+			relabelled: count('label'),
+			payloadChanged: count('payload'),
+			formatChanged: count('format'),
+			strictChanged: count('strict'),
+			unchanged: changed.filter((item) => item.changes.length <= 0).length,
+		},
+		added: newBarcodes.map(strip).sort(byPage),
+		removed: oldBarcodes.map(strip).sort(byPage),
+		changed: changed.filter((item) => item.changes.length > 0).sort((a, b) => byPage(a.new, b.new)),
+	};
+}
+
+/**
+ * Check whether a diff contains any change
+ * @param {ResultDiff} diff
+ * @returns {boolean}
+ */
+export const hasChanges = (diff) => diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+
+/**
+ * Readable summary of a diff (one line per change)
+ * @param {ResultDiff} diff
+ * @returns {string}
+ */
+export function formatDiff(diff) {
+	const describe = (barcode) => `${barcode.format} '${StringUtils.visibleControlChars(barcode.text)}' ${barcode.label ? `"${barcode.label.replace(/\s+/g, ' ')}"` : '(no label)'}`;
+	const pages = (change) => change.old.page === change.new.page ? `p.${change.new.page}` : `p.${change.old.page} -> p.${change.new.page}`;
+
+	const lines = [
+		`--- ${diff.old.file ?? '(unknown)'} (${diff.old.timestamp ?? 'no timestamp'}, ${diff.old.barcodes} barcodes)`,
+		`+++ ${diff.new.file ?? '(unknown)'} (${diff.new.timestamp ?? 'no timestamp'}, ${diff.new.barcodes} barcodes)`,
+		...diff.removed.map((barcode) => `- removed     p.${barcode.page} ${describe(barcode)}`),
+		...diff.added.map((barcode) => `+ added       p.${barcode.page} ${describe(barcode)}`),
+	];
+	for (const change of diff.changed) {
+		const details = change.changes.map((field) => {
+			switch (field) {
+			case 'label':
+				return `label "${change.old.title ?? ''}" -> "${change.new.title ?? ''}"`;
+			case 'payload':
+				return `payload '${StringUtils.visibleControlChars(change.old.text)}' -> '${StringUtils.visibleControlChars(change.new.text)}'`;
+			case 'format':
+				return `format ${change.old.format} -> ${change.new.format}`;
+			default:
+				return `strict ${change.old.strict} -> ${change.new.strict}`;
+			}
+		});
+		lines.push(`~ changed     ${pages(change)} ${describe(change.new)}: ${details.join(', ').replace(/\s+/g, ' ')}`);
+	}
+
+	const { summary } = diff;
+	lines.push(`${summary.added} added, ${summary.removed} removed, ${summary.relabelled} relabelled, ${summary.payloadChanged} payload changed, `
+		+ `${summary.formatChanged} format changed, ${summary.strictChanged} strict status changed, ${summary.unchanged} unchanged`);
+	return lines.join('\n');
+}
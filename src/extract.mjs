@@ -0,0 +1,929 @@
+/**
+ * Barcode extraction pipeline
+ *
+ * @example
+ *   import { extractBarcodes } from 'config-barcode-extractor';
+ *   const result = await extractBarcodes('manual.pdf', {
+ *     pages: '20-30', strict: true,
+ *     onProgress: (event) => console.info(event.message),
+ *   });
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { createCanvas, loadImage } from 'canvas';
+import { Poppler } from 'node-poppler';
+import * as zxing from 'zxing-wasm';
+
+import { extractImagePage, isImageFile, readImageInfo, renderImagePages, renderImageRegion } from './image.mjs';
+import { ocrTextLines } from './ocr.mjs';
+import { openCache } from './cache.mjs';
+import { createWorkerPool } from './pool.mjs';
+import { SCHEMA_VERSION } from './schema.mjs';
+import { rxingDetectBarcode, rxingDetectBarcodes } from './rxing.mjs';
+import { BwipBarcodeRenderer, LINEAR_FORMATS } from './bwip.mjs';
+import { crossCheckLabel, decodePayload } from './decoders/index.mjs';
+import { detectBarcodeLabels, detectHumanReadableText, findParameterId, parseLabel } from './label.mjs';
+import { measurePdf417, measureSymbolGeometry } from './measure.mjs';
+import {
+	collectOptionGroups,
+	detectHeadings,
+	sectionGroupId,
+	sectionPath,
+} from './sections.mjs';
+import { mergeBarcodes, mergeEngineBarcodes, secondPass, ZXING_PAGE_OPTIONS } from './refine.mjs';
+import { verifyBarcode } from './verify.mjs';
+import {
+	displayPageSize,
+	listPageImages,
+	PAGE_SCALE_TO,
+	pageTextLines,
+	popplerPageOptions,
+	readDocumentInfo,
+	readDocumentTextLines,
+	renderDocumentPages,
+	renderPageRegion,
+	renderPageSvg,
+} from './pdf.mjs';
+import { attachVectorBarcodes, clusterToSvg, readVectorBarcodes, vectorInfo } from './vector.mjs';
+import {
+	ArgumentUtils,
+	BboxUtils,
+	StringUtils,
+	getBarcodeImageData,
+	writeBarcodeImage,
+} from './utils.mjs';
+
+export { clearCache, defaultCacheDir, pruneCache } from './cache.mjs';
+export { indexResult, loadCatalog, removeManual, saveCatalog, searchCatalog } from './catalog.mjs';
+export { detectKeypad, parseRecipe, resolveRecipe } from './compose.mjs';
+export { diffResults, formatDiff, hasChanges } from './diff.mjs';
+export { isImageFile, readImageResolution } from './image.mjs';
+export { ocrTextLines, TESSERACT_TSV_COLUMNS } from './ocr.mjs';
+export { loadResultSchema, RESULT_SCHEMA_FILE, SCHEMA_VERSION, validateRecords, validateResult } from './schema.mjs';
+export { DEFAULT_FILE_TEMPLATE, labelSlug, templateFileName, writeOutputDirectory } from './outdir.mjs';
+export { combinePayloads, crossCheckLabel, decodePayload, listDecoders, registerDecoder } from './decoders/index.mjs';
+export { renderHtmlCatalog } from './html.mjs';
+export { renderBarcodeSheet, selectBarcodes } from './sheet.mjs';
+export { detectBarcodeLabels, detectHumanReadableText, parseLabel } from './label.mjs';
+export { collectOptionGroups, detectHeadings } from './sections.mjs';
+export {
+	parseDocumentInfo,
+	parseTsvTextLines,
+	pageTextLines,
+	POPPLER_TSV_COLUMNS,
+	readDocumentInfo,
+	readDocumentTextLines,
+	renderDocumentPages,
+	renderPageRegion,
+	renderPageSvg,
+} from './pdf.mjs';
+export { findBarcodeCandidates } from './measure.mjs';
+export { mergeBarcodes, mergeEngineBarcodes, secondPass } from './refine.mjs';
+export { readVectorBarcodes } from './vector.mjs';
+
+/**
+ * @typedef {object} ProgressEvent
+ * @property {'info'|'warn'|'error'} level
+ * @property {'metadata'|'text'|'render'|'ocr'|'page'|'refine'|'vector'|'barcode'|'verify'|'done'} stage
+ * @property {string} file
+ * @property {number?} page Page number (page and barcode stages)
+ * @property {number?} pages Total number of pages (render stage), of pages to process (finished pages)
+ * @property {number?} processed Number of finished pages (finished pages)
+ * @property {boolean?} done Processing of the page has finished (page stage)
+ * @property {number?} barcodes Number of barcodes found on the page (page and refine stage)
+ * @property {Error?} error
+ * @property {string} message Human readable description
+ *
+ * @typedef {object} ExtractOptions
+ * @property {string|Array<number?>?} pages Page range to process, either as string ('1-3') or [first, last]
+ * @property {string|Iterable<number>?} excludePages Pages to exclude, either as page list string ('1-3,5') or iterable
+ * @property {boolean?} strict Attempt strict reproduction of barcodes
+ * @property {boolean?} verify Verify regenerated barcodes by decoding them again (default: true)
+ * @property {string[]?} engines Decoders run over each page, zxing and optionally rxing (default: ['zxing'])
+ * @property {boolean?} secondPass Re-render missed barcode-like regions and empty pages at a higher resolution (default: true)
+ * @property {number?} secondPassScale Resolution factor of the second pass (default: 3)
+ * @property {boolean?} humanReadable Reproduce the human-readable text of linear barcodes in the regenerated images (default: false)
+ * @property {boolean?} ocr Recognize the text of pages without text layer with tesseract (default: true)
+ * @property {string?} ocrLanguage Tesseract language(s) (default: 'eng')
+ * @property {boolean?} vector Read barcodes from the vector drawing operations of the PDF as well (default: false)
+ * @property {boolean?} debug Enable debug output, keeps temporary files
+ * @property {boolean?} cache Use the persistent cache of detected barcodes (with their crops) and text lines (default: true)
+ * @property {string?} cacheDir Cache directory (default: `defaultCacheDir()`)
+ * @property {number?} jobs Number of pages processed in parallel worker threads (default: 1, in this thread)
+ * @property {string?} tempPrefix Prefix of the temporary working directory (default: 'temp')
+ * @property {Poppler?} poppler Poppler instance to use (not passed to worker threads)
+ * @property {(event: ProgressEvent) => void} onProgress Progress callback
+ * @property {(result: object, common: object) => void|Promise<void>} onPageResult Called with every page
+ *   result (and the `common` header, without groups) as soon as the page is processed, in completion order
+ * @property {boolean?} retainPages Keep the page results in the returned result (default: true), streaming
+ *   consumers of `onPageResult` can disable it to keep only the `common` header
+ */
+
+/**
+ * Resolution factor of page renderings for OCR (relative to the page images)
+ */
+const OCR_SCALE = 2;
+
+/**
+ * Number of pages rendered at once, while the previous chunk is processed
+ */
+const PAGE_CHUNK_SIZE = 10;
+
+/**
+ * Normalize page range option
+ * @param {string|Array<number?>?} pages
+ * @returns {Array<number?>}
+ */
+function normalizePageRange(pages) {
+	return Array.isArray(pages) ? pages : ArgumentUtils.parsePageRange(pages);
+}
+
+/**
+ * Normalize excluded pages option
+ * @param {string|Iterable<number>?} pages
+ * @returns {Set<number>}
+ */
+function normalizePageSet(pages) {
+	return (pages == null || typeof pages === 'string')
+		? ArgumentUtils.parsePagelistSet(pages)
+		: new Set(pages);
+}
+
+/**
+ * Re-render barcode into clean PNG and SVG images
+ *
+ * Strict mode uses the raw bytes extracted by rxing to generate perfect
+ * copies of code128 and datamatrix codes (feeding the raw bytes into bwip-js),
+ * QR codes are re-encoded from their original data codewords
+ *
+ * @param {zxing.ReadResult} barcode
+ * @param {object} options
+ * @returns {Promise<{barcodeSvg: string?, barcodePng: Uint8Array?, strict: boolean}>}
+ */
+export async function renderBarcode(barcode, options = {}) {
+	const defaultResult = { barcodeSvg: null, barcodePng: null, strict: false };
+	const result = (await BwipBarcodeRenderer.render(barcode, options)) ?? defaultResult;
+	if (options.debug && options.debugPrefix && result.barcodePng) {
+		await fs.writeFile(`${options.debugPrefix}-bwp.png`, result.barcodePng);
+	}
+	if (options.debug && options.debugPrefix && result.barcodeSvg) {
+		await fs.writeFile(`${options.debugPrefix}-bwp.svg`, result.barcodeSvg);
+	}
+	return result;
+}
+
+/**
+ * Measure the printed size of a barcode on the page image
+ * @param {CanvasRenderingContext2D} pageCtx
+ * @param {zxing.ReadResult} barcode
+ * @param {number} dpi Page image resolution
+ * @param {object?} vector Vector geometry of the barcode (exact size in mm)
+ * @returns {{measurement: import('./bwip.mjs').SymbolMeasurement, bbox: Bbox?}?} Measurement and the
+ *   symbol (bars) bbox on the page image (upright barcodes only), `null` if the symbol was not found
+ */
+function measureBarcode(pageCtx, barcode, dpi, vector = null) {
+	const linear = LINEAR_FORMATS.includes(barcode.format.toLowerCase());
+	const frame = BboxUtils.positionFrame(barcode.position);
+
+	// Linear barcodes are usually reported as a line across the bars, search their full height
+	const dx = Math.round(frame.width * 0.25) + 10;
+	const dy = Math.round((linear ? frame.width * 0.6 : frame.height * 0.25)) + 10;
+	const expanded = BboxUtils.expandPosition(barcode.position, dx, dy);
+	const crop = getBarcodeImageData(pageCtx, expanded, { padding: 0 });
+	const { bbox: symbolBbox, ...geometry } = measureSymbolGeometry(crop, { x0: dx, y0: dy, x1: dx + frame.width, y1: dy + frame.height }, { linear }) ?? {};
+	if (!symbolBbox) return null;
+
+	const origin = BboxUtils.bboxFromPosition(expanded);
+	const bbox = BboxUtils.positionOrientation(barcode.position) === 0
+		? { x0: origin.x0 + symbolBbox.x0, y0: origin.y0 + symbolBbox.y0, x1: origin.x0 + symbolBbox.x1, y1: origin.y0 + symbolBbox.y1 }
+		: null;
+
+	if (vector) {
+		// Vector measures are in mm (page axes), keep the quiet zone measured on the page image
+		const toPts = (mm) => mm * 72 / 25.4;
+		const sideways = Math.round(BboxUtils.positionOrientation(barcode.position) / 90) % 2 === 1;
+		const measurement = {
+			dpi: 72,
+			width: toPts(sideways ? vector.height : vector.width),
+			height: toPts(sideways ? vector.width : vector.height),
+			quietZone: Object.fromEntries(Object.entries(geometry.quietZone).map(([side, px]) => [side, px * 72 / dpi])),
+		};
+		return { measurement, bbox };
+	}
+	return { measurement: { dpi, ...geometry }, bbox };
+}
+
+/**
+ * Page image dependent results of a barcode: the crop and its measurements
+ * @typedef {object} BarcodeCrop
+ * @property {Buffer} png Original crop (deskewed, PNG)
+ * @property {object?} symbolInfo Columns and rows (PDF417 only)
+ * @property {object?} measured Result of `measureBarcode`
+ * @property {Uint8Array?} [rawBytes] Raw bytes read by rxing (strict mode), `null` if unreadable, not set before
+ *   the first strict run
+ */
+
+/**
+ * Detection of a page as cached: everything derived from the page image, so later runs do not
+ * need the page image at all
+ * @typedef {object} PageDetection
+ * @property {{width: number, height: number}?} size Page image size
+ * @property {zxing.ReadResult[]} barcodes Detected barcodes of all passes
+ * @property {Array<BarcodeCrop?>} crops Per barcode, `null` for skipped (invalid) barcodes
+ */
+
+/**
+ * Crop and measure a barcode on the page image
+ * @param {CanvasRenderingContext2D} pageCtx
+ * @param {zxing.ReadResult} barcode
+ * @param {number?} dpi Page image resolution
+ * @param {object?} vector Vector geometry of the barcode
+ * @param {string|false} debugFile Debug output of the crop
+ * @returns {Promise<BarcodeCrop>}
+ */
+async function cropBarcode(pageCtx, barcode, dpi, vector, debugFile) {
+	return {
+		png: await writeBarcodeImage(pageCtx, barcode.position, debugFile),
+		// zxing-wasm does not report PDF417 columns and rows, measure them on the crop instead
+		symbolInfo: barcode.format.toLowerCase() === 'pdf417'
+			? measurePdf417(getBarcodeImageData(pageCtx, barcode.position))
+			: null,
+		// Printed size, quiet zone and bar height (vector geometry is exact, if available)
+		measured: dpi ? measureBarcode(pageCtx, barcode, dpi, vector) : null,
+	};
+}
+
+/**
+ * Detect, extract and regenerate the barcodes of a single page image
+ *
+ * @param {Buffer?} page Page image (PNG), `null` if the detection is taken from `context.detection`
+ * @param {object} context
+ * @param {string} context.file Source file name (progress reporting)
+ * @param {number} context.pageId Page number
+ * @param {PageInfo?} context.pageInfo Page metadata
+ * @param {TextLine[]} context.textLines Text lines of the whole document
+ * @param {Heading[]?} context.headings Section headings of the whole document
+ * @param {string?} context.tempDir Directory for debug output
+ * @param {RenderRegion?} context.renderRegion Renders page regions at a higher resolution (second pass)
+ * @param {(() => Promise<string>)?} context.renderVector Converts the page into SVG (vector mode)
+ * @param {PageDetection?} context.detection Detection of a previous run (cache), skips the detection
+ * @param {((detection: PageDetection) => void)?} context.onDetected Called with the detection of the page (cache)
+ * @param {(() => Promise<Buffer>)?} context.renderPage Renders the page image again, if a stage needs it
+ *   despite a cached detection (strict mode after a non-strict run)
+ * @param {ExtractOptions} options
+ * @returns {Promise<object?>} Page data, `null` when no barcodes were found
+ */
+export async function processPage(page, context, options = {}) {
+	const { file, pageId, pageInfo, textLines, headings = [], tempDir } = context;
+	const progress = options.onProgress ?? (() => {});
+	const detected = (detection) => context.onDetected?.(structuredClone(detection));
+
+	// zxing-wasm decoder, uses a current version of zxing, which does not return the raw bytes of a barcode
+	const cached = context.detection != null;
+	let pageBarcodes = cached
+		? structuredClone(context.detection.barcodes)
+		: (await zxing.readBarcodes(page, ZXING_PAGE_OPTIONS)).map((barcode) => ({ ...barcode, pass: 1 }));
+	const secondPassEnabled = !cached && options.secondPass !== false && typeof context.renderRegion === 'function';
+	const vectorEnabled = !cached && options.vector === true && typeof context.renderVector === 'function';
+	const rxingEnabled = !cached && (options.engines ?? []).includes('rxing');
+	if (pageBarcodes.length <= 0 && !secondPassEnabled && !vectorEnabled && !rxingEnabled) {
+		if (!cached) detected({ size: null, barcodes: pageBarcodes, crops: [] });
+		progress({ level: 'info', stage: 'page', file, page: pageId, barcodes: 0, message: `Processing page '${pageId}'... no barcodes found, skipping` });
+		return null;
+	}
+
+	// Page image, with a cached detection only loaded (rendered again) if a stage needs it
+	let pageCanvas = null;
+	const pageContext = async () => {
+		if (!pageCanvas) {
+			const image = await loadImage(page ?? await context.renderPage());
+			pageCanvas = createCanvas(image.width, image.height);
+			pageCanvas.getContext('2d').drawImage(image, 0, 0);
+		}
+		return pageCanvas.getContext('2d');
+	};
+
+	// Extract original barcodes and attempt to regenerate them from the detected data
+	return (cached ? Promise.resolve(null) : pageContext()).then(async (pageCtx) => {
+		const size = cached ? context.detection.size : { width: pageCtx.canvas.width, height: pageCtx.canvas.height };
+		const crops = cached ? structuredClone(context.detection.crops) : [];
+
+		const processedBarcodes = [];
+		// Page image resolution, needed to reproduce the physical size of barcodes
+		const pageSize = displayPageSize(pageInfo);
+		// NOTE: Page sizes are stored as `ptsToPixel(pts)` (0.75 units per point, i.e. 54 per inch)
+		const dpi = pageSize?.w > 0 ? size.width / (pageSize.w / 54) : null;
+		const pageTsvLines = pageTextLines(pageId, pageInfo, size, textLines);
+
+		// Vector mode: barcodes drawn as PDF vector geometry, matched with the raster detections
+		if (vectorEnabled) {
+			const vectorPage = await readVectorBarcodes(await context.renderVector());
+			pageBarcodes = attachVectorBarcodes(pageBarcodes, vectorPage, size.width);
+			const found = pageBarcodes.filter((barcode) => barcode.pass === 3).length;
+			if (vectorPage.barcodes.length > 0 || options.debug) {
+				progress({ level: 'info', stage: 'vector', file, page: pageId, barcodes: found, message: `Vector geometry of page '${pageId}' contains ${vectorPage.barcodes.length} barcodes, ${found} not detected in the page image` });
+			}
+		}
+
+		// Second pass: render missed or undecodable barcode-like regions (or empty pages) at a higher resolution
+		if (secondPassEnabled) {
+			const refined = await secondPass(pageCtx, pageBarcodes, {
+				renderRegion: context.renderRegion,
+				textLines: pageTsvLines,
+			}, { scale: options.secondPassScale });
+			const merged = mergeBarcodes(pageBarcodes, refined.barcodes.map((barcode) => ({ ...barcode, pass: 2 })));
+			const found = merged.filter((barcode) => barcode.pass === 2).length;
+			if (found > 0 || options.debug) {
+				progress({ level: 'info', stage: 'refine', file, page: pageId, barcodes: found, message: `Second pass on page '${pageId}' (${refined.tiled ? 'tiled page' : `${refined.regions.length} regions`}) found ${found} additional barcodes` });
+			}
+			pageBarcodes = merged;
+		}
+
+		// Second decoder: barcodes missed by zxing are added, both readings are compared otherwise
+		if (rxingEnabled) {
+			const rxingBarcodes = await rxingDetectBarcodes(page).catch((err) => {
+				progress({ level: 'error', stage: 'page', file, page: pageId, error: err, message: `Failed to decode page '${pageId}' with rxing: ${err?.message ?? err}` });
+				return [];
+			});
+			pageBarcodes = mergeEngineBarcodes(pageBarcodes, rxingBarcodes).map((barcode) => ({ pass: 1, ...barcode }));
+			const found = pageBarcodes.filter((barcode) => !barcode.engines.includes('zxing')).length;
+			if (found > 0 || options.debug) {
+				progress({ level: 'info', stage: 'page', file, page: pageId, barcodes: found, message: `rxing found ${rxingBarcodes.length} barcodes on page '${pageId}', ${found} not detected by zxing` });
+			}
+		}
+		// Crops are added while the barcodes are processed
+		const detection = { size, barcodes: structuredClone(pageBarcodes), crops };
+		if (pageBarcodes.length <= 0) {
+			if (!cached) detected(detection);
+			progress({ level: 'info', stage: 'page', file, page: pageId, barcodes: 0, message: `Processing page '${pageId}'... no barcodes found, skipping` });
+			return null;
+		}
+		progress({ level: 'info', stage: 'page', file, page: pageId, barcodes: pageBarcodes.length, message: `Processing page '${pageId}' with ${pageBarcodes.length} barcodes...` });
+
+		/**
+		 * Strict mode: Reprocess barcodes on the page with rxing, which still allows
+		 * us to get the raw bytes of a barcode (and not just the content), this can be
+		 * used to create perfect reconstructions of code128 and datamatrix barcodes
+		 * (QR codes are re-encoded from the codewords of their module matrix instead)
+		 */
+		const rxingBarcodeFormats = ["code128", "datamatrix"];
+		const humanReadableLines = new Set();
+		for (const [idx, barcode] of pageBarcodes.entries()) {
+			const barcodeFormat = barcode.format.toLowerCase();
+			if (!barcode.isValid || barcodeFormat === 'databar' /* false positive */) {
+				progress({ level: 'info', stage: 'barcode', file, page: pageId, message: `Skipping invalid barcode #${idx} (${barcodeFormat}) on page` });
+				crops[idx] = null;
+				continue;
+			}
+
+			// Exact geometry of vector barcodes, cross-checked with the raster decode
+			const vector = barcode.vector ? vectorInfo(barcode.vector, barcode) : null;
+			if (vector?.matches === false) {
+				progress({ level: 'warn', stage: 'vector', file, page: pageId, message: `Vector barcode ${idx} on page ${pageId} decodes as '${vector.decoded.text.trim()}' (${vector.decoded.format}) instead of '${barcode.text.trim()}' (${barcodeFormat})` });
+			}
+
+			// Extract original barcode into image file (for now) and for embedding
+			const debugPrefix = tempDir && path.join(tempDir, `barcode-${pageId}-${idx}`);
+			// Rotated barcodes are cropped along their four-point position and deskewed to upright
+			const barcodeBbox = BboxUtils.bboxFromBarcode(barcode);
+			const orientation = Number.isFinite(barcode.orientation)
+				? ((Math.round(barcode.orientation) % 360) + 360) % 360
+				: BboxUtils.positionOrientation(barcode.position);
+			crops[idx] ??= await cropBarcode(await pageContext(), barcode, dpi, vector, options.debug && `${debugPrefix}-org.png`);
+			const { measured } = crops[idx];
+			const barcodeImageBytes = Buffer.from(crops[idx].png);
+			if (crops[idx].symbolInfo) barcode.symbolInfo = crops[idx].symbolInfo;
+
+			if (barcode.engineMismatch) {
+				const { fields, rxing } = barcode.engineMismatch;
+				progress({ level: 'warn', stage: 'barcode', file, page: pageId, message: `Decoders disagree on barcode ${idx} on page ${pageId} (${fields.join(', ')}): zxing '${barcode.text.trim()}' (${barcodeFormat}), rxing '${rxing.text.trim()}' (${rxing.format})` });
+			}
+
+			// Human-readable text printed under or over the bars (kept out of the label detection)
+			const humanReadable = (measured?.bbox && LINEAR_FORMATS.includes(barcodeFormat))
+				? detectHumanReadableText(measured.bbox, pageTsvLines.filter((line) => !humanReadableLines.has(line)), { text: barcode.text })
+				: null;
+			if (humanReadable) humanReadableLines.add(humanReadable.line);
+
+			// Run the barcode image through rxing-wasm to get the raw bytes
+			if (options.strict && rxingBarcodeFormats.includes(barcodeFormat)) {
+				if (options.debug) console.debug(`Reprocessing page '${pageId}' barcode #${idx} (${barcodeFormat}: '${barcode.text.trim()}') with rxing-wasm to extract raw bytes...`);
+				if (crops[idx].rawBytes === undefined) {
+					crops[idx].rawBytes = barcode.rxingBytes ?? (await rxingDetectBarcode(await pageContext(), barcode.position))?.bytes ?? null;
+				}
+				barcode.rawBytes = crops[idx].rawBytes ?? undefined;
+				if (options.debug && barcode.rawBytes) {
+					console.debug(`rxing-wasm detected barcode bytes:`,
+						Buffer.from(barcode.rawBytes).toString('hex'));
+				}
+			}
+
+			const {
+				barcodeSvg: bwipBarcodeSvg,
+				barcodePng: bwipBarcodePng,
+				strict, exact, qrcode, dimensions,
+			} = await renderBarcode(barcode, {
+				strict: options.strict,
+				measurement: measured?.measurement,
+				// Text measures have to be in the units of the measurement (points for vector barcodes)
+				humanReadable: (options.humanReadable && humanReadable) ? {
+					...humanReadable,
+					gap: humanReadable.gap * (measured.measurement.dpi / dpi),
+					height: humanReadable.height * (measured.measurement.dpi / dpi),
+				} : null,
+				debug: options.debug, debugPrefix,
+			}).catch((err) => {
+				progress({ level: 'error', stage: 'barcode', file, page: pageId, error: err, message: `Failed to re-render barcode ${idx} on page ${pageId}: ${err?.message ?? err}` });
+				return { barcodeSvg: null, barcodePng: null, strict: false };
+			});
+
+			// Decode the regenerated barcode again and compare it with the original
+			const verification = (options.verify !== false && bwipBarcodePng)
+				? await verifyBarcode(barcode, bwipBarcodePng).catch((err) => {
+					progress({ level: 'error', stage: 'verify', file, page: pageId, error: err, message: `Failed to verify barcode ${idx} on page ${pageId}: ${err?.message ?? err}` });
+					return { verified: false, engines: {}, mismatches: ['error'] };
+				})
+				: null;
+			if (verification && !verification.verified) {
+				progress({ level: 'warn', stage: 'verify', file, page: pageId, message: `Regenerated barcode ${idx} (${barcodeFormat}: '${barcode.text.trim()}') on page ${pageId} does not match original: ${verification.mismatches.join(', ')}` });
+			}
+
+			// Push processed barcode data onto the list, including the extract original image data as PNG,
+			// the rendered ones, barcode content, format, textual information and position
+			processedBarcodes.push({
+				...barcode, strict, exact, qrcode, dimensions, verification,
+				humanReadable: humanReadable ? { text: humanReadable.text, position: humanReadable.position, align: humanReadable.align, bbox: humanReadable.bbox } : null,
+				bbox: barcodeBbox,
+				orientation,
+				format: barcodeFormat,
+				vector,
+				sourcePng: barcodeImageBytes,
+				sourceSvg: barcode.vector ? clusterToSvg(barcode.vector.cluster) : null,
+				barcodeSvg: bwipBarcodeSvg,
+				barcodePng: bwipBarcodePng,
+			});
+		}
+
+		/**
+		 * Label detection
+		 *
+		 * Text blocks close to the barcodes are assigned as labels for the whole page at once,
+		 * so neighbouring barcodes (columns, tables) do not pick up each others labels
+		 */
+		if (options.debug) console.debug(`Detecting labels of ${processedBarcodes.length} barcodes on page '${pageId}'...`);
+		const labelLines = pageTsvLines.filter((line) => !humanReadableLines.has(line));
+		const labels = detectBarcodeLabels(processedBarcodes.map((item) => item.bbox), labelLines, size, {
+			orientations: processedBarcodes.map((item) => item.orientation),
+		});
+		for (const [idx, item] of processedBarcodes.entries()) {
+			item.label = labels[idx]?.text;
+			item.labelConfidence = labels[idx]?.confidence ?? 0;
+			item.labelBbox = labels[idx]?.bbox ?? null;
+		}
+
+		// Section path: headings on previous pages and above the barcode on this page
+		const previousHeadings = headings.filter((heading) => heading.page < pageId);
+		const pageHeadings = pageTextLines(pageId, pageInfo, size, headings);
+		for (const item of processedBarcodes) {
+			const headingsAbove = pageHeadings.filter((heading) => heading.bbox.y0 < item.bbox.y0);
+			item.section = sectionPath([...previousHeadings, ...headingsAbove]);
+			item.group = sectionGroupId(item.section);
+
+			// Structured label fields, parameter numbers are often printed below the section heading instead of the label
+			const { title, isDefault, parameterId, featureCodes } = parseLabel(item.label);
+			const sectionTop = Math.max(...headingsAbove.map((heading) => heading.bbox.y0), 0);
+			const sectionParameterId = pageTsvLines
+				.filter((line) => line.bbox.y0 >= sectionTop && line.bbox.y1 <= item.bbox.y0)
+				.sort((a, b) => b.bbox.y1 - a.bbox.y1)
+				.map((line) => findParameterId(line.text))
+				.find((id) => id != null);
+			Object.assign(item, { title, isDefault, featureCodes, parameterId: parameterId ?? sectionParameterId ?? null });
+
+			// Vendor specific payload, cross-checked with the label
+			const payload = decodePayload({ text: item.text, bytes: item.bytes, format: item.format, readerInit: item.readerInit });
+			item.payload = payload ? { ...payload, labelMatch: crossCheckLabel(payload, item) } : null;
+			if (item.payload?.labelMatch === false)
+				progress({ level: 'warn', stage: 'barcode', file, page: pageId, message: `Decoded ${payload.vendor} payload '${item.text.trim()}' on page ${pageId} does not match its label '${item.label}'` });
+		}
+
+		// Cached again if the page had to be rendered for a stage (e.g. raw bytes in strict mode)
+		if (!cached || pageCanvas) detected(detection);
+
+		return {
+			size,
+			rotation: pageInfo?.rotation ?? 0,
+			text: pageTsvLines.map((item) => item.text).join('\n'),
+			textLines: pageTsvLines,
+			barcodes: processedBarcodes,
+		};
+	});
+}
+
+/**
+ * Convert processed page data into its result representation
+ * @param {number} pageId
+ * @param {string} pageFile
+ * @param {object} pageData
+ * @returns {object}
+ */
+export function pageResult(pageId, pageFile, pageData) {
+	return Object.freeze({
+		id: pageId, file: pageFile,
+		text: pageData.text,
+		size: pageData.size,
+		rotation: pageData.rotation,	// Page rotation of the PDF (rendered pages and text are normalized to upright)
+		barcodes: pageData.barcodes.map((item) => {
+			return {
+				text: item.text,
+				data: item.bytes ? Buffer.from(item.bytes).toString('base64') : null,	// Content bytes, `null` if unknown (found by rxing only)
+				bbox: BboxUtils.bboxFromBarcode(item),
+				position: item.position,	// Four-point position (corners of the upright barcode on the page)
+				orientation: item.orientation,	// Clockwise rotation of the barcode in degrees
+				label:  item.label,
+				labelConfidence: item.labelConfidence,
+				labelBbox: item.labelBbox,
+				title: item.title,	// Label without default marker, parameter number and feature codes
+				isDefault: item.isDefault,
+				parameterId: item.parameterId,
+				featureCodes: item.featureCodes,
+				payload: item.payload,	// Vendor specific payload `{vendor, parameter, value, action, labelMatch}`
+				section: item.section,
+				group: item.group,	// Option group (mutually exclusive options of one parameter), see `common.groups`
+				format: item.format,
+				pass: item.pass,	// Detection pass (1: page image, 2: high resolution region or tile, 3: vector geometry)
+				engines: item.engines ?? ['zxing'],	// Decoders which found the barcode
+				...(item.engineMismatch ? { engineMismatch: item.engineMismatch } : {}),	// Differing `fields` and the `rxing` reading
+				strict: item.strict,	// Strict / faithful reproduction has been attempted, generated barcode should match original (code128, datamatrix and linear codes)
+				...(item.exact !== undefined ? { exact: item.exact } : {}),	// Regenerated symbol is module-for-module identical (strict QR codes only)
+				...(item.qrcode ? { qrcode: item.qrcode } : {}),
+				dimensions: item.dimensions,	// Physical size of the original `{xDimension, width, height (mm), quietZone (modules), modules}`
+				humanReadable: item.humanReadable,	// Text printed under or over linear barcodes `{text, position, align, bbox}` (not part of the label)
+				verification: item.verification,
+				...(item.vector ? { vector: item.vector } : {}),	// Exact vector geometry `{bbox (pt), width, height, moduleWidth (mm), bars|modules, decoded, matches}`
+				source: {
+					png: item.sourcePng?.toString('base64'),
+					...(item.sourceSvg ? { svg: item.sourceSvg } : {}),	// Vector crop (exact page geometry)
+				},
+				output: {
+					png: item.barcodePng?.toString('base64'),
+					svg: item.barcodeSvg,
+				},
+			};
+		}),
+		textLines: pageData.textLines,
+	});
+}
+
+/**
+ * @typedef {object} PageTask
+ * @property {string} file Source file name
+ * @property {number} pageId Page number
+ * @property {string} pageFile Page image file (relative to `tempDir`)
+ * @property {string} tempDir Working directory
+ * @property {PageInfo?} pageInfo Page metadata
+ * @property {TextLine[]} textLines Text lines of the page
+ * @property {Heading[]} headings Section headings of the whole document
+ * @property {string?} original Original image file (image input), `null` for PDF pages and not yet
+ *   converted image pages
+ * @property {boolean} image Page of an image file, pages of cached detections are converted on demand
+ * @property {PageDetection?} detection Detection of a previous run (cache), the page image of PDF pages
+ *   is not rendered then
+ */
+
+/**
+ * Process a single rendered page into its page result (in worker threads as well, see `--jobs`)
+ * @param {PageTask} task
+ * @param {ExtractOptions} options
+ * @returns {Promise<{result: object?, detection: PageDetection?}>} Page result (`null` if no valid
+ *   barcodes were found) and the detection of the page (not set if taken unchanged from the task)
+ */
+export async function extractPage(task, options = {}) {
+	const { file, pageId, pageFile, tempDir, image = false } = task;
+	// Only PDF pages need poppler (second pass and vector renderings)
+	let poppler = options.poppler ?? null;
+	let original = task.original ?? null;
+
+	const readPage = () => fs.readFile(path.join(tempDir, pageFile));
+	const readImagePage = async () => {
+		original ??= (await renderImagePages(file, tempDir, [pageId]))[pageId];
+		return readPage();
+	};
+	const page = task.detection ? null : await readPage();
+	let regionId = 0, detection = null;
+	const pageData = await processPage(page, {
+		file, pageId, tempDir,
+		pageInfo: task.pageInfo,
+		textLines: task.textLines,
+		headings: task.headings,
+		detection: task.detection ?? null,
+		onDetected: (detected) => {
+			detection = detected;
+		},
+		renderPage: image ? readImagePage : async () => {
+			poppler ??= new Poppler();
+			const pageImageFile = await renderPageRegion(poppler, file, path.join(tempDir, `render-${pageId}`), pageId);
+			try {
+				return await fs.readFile(pageImageFile);
+			} finally {
+				if (!options.debug) await fs.rm(pageImageFile, { force: true });
+			}
+		},
+		renderRegion: image ? async (region, scale) => {
+			const { width, height } = await loadImage(page ?? await readImagePage());
+			return renderImageRegion(original, { width, height }, region, scale);
+		} : async (region, scale) => {
+			poppler ??= new Poppler();
+			const regionFile = await renderPageRegion(poppler, file, path.join(tempDir, `region-${pageId}-${regionId++}`), pageId, region, scale);
+			try {
+				return await fs.readFile(regionFile);
+			} finally {
+				if (!options.debug) await fs.rm(regionFile, { force: true });
+			}
+		},
+		renderVector: image ? null : async () => {
+			poppler ??= new Poppler();
+			const svgFile = await renderPageSvg(poppler, file, path.join(tempDir, `vector-${pageId}`), pageId);
+			try {
+				return await fs.readFile(svgFile, 'utf8');
+			} finally {
+				if (!options.debug) await fs.rm(svgFile, { force: true });
+			}
+		},
+	}, options);
+
+	// Originals converted on demand are removed here, the page image by the caller
+	if (original && !task.original && !options.debug) await fs.rm(original, { force: true });
+
+	// Ignore result if no valid barcodes found
+	if (!Array.isArray(pageData?.barcodes) || pageData.barcodes.length <= 0)
+		return { result: null, detection };
+	return { result: pageResult(pageId, pageFile, pageData), detection };
+}
+
+/**
+ * Split pages into chunks of consecutive pages (rendered with a single poppler call)
+ * @param {number[]} pageIds Sorted page numbers
+ * @param {number} size Maximum chunk size
+ * @returns {Array<number[]>}
+ */
+function pageChunks(pageIds, size) {
+	return pageIds.reduce((chunks, pageId) => {
+		const chunk = chunks.at(-1);
+		if (chunk && chunk.length < size && chunk.at(-1) === pageId - 1) chunk.push(pageId);
+		else chunks.push([pageId]);
+		return chunks;
+	}, []);
+}
+
+/**
+ * Recognize the text of pages without text lines (scanned pages, image input)
+ * @param {number[]} pageIds Pages to recognize
+ * @param {TextLine[]} textLines Text lines of the document
+ * @param {object} context
+ * @param {string} context.file Source file name (progress reporting)
+ * @param {DocumentInfo} context.fileInfo
+ * @param {ExtractOptions} context.options
+ * @param {((page: number) => Promise<string>)?} context.renderPage Renders a page for OCR, the original image is used otherwise
+ * @param {import('./cache.mjs').Cache?} context.cache
+ * @returns {Promise<TextLine[]>}
+ */
+async function recognizePageText(pageIds, textLines, { file, fileInfo, options, renderPage, cache }) {
+	const progress = options.onProgress ?? (() => {});
+	const pagesWithText = new Set(textLines.map((line) => line.page));
+
+	const result = [];
+	for (const pageId of pageIds) {
+		if (pagesWithText.has(pageId)) continue;
+
+		const cacheKey = cache?.key('ocr', pageId, options.ocrLanguage ?? 'eng', OCR_SCALE);
+		const cachedLines = cacheKey ? await cache.get(cacheKey) : null;
+		if (cachedLines) {
+			result.push(...cachedLines);
+			continue;
+		}
+
+		let imageFile = null;
+		try {
+			imageFile = renderPage ? await renderPage(pageId) : fileInfo.originals[pageId];
+
+			// Text lines are stored in page units, like the text layer of PDF pages
+			const { width } = await loadImage(imageFile);
+			const pageSize = displayPageSize(fileInfo.page[pageId]);
+			const lines = await ocrTextLines(imageFile, pageId, {
+				language: options.ocrLanguage,
+				scale: pageSize ? pageSize.w / width : 1,
+			});
+			progress({ level: 'info', stage: 'ocr', file, page: pageId, message: `Recognized ${lines.length} text lines on page '${pageId}' without text layer` });
+			result.push(...lines);
+			if (cacheKey) await cache.set(cacheKey, lines);
+		} catch (err) {
+			if (err?.code === 'ENOENT') {
+				progress({ level: 'warn', stage: 'ocr', file, error: err, message: `Skipping OCR, tesseract is not installed (pages without text layer get no labels)` });
+				break;
+			}
+			progress({ level: 'error', stage: 'ocr', file, page: pageId, error: err, message: `Failed to recognize the text of page ${pageId}: ${err?.message ?? err}` });
+		} finally {
+			if (renderPage && imageFile && !options.debug) await fs.rm(imageFile, { force: true });
+		}
+	}
+	return result;
+}
+
+/**
+ * Extract all barcodes (and their labels) from a PDF file
+ *
+ * Raster images (PNG, JPEG and multi-page TIFF) are accepted as well, every image (page) is
+ * processed like a scanned PDF page.
+ *
+ * Pages are rendered in chunks and processed while the next chunk is rendered, on a pool of
+ * worker threads with `jobs` > 1. Page images are deleted as soon as they have been processed,
+ * the result keeps the page order. Detected barcodes with their crops and measurements and text lines
+ * are cached (see `openCache`), so later runs neither render nor decode cached pages again and
+ * only process labels and regenerated barcodes.
+ *
+ * @param {string} file PDF or image file
+ * @param {ExtractOptions} options
+ * @returns {Promise<object>} Result with a `common` header and one `page:<n>` entry per page containing barcodes
+ */
+export async function extractBarcodes(file, options = {}) {
+	const progress = options.onProgress ?? (() => {});
+	const poppler = options.poppler ?? new Poppler();
+	const excludedPages = normalizePageSet(options.excludePages);
+	const pageOptions = popplerPageOptions(normalizePageRange(options.pages));
+	const jobs = Math.max(Number.parseInt(options.jobs ?? 1, 10) || 1, 1);
+	const cache = options.cache !== false ? await openCache(file, options.cacheDir) : null;
+
+	const tempDir = await fs.mkdtemp(options.tempPrefix ?? 'temp');
+	const pool = jobs > 1 ? createWorkerPool(new URL('./worker.mjs', import.meta.url), jobs) : null;
+	try {
+		// Raster images (scans) have no text layer, their pages are taken as they are
+		const imageInput = isImageFile(file);
+		let fileInfo, tsvTextLines = [];
+		if (imageInput) {
+			progress({ level: 'info', stage: 'metadata', file, message: `Reading '${file}' image metadata...` });
+			fileInfo = { ...(await readImageInfo(file, normalizePageRange(options.pages))), originals: {} };
+		} else {
+			progress({ level: 'info', stage: 'metadata', file, message: `Reading and processing '${file}' metadata...` });
+			fileInfo = await readDocumentInfo(poppler, file, pageOptions);
+		}
+		const pageIds = Object.keys(fileInfo.page).map(Number).sort((a, b) => a - b);
+		const includedPages = pageIds.filter((pageId) => !excludedPages.has(pageId));
+
+		// Text lines of the whole document (headings are detected document-wide, also with `pages`)
+		// are cached per page, pdftotext only runs if any page is missing
+		if (!imageInput) {
+			const documentPageIds = Array.from({ length: fileInfo.pages ?? 0 }, (_, idx) => idx + 1);
+			const textKey = (pageId) => cache.key('text', pageId);
+			const cachedText = cache ? await Promise.all(documentPageIds.map((pageId) => cache.get(textKey(pageId)))) : [];
+			if (cache && cachedText.every(Array.isArray)) {
+				progress({ level: 'info', stage: 'text', file, message: `Using cached text of '${file}'...` });
+				tsvTextLines = cachedText.flat();
+			} else {
+				progress({ level: 'info', stage: 'text', file, message: `Extracting and processing '${file}' text...` });
+				tsvTextLines = await readDocumentTextLines(poppler, file, path.join(tempDir, 'text.tsv'));
+				for (const pageId of cache ? documentPageIds : []) {
+					await cache.set(textKey(pageId), tsvTextLines.filter((line) => line.page === pageId));
+				}
+			}
+		}
+
+		// Pages without text lines (scans) are run through OCR, before headings are detected
+		if (options.ocr !== false) {
+			tsvTextLines = tsvTextLines.concat(await recognizePageText(includedPages, tsvTextLines, {
+				file, fileInfo, options, cache,
+				renderPage: imageInput
+					? (pageId) => extractImagePage(file, tempDir, pageId)
+					: (pageId) => renderPageRegion(poppler, file, path.join(tempDir, `ocr-${pageId}`), pageId, null, OCR_SCALE),
+			}));
+		}
+		// Section paths only need the headings up to the last selected page
+		const headings = detectHeadings(tsvTextLines).filter((heading) => heading.page <= (pageIds.at(-1) ?? 0));
+		const selectedPages = new Set(pageIds);
+		tsvTextLines = tsvTextLines.filter((line) => selectedPages.has(line.page));
+
+		// Set common file header
+		const pageResults = {
+			['common']: {
+				schemaVersion: SCHEMA_VERSION,
+				file, strict: options.strict ?? false,
+				timestamp: new Date().toISOString(),
+				pages: fileInfo.pages,
+			},
+		};
+
+		for (const pageId of pageIds.filter((pageId) => excludedPages.has(pageId))) {
+			progress({ level: 'info', stage: 'page', file, page: pageId, message: `Skipping excluded page '${pageId}'...` });
+		}
+
+		// Page images and detected barcodes depend on the render and detection settings only,
+		// labels, measurements and regenerated barcodes are processed again
+		const pageKey = (pageId) => cache.key('page', pageId, {
+			scale: PAGE_SCALE_TO,
+			secondPass: options.secondPass !== false,
+			secondPassScale: options.secondPassScale ?? null,
+			vector: options.vector === true,
+			engines: [...(options.engines ?? ['zxing'])].sort(),
+			ocr: options.ocr !== false ? (options.ocrLanguage ?? 'eng') : false,
+		});
+		const cachedPages = new Set();
+		for (const pageId of cache ? includedPages : []) {
+			if (await cache.has(pageKey(pageId))) cachedPages.add(pageId);
+		}
+
+		// Single job: pages are processed one after the other in this thread
+		const { poppler: _poppler, onProgress: _onProgress, onPageResult: _onPageResult, ...workerOptions } = options;
+		let previousPage = Promise.resolve();
+		const runPage = pool
+			? (task) => pool.run(task, workerOptions, progress)
+			: (task) => (previousPage = previousPage.catch(() => null).then(() => extractPage(task, options)));
+
+		const results = new Map();
+		let processed = 0;
+		const processPageImage = async ({ page: pageId, file: pageFile, detection = null }) => {
+			const original = fileInfo.originals?.[pageId] ?? null;
+			try {
+				const { result, detection: detected } = await runPage({
+					file, pageId, pageFile, tempDir, original, detection, image: imageInput,
+					pageInfo: fileInfo.page[pageId],
+					textLines: tsvTextLines.filter((line) => line.page === pageId),
+					headings,
+				});
+				if (result) {
+					await options.onPageResult?.(result, pageResults.common);
+					// Option groups only need the section, label and text of the barcodes
+					results.set(pageId, options.retainPages !== false ? result : {
+						id: result.id,
+						barcodes: result.barcodes.map(({ text, label, section, group }) => ({ text, label, section, group })),
+					});
+				}
+				processed++;
+				progress({ level: 'info', stage: 'page', file, page: pageId, pages: includedPages.length, processed, barcodes: result?.barcodes.length ?? 0, done: true, message: `Finished page '${pageId}' (${processed} of ${includedPages.length})` });
+				if (cache && detected) {
+					const stored = await cache.set(pageKey(pageId), { pageFile, detection: detected });
+					if (!stored) progress({ level: 'warn', stage: 'page', file, page: pageId, message: `Failed to write page '${pageId}' into the cache '${cache.dir}'` });
+				}
+			} finally {
+				// Processed page images are not needed anymore, keeps the disk usage low
+				if (!options.debug) {
+					await fs.rm(path.join(tempDir, pageFile), { force: true });
+					if (original) await fs.rm(original, { force: true });
+				}
+			}
+		};
+
+		// Cached pages first (no rendering), render at most one chunk ahead of the page processing
+		const chunks = [
+			...pageChunks(includedPages.filter((pageId) => cachedPages.has(pageId)), PAGE_CHUNK_SIZE)
+				.map((pages) => ({ pages, cached: true })),
+			...pageChunks(includedPages.filter((pageId) => !cachedPages.has(pageId)), PAGE_CHUNK_SIZE)
+				.map((pages) => ({ pages, cached: false })),
+		];
+		const processing = [];
+		for (const { pages: chunk, cached } of chunks) {
+			const chunkImages = [], renderPages = [];
+			for (const pageId of chunk) {
+				const entry = cached ? await cache.get(pageKey(pageId)) : null;
+				if (!entry?.detection) {
+					renderPages.push(pageId);
+					continue;
+				}
+				chunkImages.push({ page: pageId, file: entry.pageFile, detection: entry.detection });
+			}
+			if (cached && chunkImages.length > 0) {
+				progress({ level: 'info', stage: 'render', file, pages: fileInfo.pages, message: `Using ${chunkImages.length} cached pages ${chunk[0]}-${chunk.at(-1)} of ${fileInfo.pages}...` });
+			}
+
+			for (const pages of pageChunks(renderPages, Infinity)) {
+				progress({ level: 'info', stage: 'render', file, pages: fileInfo.pages, message: `Converting pages ${pages[0]}-${pages.at(-1)} of ${fileInfo.pages} into PNG files...` });
+				if (imageInput) Object.assign(fileInfo.originals, await renderImagePages(file, tempDir, pages));
+				else await renderDocumentPages(poppler, file, tempDir, popplerPageOptions([pages[0], pages.at(-1)]));
+			}
+			chunkImages.push(...(await listPageImages(tempDir)).filter(({ page }) => renderPages.includes(page)));
+
+			const chunkProcessing = Promise.all(chunkImages.map(processPageImage));
+			chunkProcessing.catch(() => null);	// Awaited below, not unhandled while the next chunk renders
+			processing.push(chunkProcessing);
+			if (processing.length > 1) await processing.shift();
+		}
+		await Promise.all(processing);
+
+		// Deterministic page order, independent of the order pages finished in
+		const pages = Object.fromEntries([...results.keys()].sort((a, b) => a - b)
+			.map((pageId) => [`page:${pageId}`, results.get(pageId)]));
+		if (options.retainPages !== false) Object.assign(pageResults, pages);
+
+		pageResults.common.groups = collectOptionGroups(pages);
+
+		progress({ level: 'info', stage: 'done', file, message: `Finished processing '${file}'` });
+		return pageResults;
+	} finally {
+		await pool?.close();
+		if (!options.debug && StringUtils.isNotBlank(tempDir)) {
+			await fs.rm(tempDir, {
+				recursive: true,
+				force: true,
+			});
+		}
+	}
+}
@@ -0,0 +1,203 @@
+/**
+ * Standalone HTML catalog of an extraction result
+ *
+ * The catalog is a single offline page (no external resources) listing every barcode grouped by
+ * page and section, showing the original crop next to the regenerated symbol. Rows can be
+ * filtered by format, verification and strict status, and searched by label and decoded text.
+ */
+import { StringUtils } from './utils.mjs';
+
+const esc = (str) => StringUtils.escapeHtml(str);
+
+const STYLE = `
+	body { font-family: system-ui, sans-serif; margin: 0; color: #222; }
+	header { position: sticky; top: 0; background: #f4f4f4; border-bottom: 1px solid #ccc; padding: .5rem 1rem; z-index: 1; }
+	header h1 { font-size: 1.2rem; margin: 0 0 .4rem; }
+	header .meta { font-size: .85rem; color: #555; }
+	.controls { display: flex; flex-wrap: wrap; gap: .75rem; align-items: center; margin-top: .4rem; }
+	.controls input[type=search] { min-width: 20rem; }
+	main { padding: 0 1rem 2rem; }
+	h2 { margin: 1.5rem 0 .5rem; border-bottom: 2px solid #888; }
+	h3 { margin: 1rem 0 .25rem; font-size: 1rem; color: #444; }
+	table { border-collapse: collapse; width: 100%; }
+	th, td { border: 1px solid #ddd; padding: .3rem .5rem; vertical-align: middle; text-align: left; }
+	th { background: #fafafa; font-weight: 600; font-size: .85rem; }
+	td.image img, td.image svg { max-width: 260px; max-height: 160px; height: auto; }
+	td.text code { white-space: pre-wrap; word-break: break-all; }
+	.status-verified { color: #17702f; }
+	.status-mismatch { color: #b00020; font-weight: 600; }
+	.status-unverified { color: #777; }
+	.default { font-size: .75rem; background: #e6f0ff; border-radius: 3px; padding: 0 .25rem; }
+	.details { font-size: .8rem; color: #555; }
+	.hidden { display: none; }
+`;
+
+const SCRIPT = `
+	(() => {
+		const search = document.getElementById('search');
+		const format = document.getElementById('format');
+		const status = document.getElementById('status');
+		const strictOnly = document.getElementById('strict');
+		const count = document.getElementById('count');
+		const rows = Array.from(document.querySelectorAll('tr.barcode'));
+
+		const update = () => {
+			const terms = search.value.trim().toLowerCase().split(/\\s+/).filter((term) => term.length > 0);
+			let visible = 0;
+			for (const row of rows) {
+				const show = (format.value === '' || row.dataset.format === format.value)
+					&& (status.value === '' || row.dataset.status === status.value)
+					&& (!strictOnly.checked || row.dataset.strict === 'true')
+					&& terms.every((term) => row.dataset.search.includes(term));
+				row.classList.toggle('hidden', !show);
+				if (show) visible++;
+			}
+			for (const container of document.querySelectorAll('.group, .page')) {
+				container.classList.toggle('hidden', container.querySelector('tr.barcode:not(.hidden)') == null);
+			}
+			count.textContent = visible + ' / ' + rows.length + ' barcodes';
+		};
+
+		[search, format, status, strictOnly].forEach((input) => input.addEventListener('input', update));
+		update();
+	})();
+`;
+
+/**
+ * Verification status of a barcode result
+ * @param {object} barcode
+ * @returns {'verified'|'mismatch'|'unverified'}
+ */
+export function verificationStatus(barcode) {
+	switch (barcode.verification?.verified) {
+	case true:
+		return 'verified';
+	case false:
+		return 'mismatch';
+	default:
+		return 'unverified';
+	}
+}
+
+/**
+ * Inline SVG markup (without XML declaration) or a PNG fallback image
+ * @param {{png: string?, svg: string?}} output
+ * @returns {string}
+ */
+function regeneratedImage(output) {
+	if (StringUtils.isNotBlank(output?.svg))
+		return output.svg.replace(/^\s*<\?xml[^>]*\?>\s*/, '');
+	if (StringUtils.isNotBlank(output?.png))
+		return `<img alt="regenerated" src="data:image/png;base64,${output.png}">`;
+	return '';
+}
+
+/**
+ * Render the table row of a single barcode
+ * @param {object} barcode
+ * @param {number} index
+ * @returns {string}
+ */
+function barcodeRow(barcode, index) {
+	const status = verificationStatus(barcode);
+	const text = StringUtils.visibleControlChars(barcode.text);
+	const search = [barcode.label, barcode.text, barcode.format, ...(barcode.section ?? []), ...(barcode.featureCodes ?? [])]
+		.filter((value) => value != null).join(' ').toLowerCase();
+	const details = [
+		barcode.parameterId != null ? `Parameter ${esc(barcode.parameterId)}` : null,
+		barcode.featureCodes?.length > 0 ? `Codes ${esc(barcode.featureCodes.join(', '))}` : null,
+		barcode.payload ? `${esc(barcode.payload.vendor)}: ${esc(barcode.payload.action)} ${esc(barcode.payload.parameter)}${barcode.payload.value != null ? ` = ${esc(barcode.payload.value)}` : ''}` : null,
+	].filter((value) => value != null);
+
+	return `<tr class="barcode" data-format="${esc(barcode.format)}" data-status="${status}" data-strict="${barcode.strict === true}" data-search="${esc(search)}">
+		<td>${index}</td>
+		<td class="image">${barcode.source?.png ? `<img alt="original" src="data:image/png;base64,${barcode.source.png}">` : ''}</td>
+		<td class="image">${regeneratedImage(barcode.output)}</td>
+		<td>${esc(barcode.label ?? '')}${barcode.isDefault ? ' <span class="default">default</span>' : ''}${details.length > 0 ? `<div class="details">${details.join('<br>')}</div>` : ''}</td>
+		<td>${esc(barcode.format)}</td>
+		<td>${barcode.strict ? (barcode.exact ? 'exact' : 'yes') : 'no'}</td>
+		<td class="status-${status}">${status}${barcode.verification?.mismatches?.length > 0 ? `<div class="details">${esc(barcode.verification.mismatches.join(', '))}</div>` : ''}</td>
+		<td class="text"><code>${esc(text)}</code></td>
+	</tr>`;
+}
+
+/**
+ * Group consecutive barcodes of a page by their section
+ * @param {object[]} barcodes
+ * @returns {Array<{section: string[], barcodes: Array<[number, object]>}>}
+ */
+function sectionGroups(barcodes) {
+	return Array.from(barcodes.entries()).reduce((res, [index, barcode]) => {
+		const group = barcode.group ?? null;
+		if (res.length <= 0 || res.at(-1).group !== group)
+			res.push({ group, section: barcode.section ?? [], barcodes: [] });
+		res.at(-1).barcodes.push([index, barcode]);
+		return res;
+	}, []);
+}
+
+/**
+ * Render an extraction result as standalone HTML catalog
+ * @param {object} pageResults Result of `extractBarcodes`
+ * @param {object} options
+ * @param {string?} options.title Document title, defaults to the source file name
+ * @returns {string}
+ */
+export function renderHtmlCatalog(pageResults, options = {}) {
+	const common = pageResults.common ?? {};
+	const pages = Object.entries(pageResults)
+		.filter(([key]) => key.startsWith('page:'))
+		.map(([_, page]) => page)
+		.sort((a, b) => a.id - b.id);
+	const barcodes = pages.flatMap((page) => page.barcodes ?? []);
+	const formats = Array.from(new Set(barcodes.map((barcode) => barcode.format))).sort();
+	const title = options.title ?? common.file ?? 'Barcodes';
+
+	const header = `<tr><th>#</th><th>Original</th><th>Regenerated</th><th>Label</th><th>Format</th><th>Strict</th><th>Verification</th><th>Decoded text</th></tr>`;
+	const content = pages.map((page) => `<section class="page" data-page="${page.id}">
+		<h2>Page ${page.id}</h2>
+		${sectionGroups(page.barcodes ?? []).map((group) => `<div class="group">
+			${group.section.length > 0 ? `<h3>${group.section.map(esc).join(' &rsaquo; ')}</h3>` : ''}
+			<table>
+				${header}
+				${group.barcodes.map(([index, barcode]) => barcodeRow(barcode, index)).join('\n')}
+			</table>
+		</div>`).join('\n')}
+	</section>`).join('\n');
+
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1">
+	<title>${esc(title)}</title>
+	<style>${STYLE}</style>
+</head>
+<body>
+	<header>
+		<h1>${esc(title)}</h1>
+		<div class="meta">${esc(common.file ?? '')} &middot; ${common.pages ?? pages.length} pages &middot; ${barcodes.length} barcodes${common.strict ? ' &middot; strict mode' : ''} &middot; ${esc(common.timestamp ?? '')}</div>
+		<div class="controls">
+			<input id="search" type="search" placeholder="Search label, text, section...">
+			<select id="format">
+				<option value="">All formats</option>
+				${formats.map((format) => `<option value="${esc(format)}">${esc(format)}</option>`).join('')}
+			</select>
+			<select id="status">
+				<option value="">Any verification</option>
+				<option value="verified">Verified</option>
+				<option value="mismatch">Mismatch</option>
+				<option value="unverified">Unverified</option>
+			</select>
+			<label><input id="strict" type="checkbox"> Strict only</label>
+			<span id="count"></span>
+		</div>
+	</header>
+	<main>
+${content}
+	</main>
+	<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
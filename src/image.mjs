@@ -0,0 +1,215 @@
+/**
+ * Raster image input (scanned manuals as PNG, JPEG or multi-page TIFF)
+ *
+ * Every image (TIFF page) becomes a page: the original is kept for high resolution regions and
+ * OCR, the page image is downscaled like rendered PDF pages. Pages are converted on demand, pages
+ * of multi-page TIFF files are read with ImageMagick (`magick`, or `convert` and `identify` of
+ * ImageMagick 6).
+ */
+import { execFile } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { promisify } from 'node:util';
+
+import { createCanvas, loadImage } from 'canvas';
+
+import { PAGE_SCALE_TO } from './pdf.mjs';
+import { ptsToPixel } from './utils.mjs';
+
+const execFileAsync = promisify(execFile);
+
+export const IMAGE_EXTENSIONS = Object.freeze(['.png', '.jpg', '.jpeg', '.tif', '.tiff']);
+
+/**
+ * Resolution assumed for images without resolution metadata (typical scan resolution)
+ */
+export const DEFAULT_IMAGE_DPI = 300;
+
+/**
+ * Check whether a file is a supported raster image (by extension)
+ * @param {string} file
+ * @returns {boolean}
+ */
+export const isImageFile = (file) => IMAGE_EXTENSIONS.includes(path.extname(String(file)).toLowerCase());
+
+/**
+ * Read the resolution of a PNG (pHYs chunk) or JPEG (JFIF header) image
+ * @param {Buffer} buffer
+ * @returns {number?} Horizontal resolution in dpi, `null` if unknown
+ */
+export function readImageResolution(buffer) {
+	// PNG: chunks after the 8 byte signature, pHYs holds pixels per unit (1 = meter)
+	if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+		for (let offset = 8; offset + 8 <= buffer.length;) {
+			const length = buffer.readUInt32BE(offset);
+			const type = buffer.toString('ascii', offset + 4, offset + 8);
+			if (type === 'pHYs' && length >= 9) {
+				const ppu = buffer.readUInt32BE(offset + 8);
+				return buffer.readUInt8(offset + 16) === 1 && ppu > 0 ? Math.round(ppu * 0.0254) : null;
+			}
+			if (type === 'IDAT' || type === 'IEND') return null;
+			offset += length + 12;
+		}
+		return null;
+	}
+
+	// JPEG: APP0 JFIF segment with density units (1 = dpi, 2 = dots per cm)
+	if (buffer.length > 18 && buffer.readUInt16BE(0) === 0xffd8 && buffer.readUInt16BE(2) === 0xffe0
+		&& buffer.toString('ascii', 6, 11) === 'JFIF\0') {
+		const units = buffer.readUInt8(13), density = buffer.readUInt16BE(14);
+		if (density <= 0) return null;
+		return units === 1 ? density : (units === 2 ? Math.round(density * 2.54) : null);
+	}
+	return null;
+}
+
+const isTiffFile = (file) => ['.tif', '.tiff'].includes(path.extname(String(file)).toLowerCase());
+
+/**
+ * Run an ImageMagick tool (`magick <tool>`, or the tool itself of ImageMagick 6)
+ * @param {string} tool Tool of ImageMagick 6, e.g. 'convert' or 'identify'
+ * @param {string[]} args
+ * @param {string} file Input file (error message)
+ * @returns {Promise<{stdout: string}>}
+ */
+async function runImageMagick(tool, args, file) {
+	try {
+		return await execFileAsync('magick', tool === 'convert' ? args : [tool, ...args], { maxBuffer: 16 * 1024 * 1024 });
+	} catch (err) {
+		if (err?.code !== 'ENOENT') throw err;
+		return execFileAsync(tool, args, { maxBuffer: 16 * 1024 * 1024 }).catch((fallbackErr) => {
+			throw fallbackErr?.code === 'ENOENT'
+				? new Error(`ImageMagick ('magick' or '${tool}') is required to read TIFF files like '${file}'`)
+				: fallbackErr;
+		});
+	}
+}
+
+/**
+ * Page metadata of an image page
+ * @param {number} page
+ * @param {number} width Image width in pixels
+ * @param {number} height Image height in pixels
+ * @param {number?} dpi Image resolution, `DEFAULT_IMAGE_DPI` if unknown
+ * @returns {import('./pdf.mjs').PageInfo}
+ */
+function imagePageInfo(page, width, height, dpi) {
+	const resolution = dpi > 0 ? dpi : DEFAULT_IMAGE_DPI;
+	return {
+		page,
+		size: { w: ptsToPixel(width / resolution * 72), h: ptsToPixel(height / resolution * 72) },
+		rotation: 0,
+	};
+}
+
+/**
+ * Read the page metadata of an image file, without converting any page
+ *
+ * Page sizes are derived from the image resolution (see `DEFAULT_IMAGE_DPI`) and stored in the
+ * same units as PDF page sizes, so text lines and physical barcode sizes scale the same way.
+ *
+ * @param {string} file
+ * @param {Array<number?>} pageRange `[first, last]` page range
+ * @returns {Promise<import('./pdf.mjs').DocumentInfo>}
+ */
+export async function readImageInfo(file, pageRange = []) {
+	const [first, last] = [pageRange?.at(0) ?? 1, pageRange?.at(1) ?? Infinity];
+
+	let pages;
+	if (isTiffFile(file)) {
+		// One line per TIFF page: size, resolution and resolution units
+		const { stdout } = await runImageMagick('identify', ['-format', '%w %h %x %U\n', file], file);
+		pages = stdout.split('\n').filter((line) => line.trim().length > 0).map((line) => {
+			const [width, height, resolution, units] = line.trim().split(/\s+/);
+			const dpi = Number.parseFloat(resolution);
+			return {
+				width: Number.parseInt(width, 10),
+				height: Number.parseInt(height, 10),
+				dpi: units === 'PixelsPerInch' ? dpi : (units === 'PixelsPerCentimeter' ? dpi * 2.54 : null),
+			};
+		});
+	} else {
+		const source = await fs.readFile(file);
+		const image = await loadImage(source);
+		pages = [{ width: image.width, height: image.height, dpi: readImageResolution(source) }];
+	}
+
+	const result = { title: null, pages: pages.length, page: {} };
+	for (const [idx, { width, height, dpi }] of pages.entries()) {
+		const page = idx + 1;
+		if (page >= first && page <= last)
+			result.page[page] = imagePageInfo(page, width, height, dpi);
+	}
+	return result;
+}
+
+/**
+ * Extract a page of an image file as PNG (`original-<n>.png`)
+ * @param {string} file
+ * @param {string} outputDir
+ * @param {number} page
+ * @returns {Promise<string>} Original page file
+ */
+export async function extractImagePage(file, outputDir, page) {
+	const outputFile = path.join(outputDir, `original-${page}.png`);
+	if (isTiffFile(file)) {
+		await runImageMagick('convert', [`${file}[${page - 1}]`, outputFile], file);
+	} else if (path.extname(file).toLowerCase() === '.png') {
+		await fs.copyFile(file, outputFile);
+	} else {
+		// Keep the JPEG resolution, it is lost when converting into PNG
+		const source = await fs.readFile(file);
+		const image = await loadImage(source);
+		const ctx = createCanvas(image.width, image.height).getContext('2d');
+		ctx.drawImage(image, 0, 0);
+		await fs.writeFile(outputFile, ctx.canvas.toBuffer('image/png', { resolution: readImageResolution(source) ?? undefined }));
+	}
+	return outputFile;
+}
+
+/**
+ * Convert pages of an image file into page images (`page-<n>.png`, downscaled to the page image size)
+ *
+ * The originals (`original-<n>.png`) are kept for high resolution regions.
+ *
+ * @param {string} file
+ * @param {string} outputDir
+ * @param {number[]} pages Page numbers
+ * @returns {Promise<Object<string, string>>} Original page files by page number
+ */
+export async function renderImagePages(file, outputDir, pages) {
+	const originals = {};
+	for (const page of pages) {
+		const originalFile = await extractImagePage(file, outputDir, page);
+		const image = await loadImage(originalFile);
+		const factor = Math.min(PAGE_SCALE_TO / Math.max(image.width, image.height), 1);
+		const width = Math.round(image.width * factor), height = Math.round(image.height * factor);
+
+		const ctx = createCanvas(width, height).getContext('2d');
+		ctx.drawImage(image, 0, 0, width, height);
+		await fs.writeFile(path.join(outputDir, `page-${page}.png`), ctx.canvas.toBuffer('image/png'));
+		originals[page] = originalFile;
+	}
+	return originals;
+}
+
+/**
+ * Render (a region of) an image page from its original at a multiple of the page image resolution
+ * @param {string} originalFile Original page image
+ * @param {{width: number, height: number}} pageImageSize Size of the (downscaled) page image
+ * @param {Bbox?} region Region in page image coordinates, `null` for the whole page
+ * @param {number} scale Resolution factor (relative to the page image)
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function renderImageRegion(originalFile, pageImageSize, region = null, scale = 1) {
+	const image = await loadImage(originalFile);
+	const { x0, y0, x1, y1 } = region ?? { x0: 0, y0: 0, x1: pageImageSize.width, y1: pageImageSize.height };
+	const sx = image.width / pageImageSize.width, sy = image.height / pageImageSize.height;
+
+	const width = Math.max(Math.round((x1 - x0) * scale), 1), height = Math.max(Math.round((y1 - y0) * scale), 1);
+	const ctx = createCanvas(width, height).getContext('2d');
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, width, height);
+	ctx.drawImage(image, x0 * sx, y0 * sy, (x1 - x0) * sx, (y1 - y0) * sy, 0, 0, width, height);
+	return ctx.canvas.toBuffer('image/png');
+}
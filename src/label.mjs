@@ -0,0 +1,421 @@
+/**
+ * Barcode label detection
+ *
+ * Labels are detected per page: text lines are grouped into text blocks (using poppler's
+ * block and paragraph structure, so multi-line labels stay together), the barcodes are
+ * clustered into a column/row grid and every text block is assigned to at most one barcode
+ * by solving the assignment problem for the whole page.
+ */
+import { BboxUtils, CardinalDirection } from './utils.mjs';
+
+/**
+ * @typedef {object} TextBlock
+ * @property {string} text Joined text of all lines
+ * @property {Bbox} bbox
+ * @property {TextLine[]} lines
+ *
+ * @typedef {object} BarcodeLabel
+ * @property {string} text
+ * @property {Bbox} bbox
+ * @property {number} confidence Confidence score (0-1)
+ *
+ * @typedef {object} LayoutGrid
+ * @property {Array<{min: number, max: number}>} columns Column ranges (x)
+ * @property {Array<{min: number, max: number}>} rows Row ranges (y)
+ * @property {Array<{column: number, row: number}>} cells Grid cell of every barcode
+ */
+
+/**
+ * Group text lines into text blocks
+ *
+ * Lines of the same poppler block and paragraph are joined, unless they are separated
+ * by a vertical gap larger than the line height (e.g. separate labels in a table column).
+ *
+ * @param {TextLine[]} textLines
+ * @returns {TextBlock[]}
+ */
+export function groupTextBlocks(textLines) {
+	const groups = textLines.reduce((res, line) => {
+		const key = `${line.block ?? 'b'}:${line.paragraph ?? 'p'}`;
+		if (!res.has(key)) res.set(key, []);
+		res.get(key).push(line);
+		return res;
+	}, new Map());
+
+	const blocks = [];
+	for (const lines of groups.values()) {
+		lines.sort((a, b) => (a.bbox.y0 - b.bbox.y0) || (a.bbox.x0 - b.bbox.x0));
+
+		let current = [];
+		for (const line of lines) {
+			const previous = current.at(-1);
+			const lineHeight = line.bbox.y1 - line.bbox.y0;
+			if (previous && line.bbox.y0 - previous.bbox.y1 > lineHeight) {
+				blocks.push(current);
+				current = [];
+			}
+			current.push(line);
+		}
+		if (current.length > 0) blocks.push(current);
+	}
+
+	return blocks.map((lines) => ({
+		text: lines.map((line) => line.text.trim()).filter((text) => text.length > 0).join(' '),
+		bbox: BboxUtils.bboxUnion(lines.map((line) => line.bbox)),
+		lines,
+	})).filter((block) => block.text.length > 0);
+}
+
+/**
+ * Cluster values into groups separated by gaps larger than `threshold`
+ * @param {number[]} values
+ * @param {number} threshold
+ * @returns {Array<{min: number, max: number}>}
+ */
+function clusterValues(values, threshold) {
+	const sorted = [...values].sort((a, b) => a - b);
+	return sorted.reduce((res, value) => {
+		const last = res.at(-1);
+		if (last && value - last.max <= threshold)
+			last.max = value;
+		else
+			res.push({ min: value, max: value });
+		return res;
+	}, []);
+}
+
+/**
+ * Detect the column/row grid the barcodes of a page are arranged in
+ * @param {Bbox[]} bboxes Barcode bboxes
+ * @returns {LayoutGrid}
+ */
+export function detectLayoutGrid(bboxes) {
+	const centers = bboxes.map((bbox) => BboxUtils.bboxCenterPoint(bbox));
+	const medianOf = (values) => [...values].sort((a, b) => a - b).at(values.length >>> 1) ?? 0;
+	const width  = medianOf(bboxes.map((bbox) => bbox.x1 - bbox.x0));
+	const height = medianOf(bboxes.map((bbox) => bbox.y1 - bbox.y0));
+
+	const columns = clusterValues(centers.map((c) => c.x), width / 2);
+	const rows    = clusterValues(centers.map((c) => c.y), height / 2);
+	const indexOf = (clusters, value) => clusters.findIndex((c) => value >= c.min && value <= c.max);
+
+	return {
+		columns, rows,
+		cells: centers.map((c) => ({ column: indexOf(columns, c.x), row: indexOf(rows, c.y) })),
+	};
+}
+
+/**
+ * Range of a grid column/row, extended half way to its neighbours
+ * @param {Array<{min: number, max: number}>} clusters
+ * @param {number} idx
+ * @returns {{min: number, max: number}}
+ */
+function clusterRange(clusters, idx) {
+	const cluster = clusters[idx];
+	return {
+		min: idx > 0 ? (clusters[idx - 1].max + cluster.min) / 2 : -Infinity,
+		max: idx < clusters.length - 1 ? (cluster.max + clusters[idx + 1].min) / 2 : Infinity,
+	};
+}
+
+/**
+ * Solve a (rectangular) minimum cost assignment problem (Hungarian algorithm)
+ *
+ * @param {number[][]} costs Cost matrix, rows <= columns
+ * @returns {number[]} Assigned column for every row
+ */
+export function solveAssignment(costs) {
+	const n = costs.length, m = costs[0]?.length ?? 0;
+	if (n <= 0) return [];
+	if (m < n) throw new Error('Assignment needs at least as many columns as rows');
+
+	// 1-indexed potentials, p[j] = row assigned to column j
+	const u = new Array(n + 1).fill(0), v = new Array(m + 1).fill(0);
+	const p = new Array(m + 1).fill(0), way = new Array(m + 1).fill(0);
+	for (let i = 1; i <= n; i++) {
+		p[0] = i;
+		let j0 = 0;
+		const minv = new Array(m + 1).fill(Infinity);
+		const used = new Array(m + 1).fill(false);
+		do {
+			used[j0] = true;
+			const i0 = p[j0];
+			let delta = Infinity, j1 = 0;
+			for (let j = 1; j <= m; j++) {
+				if (used[j]) continue;
+				const cur = costs[i0 - 1][j - 1] - u[i0] - v[j];
+				if (cur < minv[j]) {
+					minv[j] = cur;
+					way[j] = j0;
+				}
+				if (minv[j] < delta) {
+					delta = minv[j];
+					j1 = j;
+				}
+			}
+			for (let j = 0; j <= m; j++) {
+				if (used[j]) {
+					u[p[j]] += delta;
+					v[j] -= delta;
+				} else {
+					minv[j] -= delta;
+				}
+			}
+			j0 = j1;
+		} while (p[j0] !== 0);
+		do {
+			const j1 = way[j0];
+			p[j0] = p[j1];
+			j0 = j1;
+		} while (j0 !== 0);
+	}
+
+	const result = new Array(n).fill(-1);
+	for (let j = 1; j <= m; j++)
+		if (p[j] > 0) result[p[j] - 1] = j - 1;
+	return result;
+}
+
+/**
+ * Label cost of a text block for a barcode (lower is better, `Infinity` if not eligible)
+ *
+ * Uses the edge distance (so long multi-line labels are not at a disadvantage), slightly
+ * punishes text blocks above or beside the barcode, as the label is usually below it, and
+ * heavily punishes text blocks that lie within the column or row of another barcode.
+ *
+ * @param {Bbox} bbox Barcode bbox
+ * @param {TextBlock} block
+ * @param {object} context
+ * @returns {number}
+ */
+function labelCost(bbox, block, { minDistance, maxDistance, columnRange, rowRange, otherBboxes, orientation }) {
+	const centerDistance = BboxUtils.bboxCenterDistance(bbox, block.bbox);
+	if (centerDistance <= minDistance || BboxUtils.bboxInsideOther(bbox, block.bbox))
+		return Infinity;
+
+	let cost = BboxUtils.bboxGapDistance(bbox, block.bbox) + centerDistance * 0.25;
+	if (cost >= maxDistance)
+		return Infinity;
+
+	// Directions relative to the barcode, rotated by multiples of 90 degrees (labels of vertical barcodes)
+	const cardinalPosition = BboxUtils.bboxDirectionOf(bbox, block.bbox, Math.round((orientation ?? 0) / 90) * 90);
+	if (cardinalPosition === CardinalDirection.NORTH) {
+		cost += cost * 0.1;	// Add 10% "debuff" to favor others
+	} else if (cardinalPosition === CardinalDirection.WEST || cardinalPosition === CardinalDirection.EAST) {
+		cost += cost * 0.05;	// Add 5% "debuff" to favor others
+	}
+
+	// Text blocks in another barcodes grid cell most likely belong to that barcode
+	const { x, y } = BboxUtils.bboxCenterPoint(block.bbox);
+	const outsideColumn = x < columnRange.min || x > columnRange.max;
+	const outsideRow = y < rowRange.min || y > rowRange.max;
+	if ((outsideColumn || outsideRow) && otherBboxes.some((other) => BboxUtils.bboxGapDistance(other, block.bbox) < BboxUtils.bboxGapDistance(bbox, block.bbox)))
+		cost *= 2;
+
+	// Text blocks spanning another barcode are not labels (e.g. section text)
+	if (otherBboxes.some((other) => BboxUtils.bboxInsideOther(block.bbox, other)))
+		return Infinity;
+
+	return cost;
+}
+
+/**
+ * Detect the labels of all barcodes on a page
+ *
+ * @param {Bbox[]} bboxes Barcode bboxes
+ * @param {TextLine[]} textLines Text lines of the page
+ * @param {{width: number, height: number}} pageSize Page image size
+ * @param {object} options
+ * @param {number[]?} options.orientations Barcode orientations in degrees (same order as `bboxes`)
+ * @returns {Array<BarcodeLabel?>} Label of every barcode (same order as `bboxes`), `null` if none was found
+ */
+export function detectBarcodeLabels(bboxes, textLines, pageSize, options = {}) {
+	if (bboxes.length <= 0) return [];
+
+	const blocks = groupTextBlocks(textLines);
+	const grid = detectLayoutGrid(bboxes);
+
+	// Maximum distance: 25% of longest page dimension; minimum center distance: nearest edge of barcode
+	const maxDistance = Math.max(pageSize.width, pageSize.height) * 0.25;
+	const costs = bboxes.map((bbox, idx) => {
+		const context = {
+			minDistance: Math.min((bbox.x1 - bbox.x0) >>> 1, (bbox.y1 - bbox.y0) >>> 1),
+			maxDistance,
+			columnRange: clusterRange(grid.columns, grid.cells[idx].column),
+			rowRange: clusterRange(grid.rows, grid.cells[idx].row),
+			otherBboxes: bboxes.filter((_, other) => other !== idx),
+			orientation: options.orientations?.[idx] ?? 0,
+		};
+		return blocks.map((block) => labelCost(bbox, block, context));
+	});
+
+	// One "no label" column per barcode, so barcodes without eligible text blocks stay unassigned
+	const unassignedCost = maxDistance;
+	const matrix = costs.map((row, idx) => [
+		...row.map((cost) => Number.isFinite(cost) ? cost : unassignedCost * 10),
+		...bboxes.map((_, other) => other === idx ? unassignedCost : unassignedCost * 10),
+	]);
+	const assignment = solveAssignment(matrix);
+
+	return assignment.map((blockIdx, idx) => {
+		if (blockIdx < 0 || blockIdx >= blocks.length || !Number.isFinite(costs[idx][blockIdx]))
+			return null;
+
+		// Confidence: proximity to the barcode and separation from the next best alternative
+		// (another text block for this barcode or another barcode for this text block)
+		const cost = costs[idx][blockIdx];
+		const alternative = Math.min(
+			...costs[idx].filter((_, other) => other !== blockIdx),
+			...costs.filter((_, other) => other !== idx).map((row) => row[blockIdx]),
+		);
+		const proximity = 1 - cost / maxDistance;
+		const separation = Number.isFinite(alternative) && alternative > 0
+			? Math.min(Math.max((alternative - cost) / alternative, 0), 1)
+			: 1;
+
+		const block = blocks[blockIdx];
+		return {
+			text: block.text,
+			bbox: block.bbox,
+			confidence: Math.round((proximity + separation) * 50) / 100,
+		};
+	});
+}
+
+/**
+ * @typedef {object} HumanReadableText Human-readable interpretation printed with a linear barcode
+ * @property {string} text
+ * @property {'below'|'above'} position
+ * @property {'left'|'center'|'right'|'justify'} align Horizontal alignment relative to the bars
+ * @property {Bbox} bbox
+ * @property {number} gap Distance between bars and text
+ * @property {number} height Text line height
+ * @property {TextLine} line
+ */
+
+/**
+ * Detect the human-readable text printed directly under or over the bars of a linear barcode
+ *
+ * Text repeating the payload always qualifies, other text only if it looks like a code (a single
+ * token containing digits or symbols) and sits right next to the bars, so descriptive labels
+ * are not mistaken for it.
+ *
+ * @param {Bbox} bbox Bars of the barcode
+ * @param {TextLine[]} textLines Text lines of the page
+ * @param {object} options
+ * @param {string?} options.text Decoded barcode text
+ * @returns {HumanReadableText?}
+ */
+export function detectHumanReadableText(bbox, textLines, options = {}) {
+	const normalize = (str) => String(str ?? '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+	const payload = normalize(options.text);
+	const width = bbox.x1 - bbox.x0;
+
+	const candidates = textLines.map((line) => {
+		const text = line.text.trim();
+		const lineHeight = line.bbox.y1 - line.bbox.y0;
+		const lineWidth = line.bbox.x1 - line.bbox.x0;
+		const { x: cx } = BboxUtils.bboxCenterPoint(line.bbox);
+		if (text.length <= 0 || lineWidth > width * 1.3 || cx < bbox.x0 - width * 0.1 || cx > bbox.x1 + width * 0.1)
+			return null;
+
+		const below = line.bbox.y0 - bbox.y1, above = bbox.y0 - line.bbox.y1;
+		const eligible = (gap) => gap >= -lineHeight * 0.3 && gap <= lineHeight;
+		const position = eligible(below) && (!eligible(above) || Math.abs(below) <= Math.abs(above)) ? 'below' : (eligible(above) ? 'above' : null);
+		if (!position) return null;
+
+		const gap = position === 'below' ? below : above;
+		const content = normalize(text);
+		const matches = payload.length > 0 && content.length > 0 && (content === payload
+			|| (content.length >= 3 && payload.includes(content))
+			|| (payload.length >= 3 && content.includes(payload)));
+		const codeLike = !/\s/.test(text) && /\d/.test(text) && gap <= lineHeight * 0.5;
+		if (!matches && !codeLike) return null;
+
+		// Alignment relative to the bars
+		const tolerance = width * 0.05 + 2;
+		const align = lineWidth >= width * 0.9 ? 'justify'
+			: Math.abs(cx - (bbox.x0 + bbox.x1) / 2) <= tolerance ? 'center'
+				: Math.abs(line.bbox.x0 - bbox.x0) <= tolerance ? 'left'
+					: Math.abs(line.bbox.x1 - bbox.x1) <= tolerance ? 'right' : 'center';
+
+		return { text, position, align, bbox: line.bbox, gap: Math.max(gap, 0), height: lineHeight, line, matches };
+	}).filter((candidate) => candidate != null)
+		.sort((a, b) => (b.matches - a.matches) || (a.gap - b.gap));
+
+	if (candidates.length <= 0) return null;
+	const { matches, ...result } = candidates[0];
+	return result;
+}
+
+/**
+ * @typedef {object} LabelFields
+ * @property {string} title Label without default markers, parameter numbers and feature codes
+ * @property {boolean} isDefault Whether the label marks the factory default option
+ * @property {string?} parameterId Printed parameter number (e.g. '0x01')
+ * @property {string[]} featureCodes Vendor feature codes / menu commands printed in the label
+ */
+
+/**
+ * Factory default markers, e.g. '*Enable', 'Enable*', '(Default)', '[factory default]'
+ */
+const DEFAULT_MARKERS = [
+	/^\s*\*\s*/,
+	/\s*\*\s*$/,
+	/\s*[([]\s*(?:factory\s+)?default(?:\s+setting)?\s*[)\]]\s*/i,
+	/\s*-\s*(?:factory\s+)?default\s*$/i,
+];
+
+/**
+ * Parameter numbers, e.g. 'Parameter # 0x01', 'Param #12', 'SSI # 0x2A', 'Parameter 1Ah'
+ * (whole words only, hexadecimal numbers with `h` suffix start with a digit)
+ */
+const PARAMETER_PATTERN = /\s*[([]?\s*\b(?:parameter|param|ssi)\b\s*(?:#|no\.?|number)?\s*\b(0x[0-9a-f]+|[0-9][0-9a-f]*h|\d+)\b\s*[)\]]?/i;
+
+/**
+ * Feature codes / menu commands, e.g. Honeywell 'PAPTAB.' or 'SUFBK2990D;'
+ * (at least 6 characters, upper case letters and digits with at least one letter, terminated by . ; ! or &)
+ */
+const FEATURE_CODE_PATTERN = /(?<![\w.])(?=[0-9A-Z]*[A-Z])[0-9A-Z]{6,}[.;!&](?=\s|$)/g;
+
+/**
+ * Find a printed parameter number in a text
+ * @param {string?} text
+ * @returns {string?}
+ */
+export function findParameterId(text) {
+	return text?.match(PARAMETER_PATTERN)?.at(1) ?? null;
+}
+
+/**
+ * Split a raw label into structured fields
+ *
+ * @param {string?} label Raw label text
+ * @returns {LabelFields}
+ */
+export function parseLabel(label) {
+	let title = label ?? '';
+
+	let isDefault = false;
+	for (const marker of DEFAULT_MARKERS) {
+		if (marker.test(title)) {
+			isDefault = true;
+			title = title.replace(marker, ' ');
+		}
+	}
+
+	const parameterId = findParameterId(title);
+	if (parameterId != null)
+		title = title.replace(PARAMETER_PATTERN, ' ');
+
+	const featureCodes = Array.from(title.matchAll(FEATURE_CODE_PATTERN), (match) => match[0]);
+	title = title.replace(FEATURE_CODE_PATTERN, ' ');
+
+	return {
+		title: title.replace(/\s+/g, ' ').replace(/^[\s\-:,]+|[\s\-:,]+$/g, ''),
+		isDefault,
+		parameterId,
+		featureCodes,
+	};
+}
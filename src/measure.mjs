@@ -0,0 +1,283 @@
+/**
+ * Measurement of barcode symbol properties from image (crop) data
+ *
+ * Works on plain `ImageData` like objects (`{ data, width, height }` with RGBA pixels)
+ */
+
+/**
+ * Convert RGBA image data into a dark/light bitmap
+ * @param {ImageData} imageData
+ * @param {number?} threshold Luminance threshold, defaults to the midpoint between darkest and lightest pixel
+ * @returns {{width: number, height: number, bits: Uint8Array}} `1` for dark pixels
+ */
+export function binarizeImageData(imageData, threshold = null) {
+	const { data, width, height } = imageData;
+	const luma = new Uint8Array(width * height);
+	let min = 255, max = 0;
+	for (let i = 0, j = 0; i < luma.length; i++, j += 4) {
+		const l = (data[j] * 299 + data[j + 1] * 587 + data[j + 2] * 114) / 1000;
+		luma[i] = l;
+		if (l < min) min = l;
+		if (l > max) max = l;
+	}
+
+	const t = threshold ?? ((min + max) >>> 1);
+	const bits = new Uint8Array(width * height);
+	for (let i = 0; i < luma.length; i++)
+		bits[i] = luma[i] < t ? 1 : 0;
+	return { width, height, bits };
+}
+
+/**
+ * Get the runs of a bitmap scanline, starting with the first dark pixel
+ * @param {{width: number, bits: Uint8Array}} bitmap
+ * @param {number} y
+ * @returns {Array<{dark: boolean, start: number, length: number}>}
+ */
+export function scanlineRuns(bitmap, y) {
+	const runs = [];
+	const offset = y * bitmap.width;
+	let x = 0;
+	while (x < bitmap.width && bitmap.bits[offset + x] === 0) x++;
+
+	let lastDark = -1;
+	while (x < bitmap.width) {
+		const dark = bitmap.bits[offset + x];
+		const start = x;
+		while (x < bitmap.width && bitmap.bits[offset + x] === dark) x++;
+		runs.push({ dark: dark === 1, start, length: x - start });
+		if (dark === 1) lastDark = runs.length;
+	}
+
+	// Drop trailing quiet zone
+	return runs.slice(0, Math.max(lastDark, 0));
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values
+ * @returns {number?}
+ */
+export function median(values) {
+	if (values.length <= 0) return null;
+	const sorted = [...values].sort((a, b) => a - b);
+	return sorted[sorted.length >>> 1];
+}
+
+/**
+ * Estimate PDF417 columns and rows from a barcode crop
+ *
+ * Every PDF417 row consists of the start pattern (4 bars), the left row indicator (4 bars),
+ * the data codewords (4 bars each), the right row indicator (4 bars) and the stop pattern (5 bars).
+ * Rows are counted as groups of consecutive scanlines with the same bar layout.
+ *
+ * @param {ImageData} imageData
+ * @returns {{columns: number?, rows: number?}}
+ */
+export function measurePdf417(imageData) {
+	const bitmap = binarizeImageData(imageData);
+	const scanlines = [];
+	for (let y = 0; y < bitmap.height; y++)
+		scanlines.push(scanlineRuns(bitmap, y).filter((run) => run.dark));
+
+	// Columns: most rows should contain (4 * columns + 17) bars
+	const barCounts = scanlines.map((bars) => bars.length).filter((count) => count >= 21);
+	const bars = median(barCounts);
+	const columns = bars != null && (bars - 17) % 4 === 0 ? (bars - 17) >>> 2 : null;
+	if (columns == null) return { columns: null, rows: null };
+
+	// Rows: group consecutive scanlines with (nearly) identical bar positions
+	const sameLayout = (a, b) => a.length === b.length
+		&& a.every((bar, idx) => Math.abs(bar.start - b[idx].start) <= 1 && Math.abs(bar.length - b[idx].length) <= 1);
+
+	const groups = [];
+	let previous = null;
+	for (const current of scanlines) {
+		if (current.length !== bars) {
+			previous = null;
+			continue;
+		}
+		if (previous && sameLayout(previous, current))
+			groups[groups.length - 1]++;
+		else
+			groups.push(1);
+		previous = current;
+	}
+
+	// Ignore slivers caused by anti-aliasing at row boundaries
+	const rowHeight = median(groups) ?? 0;
+	const rows = groups.filter((height) => height >= rowHeight / 2).length;
+	return { columns, rows: rows >= 3 ? rows : null };
+}
+
+/**
+ * Measure the printed extent, bar height and quiet zone of a barcode
+ *
+ * The crop has to contain the (upright) symbol with some of its surroundings, `symbol` is the
+ * approximate symbol area reported by the decoder. Linear symbols are measured along their
+ * center scanline, the bar height is the median extent of the bars crossing it. Quiet zones are
+ * the light distances from the symbol edges to the closest dark pixel (or the crop border).
+ *
+ * @param {ImageData} imageData Crop around the symbol
+ * @param {Bbox} symbol Approximate symbol area in crop coordinates
+ * @param {object} options
+ * @param {boolean} options.linear Linear (1D) symbol
+ * @param {number} options.tolerance Maximum deviation of the approximate symbol area in pixels
+ * @returns {{bbox: Bbox, width: number, height: number, quietZone: {left: number, right: number, top: number, bottom: number}}?} Measures in pixels (`bbox` in crop coordinates), `null` if no symbol was found
+ */
+export function measureSymbolGeometry(imageData, symbol, options = {}) {
+	const tolerance = options.tolerance ?? 3;
+	const bitmap = binarizeImageData(imageData);
+	const { width, height, bits } = bitmap;
+	const dark = (x, y) => x >= 0 && y >= 0 && x < width && y < height && bits[y * width + x] === 1;
+	const clampX = (x) => Math.min(Math.max(Math.round(x), 0), width - 1);
+	const clampY = (y) => Math.min(Math.max(Math.round(y), 0), height - 1);
+
+	let x0 = Infinity, x1 = -Infinity, y0 = Infinity, y1 = -Infinity;
+	if (options.linear) {
+		// Horizontal extent along the center scanline, vertical extent of the crossing bars
+		const cy = clampY((symbol.y0 + symbol.y1) / 2);
+		for (let x = clampX(symbol.x0 - tolerance); x <= clampX(symbol.x1 + tolerance); x++) {
+			if (!dark(x, cy)) continue;
+			x0 = Math.min(x0, x);
+			x1 = Math.max(x1, x);
+		}
+		const tops = [], bottoms = [];
+		for (let x = x0; x <= x1; x++) {
+			if (!dark(x, cy) || dark(x - 1, cy)) continue;
+			let top = cy, bottom = cy;
+			while (dark(x, top - 1)) top--;
+			while (dark(x, bottom + 1)) bottom++;
+			tops.push(top);
+			bottoms.push(bottom);
+		}
+		y0 = median(tops) ?? Infinity;
+		y1 = median(bottoms) ?? -Infinity;
+	} else {
+		for (let y = clampY(symbol.y0 - tolerance); y <= clampY(symbol.y1 + tolerance); y++) {
+			for (let x = clampX(symbol.x0 - tolerance); x <= clampX(symbol.x1 + tolerance); x++) {
+				if (!dark(x, y)) continue;
+				x0 = Math.min(x0, x); x1 = Math.max(x1, x);
+				y0 = Math.min(y0, y); y1 = Math.max(y1, y);
+			}
+		}
+	}
+	if (!(x1 >= x0 && y1 >= y0)) return null;
+
+	// Smallest light distance from an edge of the symbol to the next dark pixel
+	const distance = (from, to, isDark) => {
+		let result = Infinity;
+		for (let pos = from; pos <= to; pos++) {
+			let run = 0;
+			while (!isDark(pos, run + 1) && run < Math.max(width, height)) run++;
+			result = Math.min(result, run);
+		}
+		return result;
+	};
+	return {
+		bbox: { x0, y0, x1: x1 + 1, y1: y1 + 1 },
+		width: x1 - x0 + 1,
+		height: y1 - y0 + 1,
+		quietZone: {
+			left: distance(y0, y1, (y, d) => x0 - d < 0 || dark(x0 - d, y)),
+			right: distance(y0, y1, (y, d) => x1 + d >= width || dark(x1 + d, y)),
+			top: distance(x0, x1, (x, d) => y0 - d < 0 || dark(x, y0 - d)),
+			bottom: distance(x0, x1, (x, d) => y1 + d >= height || dark(x, y1 + d)),
+		},
+	};
+}
+
+/**
+ * Find page regions that look like barcodes (dense, regular dark/light transitions)
+ *
+ * The page is divided into square cells, cells with many transitions along their scanlines
+ * (horizontally or vertically) and a balanced dark/light ratio are joined into regions.
+ * Text produces similar patterns, so text lines (and already detected barcodes) should be
+ * passed as excluded areas.
+ *
+ * @param {ImageData} imageData Page image
+ * @param {object} options
+ * @param {number} options.cellSize Cell size in pixels
+ * @param {number} options.minTransitions Minimum average transitions per cell scanline
+ * @param {Bbox[]} options.exclude Areas to ignore
+ * @param {number} options.maxRegions Maximum number of (largest) regions
+ * @returns {Bbox[]}
+ */
+export function findBarcodeCandidates(imageData, options = {}) {
+	const cellSize = options.cellSize ?? 16;
+	const minTransitions = options.minTransitions ?? 1.5;
+	const exclude = options.exclude ?? [];
+	const maxRegions = options.maxRegions ?? 20;
+
+	const bitmap = binarizeImageData(imageData);
+	const { width, height, bits } = bitmap;
+	const cols = Math.ceil(width / cellSize), rows = Math.ceil(height / cellSize);
+
+	const marked = new Uint8Array(cols * rows);
+	for (let row = 0; row < rows; row++) {
+		for (let col = 0; col < cols; col++) {
+			const x0 = col * cellSize, y0 = row * cellSize;
+			const x1 = Math.min(x0 + cellSize, width), y1 = Math.min(y0 + cellSize, height);
+			const cx = (x0 + x1) >>> 1, cy = (y0 + y1) >>> 1;
+			if (exclude.some((bbox) => cx >= bbox.x0 && cx <= bbox.x1 && cy >= bbox.y0 && cy <= bbox.y1))
+				continue;
+
+			let dark = 0, horizontal = 0, vertical = 0;
+			for (let y = y0; y < y1; y++) {
+				for (let x = x0; x < x1; x++) {
+					const bit = bits[y * width + x];
+					dark += bit;
+					if (x > x0 && bit !== bits[y * width + x - 1]) horizontal++;
+					if (y > y0 && bit !== bits[(y - 1) * width + x]) vertical++;
+				}
+			}
+
+			const ratio = dark / ((x1 - x0) * (y1 - y0));
+			const transitions = Math.max(horizontal / (y1 - y0), vertical / (x1 - x0));
+			if (ratio >= 0.15 && ratio <= 0.85 && transitions >= minTransitions)
+				marked[row * cols + col] = 1;
+		}
+	}
+
+	// Connected components of marked cells (4-neighbourhood)
+	const regions = [];
+	const visited = new Uint8Array(cols * rows);
+	for (let start = 0; start < marked.length; start++) {
+		if (!marked[start] || visited[start]) continue;
+
+		const stack = [start];
+		visited[start] = 1;
+		let cells = 0, c0 = Infinity, r0 = Infinity, c1 = -Infinity, r1 = -Infinity;
+		while (stack.length > 0) {
+			const idx = stack.pop();
+			const col = idx % cols, row = (idx - col) / cols;
+			cells++;
+			c0 = Math.min(c0, col); c1 = Math.max(c1, col);
+			r0 = Math.min(r0, row); r1 = Math.max(r1, row);
+
+			for (const [nc, nr] of [[col - 1, row], [col + 1, row], [col, row - 1], [col, row + 1]]) {
+				const next = nr * cols + nc;
+				if (nc >= 0 && nc < cols && nr >= 0 && nr < rows && marked[next] && !visited[next]) {
+					visited[next] = 1;
+					stack.push(next);
+				}
+			}
+		}
+
+		// Barcodes span at least 2x2 cells
+		if (cells >= 4 && c1 > c0 && r1 > r0) {
+			regions.push({
+				x0: c0 * cellSize,
+				y0: r0 * cellSize,
+				x1: Math.min((c1 + 1) * cellSize, width),
+				y1: Math.min((r1 + 1) * cellSize, height),
+				cells,
+			});
+		}
+	}
+
+	return regions
+		.sort((a, b) => b.cells - a.cells)
+		.slice(0, maxRegions)
+		.map(({ cells: _cells, ...bbox }) => bbox);
+}
@@ -0,0 +1,50 @@
+/**
+ * NDJSON result output (`--format ndjson`): one record per line, written while pages are processed
+ *
+ * The `common` header comes first, every processed page is followed by one record per barcode
+ * (pages in completion order), the option groups of the whole document come last. See the
+ * `record` definition of the result schema.
+ */
+import fs from 'node:fs/promises';
+
+/**
+ * Records of a page result
+ * @param {object} result Page result
+ * @returns {object[]} The page record (without barcodes) and one record per barcode
+ */
+export function pageRecords(result) {
+	const { barcodes = [], ...page } = result;
+	return [
+		{ type: 'page', page },
+		...barcodes.map((barcode, index) => ({ type: 'barcode', page: result.id, index, barcode })),
+	];
+}
+
+/**
+ * Open an NDJSON result file
+ * @param {string} file Output file
+ * @returns {Promise<{writePage: (result: object, common: object) => Promise<void>, finish: (pageResults: object) => Promise<void>, close: () => Promise<void>}>}
+ */
+export async function openNdjsonWriter(file) {
+	const handle = await fs.open(file, 'w');
+	let headerWritten = false;
+
+	// Pages finish concurrently with multiple jobs, lines are written one after the other
+	let writing = Promise.resolve();
+	const write = (records) => (writing = writing.then(() => handle.write(records.map((record) => `${JSON.stringify(record)}\n`).join(''))));
+	const header = (common) => {
+		if (headerWritten) return [];
+		headerWritten = true;
+		const { groups: _groups, ...fields } = common;
+		return [{ type: 'common', common: fields }];
+	};
+
+	return {
+		writePage: (result, common) => write([...header(common), ...pageRecords(result)]),
+		finish: (pageResults) => write([...header(pageResults.common), { type: 'groups', groups: pageResults.common.groups ?? [] }]),
+		close: async () => {
+			await writing.catch(() => null);
+			await handle.close();
+		},
+	};
+}
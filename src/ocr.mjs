@@ -0,0 +1,48 @@
+/**
+ * OCR fallback for pages without text layer (scanned manuals, image input)
+ *
+ * Runs a locally installed tesseract CLI (with installed language data), its TSV output is
+ * merged into text lines the same way as the `pdftotext -tsv` output.
+ */
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+
+import { parseTsvTextLines } from './pdf.mjs';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Column order of the tesseract TSV output (`block_num` before `par_num`, unlike `pdftotext -tsv`)
+ */
+export const TESSERACT_TSV_COLUMNS = Object.freeze([
+	'level', 'page_num', 'block_num', 'par_num', 'line_num', 'word_num',
+	'left', 'top', 'width', 'height', 'conf', 'text',
+]);
+
+/**
+ * @typedef {object} OcrOptions
+ * @property {string} language Tesseract language(s), e.g. 'eng' or 'eng+deu' (default: 'eng')
+ * @property {string} command Tesseract executable (default: 'tesseract')
+ * @property {number} scale Factor converting image pixels into page units of the text lines
+ */
+
+/**
+ * Recognize the text lines of a page image
+ * @param {string} imageFile
+ * @param {number} page Page number of the text lines
+ * @param {OcrOptions} options
+ * @returns {Promise<import('./pdf.mjs').TextLine[]>}
+ * @throws {Error} With `code: 'ENOENT'` if tesseract is not installed
+ */
+export async function ocrTextLines(imageFile, page, options = {}) {
+	const { stdout } = await execFileAsync(options.command ?? 'tesseract', [
+		imageFile, 'stdout',
+		'-l', options.language ?? 'eng',
+		'tsv',
+	], { maxBuffer: 64 * 1024 * 1024 });
+
+	const scale = options.scale ?? 1;
+	return parseTsvTextLines(stdout, (px) => px * scale, TESSERACT_TSV_COLUMNS)
+		.filter((line) => line.text.trim().length > 0)
+		.map((line) => ({ ...line, text: line.text.trim(), page }));
+}
@@ -0,0 +1,179 @@
+/**
+ * Output directory mode: individual image files and a slim manifest instead of one result JSON
+ *
+ * The original crop, its vector crop and the regenerated PNG and SVG of every barcode are written
+ * as separate files, named by a template. The manifest is the extraction result with the embedded
+ * images replaced by paths relative to the output directory.
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { StringUtils } from './utils.mjs';
+
+/**
+ * Default file name template (without suffix and extension)
+ */
+export const DEFAULT_FILE_TEMPLATE = 'page-{page}-{index}-{label}-{format}';
+
+/**
+ * Placeholders of the file name template
+ */
+const TEMPLATE_FIELDS = Object.freeze(['page', 'index', 'label', 'format']);
+
+/**
+ * Written files per barcode: result field, image type, file name suffix
+ */
+const BARCODE_FILES = Object.freeze([
+	{ field: 'source', type: 'png', suffix: '-original.png', encoding: 'base64' },
+	{ field: 'source', type: 'svg', suffix: '-original.svg', encoding: 'utf8' },
+	{ field: 'output', type: 'png', suffix: '.png', encoding: 'base64' },
+	{ field: 'output', type: 'svg', suffix: '.svg', encoding: 'utf8' },
+]);
+
+/**
+ * File name friendly form of a label (lower case words joined by dashes)
+ * @param {string?} label
+ * @param {number} maxLength
+ * @returns {string} `unlabelled` for empty labels
+ */
+export function labelSlug(label, maxLength = 40) {
+	const slug = String(label ?? '')
+		.normalize('NFKD').replace(/\p{M}+/gu, '')
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}]+/gu, '-')
+		.slice(0, maxLength)
+		.replace(/^-+|-+$/g, '');
+	return slug || 'unlabelled';
+}
+
+/**
+ * Check a file name template, only known placeholders and relative paths are allowed
+ * @param {string} template e.g. `page-{page}/{index}-{label}`
+ * @returns {string} The template
+ * @throws {Error} Invalid template
+ */
+export function checkFileTemplate(template) {
+	if (StringUtils.isBlank(template))
+		throw new Error("File name template is empty");
+	const unknownFields = [...template.matchAll(/\{([^}]*)\}/g)]
+		.map((match) => match[1])
+		.filter((field) => !TEMPLATE_FIELDS.includes(field));
+	if (unknownFields.length > 0)
+		throw new Error(`Unknown file name template field(s) '{${unknownFields.join("}', '{")}}' (supported: {${TEMPLATE_FIELDS.join('}, {')}})`);
+	if (path.isAbsolute(template) || template.split(/[\\/]/).some((part) => part === '..' || part === ''))
+		throw new Error(`File name template '${template}' has to be a relative path inside the output directory`);
+	return template;
+}
+
+/**
+ * File name (without suffix and extension) of a barcode
+ * @param {string} template
+ * @param {{page: number, index: number, label: string?, format: string}} barcode
+ * @returns {string}
+ */
+export function templateFileName(template, { page, index, label, format }) {
+	const fields = {
+		page: String(page),
+		index: String(index),
+		label: labelSlug(label),
+		format: String(format ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'unknown',
+	};
+	return template.replace(/\{([^}]*)\}/g, (_, field) => fields[field]);
+}
+
+/**
+ * Write the images of all barcodes into separate files and the slim manifest
+ * @param {object} pageResults Extraction result (`common` header and `page:<n>` entries)
+ * @param {string} outDir Output directory
+ * @param {{template: string?, manifest: string?}} options File name template and manifest file
+ *   name (default: `manifest.json`)
+ * @returns {Promise<{manifestFile: string, files: number}>}
+ */
+export async function writeOutputDirectory(pageResults, outDir, options = {}) {
+	const template = checkFileTemplate(options.template ?? DEFAULT_FILE_TEMPLATE);
+	await fs.mkdir(outDir, { recursive: true });
+
+	const usedNames = new Set();
+	const uniqueName = (name) => {
+		let unique = name;
+		for (let count = 2; usedNames.has(unique); count++) unique = `${name}-${count}`;
+		usedNames.add(unique);
+		return unique;
+	};
+
+	let files = 0;
+	const manifest = { common: { ...pageResults.common, template } };
+	for (const [key, page] of Object.entries(pageResults)) {
+		if (!key.startsWith('page:')) {
+			if (key !== 'common') manifest[key] = page;
+			continue;
+		}
+
+		const barcodes = [];
+		for (const [index, barcode] of (page.barcodes ?? []).entries()) {
+			const name = uniqueName(templateFileName(template, { page: page.id, index, label: barcode.title ?? barcode.label, format: barcode.format }));
+			const references = { source: {}, output: {} };
+			for (const { field, type, suffix, encoding } of BARCODE_FILES) {
+				const content = barcode[field]?.[type];
+				if (StringUtils.isBlank(content)) {
+					references[field][type] = null;
+					continue;
+				}
+
+				const fileName = `${name}${suffix}`;
+				await fs.mkdir(path.dirname(path.join(outDir, fileName)), { recursive: true });
+				await fs.writeFile(path.join(outDir, fileName), Buffer.from(content, encoding));
+				references[field][type] = fileName.replace(/\\/g, '/');
+				files++;
+			}
+			barcodes.push({ ...barcode, ...references });
+		}
+		manifest[key] = { ...page, barcodes };
+	}
+
+	const manifestFile = path.join(outDir, options.manifest ?? 'manifest.json');
+	await fs.writeFile(manifestFile, JSON.stringify(manifest, undefined, 2));
+	return { manifestFile, files };
+}
+
+/**
+ * Check whether a parsed result is an `--out-dir` manifest (images referenced by path)
+ * @param {object} pageResults
+ * @returns {boolean}
+ */
+export function isManifest(pageResults) {
+	return typeof pageResults?.common?.template === 'string';
+}
+
+/**
+ * Read an extraction result or `--out-dir` manifest, the image files referenced by a manifest are
+ * resolved against the manifest's directory and embedded again
+ * @param {string} file Result or manifest file
+ * @returns {Promise<object>} Extraction result with embedded images
+ * @throws {Error} Missing image files or references outside the manifest's directory
+ */
+export async function readResultFile(file) {
+	const pageResults = JSON.parse(await fs.readFile(file, { encoding: 'utf8' }));
+	if (!isManifest(pageResults)) return pageResults;
+
+	const dir = path.resolve(path.dirname(file));
+	for (const [key, page] of Object.entries(pageResults)) {
+		if (!key.startsWith('page:')) continue;
+
+		for (const barcode of page.barcodes ?? []) {
+			for (const { field, type, encoding } of BARCODE_FILES) {
+				const reference = barcode[field]?.[type];
+				if (StringUtils.isBlank(reference)) continue;
+
+				const imageFile = path.resolve(dir, reference);
+				if (path.isAbsolute(reference) || path.relative(dir, imageFile).split(path.sep)[0] === '..')
+					throw new Error(`Image '${reference}' referenced by manifest '${file}' is outside of its directory`);
+				const content = await fs.readFile(imageFile).catch((err) => {
+					throw new Error(`Image '${reference}' referenced by manifest '${file}' could not be read: ${err.message}`);
+				});
+				barcode[field][type] = content.toString(encoding);
+			}
+		}
+	}
+	return pageResults;
+}
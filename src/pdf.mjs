@@ -0,0 +1,309 @@
+/**
+ * PDF processing stages (poppler)
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { ptsToPixel } from './utils.mjs';
+
+/**
+ * @typedef {object} PageInfo
+ * @property {number} page Page number
+ * @property {{w: number, h: number}} size Page size
+ * @property {number} rotation Page rotation in degrees
+ *
+ * @typedef {object} DocumentInfo
+ * @property {string?} title
+ * @property {number} pages
+ * @property {Object<string, PageInfo>} page Page metadata by page number
+ *
+ * @typedef {object} TextLine
+ * @property {number} page Page number
+ * @property {number} paragraph Paragraph number
+ * @property {number} block Block number
+ * @property {number} line Line number (within the block)
+ * @property {string} text
+ * @property {Bbox} bbox
+ */
+
+/**
+ * Convert a `[first, last]` page range into poppler page options
+ * @param {Array<number?>?} pageRange
+ * @returns {object}
+ */
+export function popplerPageOptions(pageRange) {
+	const options = {};
+	const firstPageToConvert = pageRange?.at(0) ?? null;
+	if (typeof firstPageToConvert === 'number')
+		options['firstPageToConvert'] = firstPageToConvert;
+	const lastPageToConvert  = pageRange?.at(1) ?? null;
+	if (typeof lastPageToConvert === 'number')
+		options['lastPageToConvert'] = lastPageToConvert;
+	return options;
+}
+
+/**
+ * Extract page dimensions and rotation (needed for TSV bbox rescaling)
+ * @param {Poppler} poppler
+ * @param {string} file
+ * @param {object} pageOptions Poppler page range options
+ * @returns {Promise<DocumentInfo>}
+ */
+export async function readDocumentInfo(poppler, file, pageOptions = {}) {
+	const result = await poppler.pdfInfo(file, {
+		...pageOptions,
+		firstPageToConvert: pageOptions.firstPageToConvert ?? -1,
+		lastPageToConvert:  pageOptions.lastPageToConvert  ?? -1,
+		printAsJson: true,
+	});
+
+	return parseDocumentInfo(result);
+}
+
+/**
+ * Extract and convert page metadata (size, rotation) from `pdfinfo` JSON output
+ * @param {object} result
+ * @returns {DocumentInfo}
+ */
+export function parseDocumentInfo(result) {
+	return Object.entries(result).reduce((res, [key, value]) => {
+		const [_, pageNum, pageProp] = key.match(/^page(\d+)(.+)$/) || [null, null, null];
+		if (pageNum == null || pageProp == null) {
+			switch (key) {
+			case 'title':
+				res['title'] = value.trim();
+				return res;
+			case 'pages':
+				res['pages'] = Number.parseInt(value, 10);
+				return res;
+			default:	// ignore
+				return res;
+			}
+		}
+
+		// Handle page property
+		const pageId = Number.parseInt(pageNum, 10);
+		const entry = res.page[pageNum] ?? (res.page[pageNum] = { page: pageId });
+		switch (pageProp) {
+		case "Size": {	// Size: '0.000 x 0.000 pts'
+			const comp = value.split(' ');
+			entry['size'] = {
+				w: Math.ceil(ptsToPixel(Number.parseFloat(comp[0], 10))),
+				h: Math.ceil(ptsToPixel(Number.parseFloat(comp[2], 10))),
+			};
+			return res;
+		}
+		case "Rot":	// Rotation
+			entry['rotation'] = Number.parseFloat(value, 10);
+			return res;
+		default:
+			return res;
+		}
+	}, { page: {}, pages: 0 });
+}
+
+/**
+ * Generate TSV text dump of PDF content and merge it into text lines
+ * @param {Poppler} poppler
+ * @param {string} file
+ * @param {string} tsvFile Temporary TSV output file
+ * @param {object} pageOptions Poppler page range options
+ * @returns {Promise<TextLine[]>}
+ */
+export async function readDocumentTextLines(poppler, file, tsvFile, pageOptions = {}) {
+	await poppler.pdfToText(file, tsvFile, {
+		...pageOptions,
+		generateTsvFile: true,
+	});
+
+	return parseTsvTextLines(await fs.readFile(tsvFile, { encoding: 'utf8' }));
+}
+
+/**
+ * Column order of the `pdftotext -tsv` output
+ */
+export const POPPLER_TSV_COLUMNS = Object.freeze([
+	'level', 'page_num', 'par_num', 'block_num', 'line_num', 'word_num',
+	'left', 'top', 'width', 'height', 'conf', 'text',
+]);
+
+/**
+ * Postprocess TSV per-word data by merging it back into lines
+ * @param {string} tsv
+ * @param {(value: number) => number} toPageUnits Conversion of TSV coordinates (default: PDF points)
+ * @param {readonly string[]} columns Column order of the TSV output (default: `pdftotext -tsv`)
+ * @returns {TextLine[]}
+ */
+export function parseTsvTextLines(tsv, toPageUnits = ptsToPixel, columns = POPPLER_TSV_COLUMNS) {
+	const numberColumns = ['level', 'page_num', 'par_num', 'block_num', 'line_num', 'left', 'top', 'width', 'height']
+		.map((name) => columns.indexOf(name));
+	const textColumn = columns.indexOf('text');
+	return Array.from(tsv.split('\n').reduce((res, line) => {
+		const values = line.split('\t', columns.length);
+		const [level, pageNum, parNum, blockNum, lineNum, x, y, w, h] = numberColumns.map((idx) => Number.parseFloat(values[idx], 10));
+		const text = values[textColumn]?.trim() ?? '';
+		if (Number.isNaN(level) || level <= 4) return res;
+
+		const lineKey = `${level}:${pageNum}:${parNum}:${blockNum}:${lineNum}`;
+		if (res.has(lineKey)) {
+			// Merge text, resize bbox
+			const entry = res.get(lineKey);
+			entry.text += ' ' + text;
+			entry.bbox.x1 = Math.max(entry.bbox.x1, x + w);
+			entry.bbox.y1 = Math.max(entry.bbox.y1, y + h);
+		} else {
+			res.set(lineKey, {
+				page: pageNum,
+				paragraph: parNum,
+				block: blockNum,
+				line: lineNum,
+				text,
+				bbox: {
+					x0: x,
+					y0: y,
+					x1: x + w,
+					y1: y + h,
+				},
+			});
+		}
+		return res;
+	}, new Map()).values()).map((item) => {
+		return {
+			...item,
+			bbox: {
+				x0: toPageUnits(item.bbox.x0),
+				y0: toPageUnits(item.bbox.y0),
+				x1: toPageUnits(item.bbox.x1),
+				y1: toPageUnits(item.bbox.y1),
+			},
+		};
+	});
+}
+
+/**
+ * Long side of rendered page images in pixels
+ */
+export const PAGE_SCALE_TO = 1500;	// Going lower increases risk of not detecting (all) barcodes on a page
+
+/**
+ * Extract pages into PNG images
+ * @param {Poppler} poppler
+ * @param {string} file
+ * @param {string} outputDir
+ * @param {object} pageOptions Poppler page range options
+ * @returns {Promise<void>}
+ */
+export async function renderDocumentPages(poppler, file, outputDir, pageOptions = {}) {
+	await poppler.pdfToCairo(file, path.join(outputDir, 'page'), {
+		...pageOptions,
+		resolutionXYAxis: 150,	// Harcode this so we can scale TSV coordinates
+		monochromeFile: false,
+		scalePageTo: PAGE_SCALE_TO,
+		pngFile: true,
+	});
+}
+
+/**
+ * Render (a region of) a single page at a multiple of the page image resolution
+ * @param {Poppler} poppler
+ * @param {string} file
+ * @param {string} outputFile Output file name without extension
+ * @param {number} page Page number
+ * @param {Bbox?} region Region in page image coordinates, `null` for the whole page
+ * @param {number} scale Resolution factor (relative to the page images)
+ * @returns {Promise<string>} PNG file name
+ */
+export async function renderPageRegion(poppler, file, outputFile, page, region = null, scale = 1) {
+	await poppler.pdfToCairo(file, outputFile, {
+		firstPageToConvert: page,
+		lastPageToConvert: page,
+		monochromeFile: false,
+		scalePageTo: Math.round(PAGE_SCALE_TO * scale),
+		...(region ? {
+			cropXAxis: Math.floor(region.x0 * scale),
+			cropYAxis: Math.floor(region.y0 * scale),
+			cropWidth: Math.ceil((region.x1 - region.x0) * scale),
+			cropHeight: Math.ceil((region.y1 - region.y0) * scale),
+		} : {}),
+		singleFile: true,
+		pngFile: true,
+	});
+	return `${outputFile}.png`;
+}
+
+/**
+ * Convert a single page into SVG (vector drawing operations, used for vector barcode extraction)
+ * @param {Poppler} poppler
+ * @param {string} file
+ * @param {string} outputFile Output file name without extension
+ * @param {number} page Page number
+ * @returns {Promise<string>} SVG file name
+ */
+export async function renderPageSvg(poppler, file, outputFile, page) {
+	await poppler.pdfToCairo(file, `${outputFile}.svg`, {
+		firstPageToConvert: page,
+		lastPageToConvert: page,
+		svgFile: true,
+	});
+	return `${outputFile}.svg`;
+}
+
+/**
+ * List rendered page images in page order
+ * @param {string} outputDir
+ * @returns {Promise<Array<{page: number, file: string}>>}
+ */
+export async function listPageImages(outputDir) {
+	const pageIdRegexp = /page-(\d+)\.png$/;
+	const result = [];
+	for await (const pageFile of fs.glob('page*.png', { cwd: outputDir })) {
+		const page = Number.parseInt(pageFile.match(pageIdRegexp)?.at(1), 10);
+		if (Number.isInteger(page)) result.push({ page, file: pageFile });
+	}
+	return result.sort((a, b) => a.page - b.page);
+}
+
+/**
+ * Page size as displayed (and rendered / extracted as text by poppler)
+ *
+ * `pdfinfo` reports the unrotated media size, pages rotated by 90 or 270 degrees are
+ * rendered with swapped dimensions.
+ *
+ * @param {PageInfo?} pageInfo
+ * @returns {{w: number, h: number}?}
+ */
+export function displayPageSize(pageInfo) {
+	if (!pageInfo?.size) return null;
+
+	const rotation = (((pageInfo.rotation ?? 0) % 360) + 360) % 360;
+	return (rotation === 90 || rotation === 270)
+		? { w: pageInfo.size.h, h: pageInfo.size.w }
+		: { ...pageInfo.size };
+}
+
+/**
+ * Extract text lines (or other items with page and bbox) of a single page and rescale
+ * them to the page image dimensions
+ * @param {number} pageNum
+ * @param {PageInfo?} pageInfo
+ * @param {{width: number, height: number}} imageSize
+ * @param {TextLine[]} textLines
+ * @returns {TextLine[]}
+ */
+export function pageTextLines(pageNum, pageInfo, imageSize, textLines) {
+	const { w: pw, h: ph } = displayPageSize(pageInfo) ?? { w: imageSize.width, h: imageSize.height };
+	const sx = imageSize.width  / pw;	// page to image scaling X
+	const sy = imageSize.height / ph;	// page to image scaling Y
+
+	return textLines.filter((line) => line.page === pageNum).map(({ page: _page, ...line }) => {
+		return {
+			...line,
+			bbox: {
+				x0: Math.floor(line.bbox.x0 * sx),
+				y0: Math.floor(line.bbox.y0 * sy),
+				x1: Math.ceil(line.bbox.x1 * sx),
+				y1: Math.ceil(line.bbox.y1 * sy),
+			},
+		};
+	});
+}
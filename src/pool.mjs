@@ -0,0 +1,84 @@
+/**
+ * Worker thread pool for page processing (see `--jobs`)
+ *
+ * Tasks are queued and handed to the next idle worker, workers are started on demand up to the
+ * pool size. Progress events posted by a worker are forwarded to the callback of its task.
+ */
+import { Worker } from 'node:worker_threads';
+
+/**
+ * @typedef {object} WorkerPool
+ * @property {(task: object, options: object, onProgress: ((event: object) => void)?) => Promise<any>} run Queue a task, resolves with its result
+ * @property {() => Promise<void>} close Reject queued tasks and terminate all workers
+ */
+
+/**
+ * Create a pool of worker threads
+ *
+ * Workers receive `{id, task, options}` messages and answer with `{id, event}` (progress),
+ * followed by either `{id, result}` or `{id, error}`.
+ *
+ * @param {string|URL} workerFile Worker module
+ * @param {number} size Maximum number of workers
+ * @returns {WorkerPool}
+ */
+export function createWorkerPool(workerFile, size) {
+	const workers = [];
+	const idle = [];
+	const queue = [];
+	const running = new Map();
+	let nextId = 0;
+	let closed = false;
+
+	const dispatch = (worker) => {
+		const job = queue.shift();
+		if (!job) {
+			idle.push(worker);
+			return;
+		}
+		running.set(worker, job);
+		worker.postMessage({ id: job.id, task: job.task, options: job.options });
+	};
+
+	const spawn = () => {
+		const worker = new Worker(workerFile);
+		worker.on('message', ({ id, event, result, error }) => {
+			const job = running.get(worker);
+			if (job?.id !== id) return;
+			if (event) {
+				job.onProgress?.(event);
+				return;
+			}
+			running.delete(worker);
+			if (error) job.reject(error);
+			else job.resolve(result);
+			dispatch(worker);
+		});
+		worker.on('error', (err) => {
+			// Crashed worker (e.g. out of memory): fail its task and replace it
+			const job = running.get(worker);
+			running.delete(worker);
+			workers.splice(workers.indexOf(worker), 1);
+			job?.reject(err);
+			if (!closed) dispatch(spawn());
+		});
+		workers.push(worker);
+		return worker;
+	};
+
+	return {
+		run(task, options, onProgress = null) {
+			if (closed) return Promise.reject(new Error('Worker pool has been closed'));
+			return new Promise((resolve, reject) => {
+				queue.push({ id: nextId++, task, options, onProgress, resolve, reject });
+				const worker = idle.pop() ?? (workers.length < size ? spawn() : null);
+				if (worker) dispatch(worker);
+			});
+		},
+		async close() {
+			closed = true;
+			for (const job of queue.splice(0)) job.reject(new Error('Worker pool has been closed'));
+			await Promise.all(workers.map((worker) => worker.terminate()));
+		},
+	};
+}
@@ -0,0 +1,592 @@
+/**
+ * QR code bit stream recovery and module-exact re-encoding
+ *
+ * bwip-js always chooses its own segmentation when encoding QR codes, which rarely matches
+ * the encoder used for the original manual. To get a module-for-module identical copy, the
+ * original data codewords are recovered (either from rxing's raw bytes or by reading the module
+ * matrix zxing returns as `symbol`) and re-encoded with the original version, EC level and mask.
+ */
+
+/**
+ * Error correction codewords per block, indexed by EC level and version
+ */
+const EC_CODEWORDS_PER_BLOCK = Object.freeze({
+	L: [-1,  7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+	M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+	Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+	H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+});
+
+/**
+ * Number of error correction blocks, indexed by EC level and version
+ */
+const EC_BLOCKS = Object.freeze({
+	L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2,  4,  4,  4,  4,  4,  6,  6,  6,  6,  7,  8,  8,  9,  9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+	M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5,  5,  5,  8,  9,  9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+	Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8,  8,  8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+	H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8,  8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+});
+
+/**
+ * EC level indicator bits used in the format information
+ */
+const EC_LEVEL_BITS = Object.freeze({ L: 1, M: 0, Q: 3, H: 2 });
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+/**
+ * Data mask conditions (mask 0-7, as reported by zxing)
+ */
+const MASKS = Object.freeze([
+	(x, y) => (x + y) % 2 === 0,
+	(x, y) => y % 2 === 0,
+	(x, y) => x % 3 === 0,
+	(x, y) => (x + y) % 3 === 0,
+	(x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+	(x, y) => x * y % 2 + x * y % 3 === 0,
+	(x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+	(x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+]);
+
+/**
+ * @typedef {object} QrSymbolInfo
+ * @property {number} version 1-40
+ * @property {'L'|'M'|'Q'|'H'} ecLevel
+ * @property {number} mask 0-7
+ *
+ * @typedef {object} QrSegment
+ * @property {'numeric'|'alphanumeric'|'byte'|'kanji'|'eci'|'fnc1'|'structuredappend'} mode
+ * @property {number?} count Character count
+ * @property {number?} eci ECI designator (eci mode)
+ * @property {Uint8Array?} bytes Decoded segment data
+ */
+
+/**
+ * Multiply two GF(256) elements (QR polynomial 0x11D)
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+	let z = 0;
+	for (let i = 7; i >= 0; i--) {
+		z = (z << 1) ^ ((z >>> 7) * 0x11D);
+		z ^= ((y >>> i) & 1) * x;
+	}
+	return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial of the given degree
+ * @param {number} degree
+ * @returns {number[]}
+ */
+function rsDivisor(degree) {
+	const result = new Array(degree).fill(0);
+	result[degree - 1] = 1;
+	let root = 1;
+	for (let i = 0; i < degree; i++) {
+		for (let j = 0; j < result.length; j++) {
+			result[j] = gfMultiply(result[j], root);
+			if (j + 1 < result.length)
+				result[j] ^= result[j + 1];
+		}
+		root = gfMultiply(root, 0x02);
+	}
+	return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords of a data block
+ * @param {number[]} data
+ * @param {number[]} divisor
+ * @returns {number[]}
+ */
+function rsRemainder(data, divisor) {
+	const result = new Array(divisor.length).fill(0);
+	for (const b of data) {
+		const factor = b ^ result.shift();
+		result.push(0);
+		divisor.forEach((coef, i) => result[i] ^= gfMultiply(coef, factor));
+	}
+	return result;
+}
+
+/**
+ * Symbol size of a QR code version
+ * @param {number} version
+ * @returns {number}
+ */
+export const qrSymbolSize = (version) => version * 4 + 17;
+
+/**
+ * Number of data modules (incl. remainder bits) of a QR code version
+ * @param {number} version
+ * @returns {number}
+ */
+function rawDataModules(version) {
+	let result = (16 * version + 128) * version + 64;
+	if (version >= 2) {
+		const numAlign = Math.floor(version / 7) + 2;
+		result -= (25 * numAlign - 10) * numAlign - 55;
+		if (version >= 7)
+			result -= 36;
+	}
+	return result;
+}
+
+/**
+ * Block structure of a QR code version and EC level
+ * @param {number} version
+ * @param {string} ecLevel
+ * @returns {{total: number, data: number, blocks: number, ecPerBlock: number, shortBlocks: number, shortBlockLength: number}}
+ */
+function blockStructure(version, ecLevel) {
+	const blocks = EC_BLOCKS[ecLevel][version];
+	const ecPerBlock = EC_CODEWORDS_PER_BLOCK[ecLevel][version];
+	const total = rawDataModules(version) >>> 3;
+	return {
+		total, blocks, ecPerBlock,
+		data: total - ecPerBlock * blocks,
+		shortBlocks: blocks - total % blocks,
+		shortBlockLength: Math.floor(total / blocks),
+	};
+}
+
+/**
+ * Number of data codewords of a QR code version and EC level
+ * @param {number} version
+ * @param {string} ecLevel
+ * @returns {number}
+ */
+export const qrDataCodewords = (version, ecLevel) => blockStructure(version, ecLevel).data;
+
+/**
+ * Alignment pattern center positions of a QR code version
+ * @param {number} version
+ * @returns {number[]}
+ */
+function alignmentPositions(version) {
+	if (version === 1) return [];
+	const numAlign = Math.floor(version / 7) + 2;
+	const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+	const result = [6];
+	for (let pos = qrSymbolSize(version) - 7; result.length < numAlign; pos -= step)
+		result.splice(1, 0, pos);
+	return result;
+}
+
+/**
+ * 15 bit format information (EC level and mask) incl. BCH code and XOR mask
+ * @param {string} ecLevel
+ * @param {number} mask
+ * @returns {number}
+ */
+function formatBits(ecLevel, mask) {
+	const data = EC_LEVEL_BITS[ecLevel] << 3 | mask;
+	let rem = data;
+	for (let i = 0; i < 10; i++)
+		rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+	return (data << 10 | rem) ^ 0x5412;
+}
+
+/**
+ * 18 bit version information incl. BCH code
+ * @param {number} version
+ * @returns {number}
+ */
+function versionBits(version) {
+	let rem = version;
+	for (let i = 0; i < 12; i++)
+		rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+	return version << 12 | rem;
+}
+
+const getBit = (value, i) => ((value >>> i) & 1) !== 0;
+
+/**
+ * Create the function patterns of a QR code symbol
+ * @param {number} version
+ * @returns {{size: number, modules: boolean[][], isFunction: boolean[][]}}
+ */
+function functionPatterns(version) {
+	const size = qrSymbolSize(version);
+	const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+	const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+	const set = (x, y, dark) => {
+		modules[y][x] = dark;
+		isFunction[y][x] = true;
+	};
+
+	// Timing patterns
+	for (let i = 0; i < size; i++) {
+		set(6, i, i % 2 === 0);
+		set(i, 6, i % 2 === 0);
+	}
+
+	// Finder patterns (incl. separators)
+	for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+		for (let dy = -4; dy <= 4; dy++) {
+			for (let dx = -4; dx <= 4; dx++) {
+				const dist = Math.max(Math.abs(dx), Math.abs(dy));
+				const x = cx + dx, y = cy + dy;
+				if (x >= 0 && x < size && y >= 0 && y < size)
+					set(x, y, dist !== 2 && dist !== 4);
+			}
+		}
+	}
+
+	// Alignment patterns (except the ones overlapping the finder patterns)
+	const positions = alignmentPositions(version);
+	const last = positions.length - 1;
+	positions.forEach((cx, i) => positions.forEach((cy, j) => {
+		if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))
+			return;
+		for (let dy = -2; dy <= 2; dy++)
+			for (let dx = -2; dx <= 2; dx++)
+				set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+	}));
+
+	// Reserve format information area (drawn later), incl. the dark module
+	drawFormatBits(set, size, 0);
+
+	// Version information
+	if (version >= 7) {
+		const bits = versionBits(version);
+		for (let i = 0; i < 18; i++) {
+			const a = size - 11 + i % 3, b = Math.floor(i / 3);
+			set(a, b, getBit(bits, i));
+			set(b, a, getBit(bits, i));
+		}
+	}
+
+	return { size, modules, isFunction };
+}
+
+/**
+ * Draw both copies of the format information
+ * @param {(x: number, y: number, dark: boolean) => void} set
+ * @param {number} size
+ * @param {number} bits
+ */
+function drawFormatBits(set, size, bits) {
+	for (let i = 0; i <= 5; i++)
+		set(8, i, getBit(bits, i));
+	set(8, 7, getBit(bits, 6));
+	set(8, 8, getBit(bits, 7));
+	set(7, 8, getBit(bits, 8));
+	for (let i = 9; i < 15; i++)
+		set(14 - i, 8, getBit(bits, i));
+
+	for (let i = 0; i < 8; i++)
+		set(size - 1 - i, 8, getBit(bits, i));
+	for (let i = 8; i < 15; i++)
+		set(8, size - 15 + i, getBit(bits, i));
+	set(8, size - 8, true);	// Always dark
+}
+
+/**
+ * Iterate over the data module positions in placement (zigzag) order
+ * @param {number} size
+ * @param {boolean[][]} isFunction
+ * @returns {Generator<[number, number]>}
+ */
+function* dataModulePositions(size, isFunction) {
+	for (let right = size - 1; right >= 1; right -= 2) {
+		if (right === 6) right = 5;
+		for (let vert = 0; vert < size; vert++) {
+			for (let j = 0; j < 2; j++) {
+				const x = right - j;
+				const upward = ((right + 1) & 2) === 0;
+				const y = upward ? size - 1 - vert : vert;
+				if (!isFunction[y][x])
+					yield [x, y];
+			}
+		}
+	}
+}
+
+/**
+ * Encode data codewords into a QR code module matrix
+ *
+ * @param {object} params
+ * @param {number} params.version
+ * @param {'L'|'M'|'Q'|'H'} params.ecLevel
+ * @param {number} params.mask 0-7
+ * @param {ArrayLike<number>} params.dataCodewords Data codewords incl. terminator and padding
+ * @returns {boolean[][]} Module matrix (rows), `true` for dark modules
+ */
+export function encodeQrSymbol({ version, ecLevel, mask, dataCodewords }) {
+	const structure = blockStructure(version, ecLevel);
+	if (dataCodewords.length !== structure.data)
+		throw new Error(`Invalid number of data codewords for QR code version ${version}-${ecLevel}: ${dataCodewords.length} (expected ${structure.data})`);
+	if (!Number.isInteger(mask) || mask < 0 || mask > 7)
+		throw new Error(`Invalid QR code mask: ${mask}`);
+
+	// Split into blocks, add error correction and interleave
+	const divisor = rsDivisor(structure.ecPerBlock);
+	const blocks = [];
+	for (let i = 0, k = 0; i < structure.blocks; i++) {
+		const length = structure.shortBlockLength - structure.ecPerBlock + (i < structure.shortBlocks ? 0 : 1);
+		const data = Array.from(dataCodewords.slice(k, k + length));
+		k += length;
+		const ec = rsRemainder(data, divisor);
+		if (i < structure.shortBlocks) data.push(0);	// placeholder, skipped when interleaving
+		blocks.push(data.concat(ec));
+	}
+
+	const codewords = [];
+	for (let i = 0; i < blocks[0].length; i++) {
+		blocks.forEach((block, j) => {
+			if (i !== structure.shortBlockLength - structure.ecPerBlock || j >= structure.shortBlocks)
+				codewords.push(block[i]);
+		});
+	}
+
+	// Place codewords, apply mask and format information
+	const { size, modules, isFunction } = functionPatterns(version);
+	let i = 0;
+	for (const [x, y] of dataModulePositions(size, isFunction)) {
+		const dark = i < codewords.length * 8 && getBit(codewords[i >>> 3], 7 - (i & 7));
+		modules[y][x] = dark !== MASKS[mask](x, y);
+		i++;
+	}
+	drawFormatBits((x, y, dark) => modules[y][x] = dark, size, formatBits(ecLevel, mask));
+
+	return modules;
+}
+
+/**
+ * Convert a zxing `symbol` (one-channel image, one pixel per module) into a module matrix
+ * @param {{data: ArrayLike<number>, width: number, height: number}} symbol
+ * @returns {boolean[][]?}
+ */
+export function symbolToMatrix(symbol) {
+	if (!symbol || symbol.width <= 0 || symbol.width !== symbol.height)
+		return null;
+
+	// The top left module (finder pattern) is always dark
+	const dark = symbol.data[0];
+	return Array.from({ length: symbol.height }, (_, y) => {
+		return Array.from({ length: symbol.width }, (_, x) => symbol.data[y * symbol.width + x] === dark);
+	});
+}
+
+/**
+ * Read version, EC level, mask and data codewords from a QR code module matrix
+ *
+ * @param {boolean[][]} matrix Module matrix (rows), `true` for dark modules
+ * @returns {QrSymbolInfo & {dataCodewords: Uint8Array, valid: boolean}} `valid` is false when the error correction does not match
+ */
+export function readQrSymbol(matrix) {
+	const size = matrix.length;
+	const version = (size - 17) / 4;
+	if (!Number.isInteger(version) || version < 1 || version > 40)
+		throw new Error(`Invalid QR code symbol size: ${size}`);
+
+	// Format information: pick the closest valid code (hamming distance) from both copies
+	const firstPositions = [], secondPositions = [];
+	for (let i = 0; i <= 5; i++) firstPositions.push([8, i]);
+	firstPositions.push([8, 7], [8, 8], [7, 8]);
+	for (let i = 9; i < 15; i++) firstPositions.push([14 - i, 8]);
+	for (let i = 0; i < 8; i++) secondPositions.push([size - 1 - i, 8]);
+	for (let i = 8; i < 15; i++) secondPositions.push([8, size - 15 + i]);
+	const first = firstPositions.reduce((res, [x, y], i) => res | ((matrix[y][x] ? 1 : 0) << i), 0);
+	const second = secondPositions.reduce((res, [x, y], i) => res | ((matrix[y][x] ? 1 : 0) << i), 0);
+
+	let best = null;
+	for (const ecLevel of Object.keys(EC_LEVEL_BITS)) {
+		for (let mask = 0; mask < 8; mask++) {
+			const bits = formatBits(ecLevel, mask);
+			const distance = Math.min(popcount(bits ^ first), popcount(bits ^ second));
+			if (best == null || distance < best.distance)
+				best = { ecLevel, mask, distance };
+		}
+	}
+	if (best.distance > 3)
+		throw new Error('Unable to read QR code format information');
+
+	// Read and unmask codewords
+	const { ecLevel, mask } = best;
+	const structure = blockStructure(version, ecLevel);
+	const { isFunction } = functionPatterns(version);
+	const codewords = new Uint8Array(structure.total);
+	let i = 0;
+	for (const [x, y] of dataModulePositions(size, isFunction)) {
+		if (i >= structure.total * 8) break;
+		if (matrix[y][x] !== MASKS[mask](x, y))
+			codewords[i >>> 3] |= 0x80 >>> (i & 7);
+		i++;
+	}
+
+	// Deinterleave blocks (short blocks have a gap at the end of their data codewords)
+	const gap = structure.shortBlockLength - structure.ecPerBlock;
+	const blocks = Array.from({ length: structure.blocks }, () => new Array(structure.shortBlockLength + 1).fill(0));
+	let k = 0;
+	for (let n = 0; n <= structure.shortBlockLength; n++) {
+		blocks.forEach((block, j) => {
+			if (n !== gap || j >= structure.shortBlocks)
+				block[n] = codewords[k++];
+		});
+	}
+
+	// Extract data codewords and check error correction
+	const divisor = rsDivisor(structure.ecPerBlock);
+	let valid = true;
+	const dataCodewords = blocks.flatMap((block, j) => {
+		const data = block.slice(0, gap + (j < structure.shortBlocks ? 0 : 1));
+		const ec = block.slice(block.length - structure.ecPerBlock);
+		if (rsRemainder(data, divisor).some((value, idx) => value !== ec[idx]))
+			valid = false;
+		return data;
+	});
+
+	return { version, ecLevel, mask, dataCodewords: Uint8Array.from(dataCodewords), valid };
+}
+
+/**
+ * Count set bits
+ * @param {number} value
+ * @returns {number}
+ */
+function popcount(value) {
+	let count = 0;
+	for (let v = value; v; v &= v - 1) count++;
+	return count;
+}
+
+/**
+ * Parse the segments of a QR code data bit stream
+ *
+ * @param {ArrayLike<number>} dataCodewords
+ * @param {number} version
+ * @returns {QrSegment[]}
+ */
+export function parseQrSegments(dataCodewords, version) {
+	const totalBits = dataCodewords.length * 8;
+	let offset = 0;
+	const read = (bits) => {
+		let value = 0;
+		for (let i = 0; i < bits; i++, offset++)
+			value = (value << 1) | ((dataCodewords[offset >>> 3] >>> (7 - (offset & 7))) & 1);
+		return value;
+	};
+	const countBits = (small, medium, large) => version <= 9 ? small : (version <= 26 ? medium : large);
+
+	const segments = [];
+	while (totalBits - offset >= 4) {
+		const mode = read(4);
+		switch (mode) {
+		case 0x0:	// Terminator
+			return segments;
+		case 0x1: {	// Numeric
+			const count = read(countBits(10, 12, 14));
+			let digits = '';
+			for (let n = count; n > 0; n -= 3) {
+				const len = Math.min(n, 3);
+				digits += String(read([0, 4, 7, 10][len])).padStart(len, '0');
+			}
+			segments.push({ mode: 'numeric', count, bytes: Buffer.from(digits, 'latin1') });
+			break;
+		}
+		case 0x2: {	// Alphanumeric
+			const count = read(countBits(9, 11, 13));
+			let chars = '';
+			for (let n = count; n > 0; n -= 2) {
+				if (n >= 2) {
+					const value = read(11);
+					chars += ALPHANUMERIC_CHARSET[Math.floor(value / 45)] + ALPHANUMERIC_CHARSET[value % 45];
+				} else {
+					chars += ALPHANUMERIC_CHARSET[read(6)];
+				}
+			}
+			segments.push({ mode: 'alphanumeric', count, bytes: Buffer.from(chars, 'latin1') });
+			break;
+		}
+		case 0x4: {	// Byte
+			const count = read(countBits(8, 16, 16));
+			const bytes = new Uint8Array(count);
+			for (let n = 0; n < count; n++)
+				bytes[n] = read(8);
+			segments.push({ mode: 'byte', count, bytes });
+			break;
+		}
+		case 0x8: {	// Kanji (13 bit compacted Shift JIS)
+			const count = read(countBits(8, 10, 12));
+			const bytes = new Uint8Array(count * 2);
+			for (let n = 0; n < count; n++) {
+				const value = read(13);
+				let sjis = (Math.floor(value / 0xC0) << 8) | (value % 0xC0);
+				sjis += sjis < 0x1F00 ? 0x8140 : 0xC140;
+				bytes[n * 2] = sjis >>> 8;
+				bytes[n * 2 + 1] = sjis & 0xFF;
+			}
+			segments.push({ mode: 'kanji', count, bytes });
+			break;
+		}
+		case 0x7: {	// ECI
+			const first = read(8);
+			let eci = first;
+			if ((first & 0x80) === 0)
+				eci = first;
+			else if ((first & 0xC0) === 0x80)
+				eci = ((first & 0x3F) << 8) | read(8);
+			else if ((first & 0xE0) === 0xC0)
+				eci = ((first & 0x1F) << 16) | read(16);
+			segments.push({ mode: 'eci', eci });
+			break;
+		}
+		case 0x3:	// Structured append
+			read(16);
+			segments.push({ mode: 'structuredappend' });
+			break;
+		case 0x5:	// FNC1 first position
+			segments.push({ mode: 'fnc1' });
+			break;
+		case 0x9:	// FNC1 second position (application indicator)
+			read(8);
+			segments.push({ mode: 'fnc1' });
+			break;
+		default:
+			throw new Error(`Unsupported QR code segment mode: ${mode}`);
+		}
+	}
+	return segments;
+}
+
+/**
+ * Compare two module matrices
+ * @param {boolean[][]} a
+ * @param {boolean[][]} b
+ * @returns {boolean}
+ */
+export function matricesEqual(a, b) {
+	return a.length === b.length && a.every((row, y) => row.length === b[y].length && row.every((dark, x) => dark === b[y][x]));
+}
+
+/**
+ * Render a module matrix as SVG, using the same geometry as bwip-js (2 units per module)
+ * @param {boolean[][]} matrix
+ * @param {object} options
+ * @param {number} options.padding Padding in units
+ * @returns {string}
+ */
+export function qrMatrixToSvg(matrix, options = { padding: 2 }) {
+	const padding = options?.padding ?? 2;
+	const size = matrix.length * 2 + (padding << 1);
+	const path = matrix.flatMap((row, y) => {
+		const runs = [];
+		for (let x = 0; x < row.length; x++) {
+			if (!row[x]) continue;
+			const start = x;
+			while (x + 1 < row.length && row[x + 1]) x++;
+			runs.push(`M${padding + start * 2} ${padding + y * 2}h${(x - start + 1) * 2}v2h-${(x - start + 1) * 2}Z`);
+		}
+		return runs;
+	}).join('');
+
+	return `<svg viewBox="0 0 ${size} ${size}" xmlns="http://www.w3.org/2000/svg">\n`
+		+ `<rect width="100%" height="100%" fill="#FFFFFF" />\n`
+		+ `<path d="${path}" fill="#000000" />\n`
+		+ `</svg>\n`;
+}
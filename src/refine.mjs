@@ -0,0 +1,292 @@
+/**
+ * Adaptive second detection pass
+ *
+ * The first pass decodes the page image rendered at the default resolution. Regions that look
+ * like barcodes but were not (or not correctly) decoded are rendered again at a higher resolution
+ * using poppler's crop area options, pages without any result are rendered at the higher
+ * resolution as a whole and scanned in overlapping tiles. Results are mapped back into page
+ * image coordinates and merged with the first pass, de-duplicated by bounding box overlap.
+ * Page detections of rxing (second decoder) are matched with the zxing detections likewise.
+ */
+import { createCanvas, loadImage } from 'canvas';
+import * as zxing from 'zxing-wasm';
+
+import { findBarcodeCandidates } from './measure.mjs';
+import { RXING_CONTENT_BYTES_FORMATS } from './rxing.mjs';
+import { BboxUtils } from './utils.mjs';
+
+/**
+ * zxing-wasm options for page (and tile) images
+ */
+export const ZXING_PAGE_OPTIONS = Object.freeze({
+	tryHarder: true,
+	tryDownscale: true,
+	tryDenoise: true,
+	tryCode39ExtendedMode: true,
+	downscaleFactor: 2,
+});
+
+/**
+ * Bbox overlap (IoU) above which two detections are considered the same barcode
+ */
+const DUPLICATE_IOU = 0.5;
+
+/**
+ * Overlap (IoU of the padded bboxes) above which the detections of two decoders are matched
+ */
+const ENGINE_MATCH_IOU = 0.3;
+
+/**
+ * @typedef {object} SecondPassOptions
+ * @property {number} scale Resolution factor of the second pass (relative to the page image)
+ * @property {number} tileSize Tile size in pixels (of the high resolution image)
+ * @property {number} tileOverlap Tile overlap ratio
+ *
+ * @callback RenderRegion
+ * @param {Bbox?} region Page image region, `null` for the whole page
+ * @param {number} scale Resolution factor
+ * @returns {Promise<Buffer>} PNG image of the region
+ */
+
+/**
+ * Map a barcode detected in a (scaled) region image back into page image coordinates
+ * @param {zxing.ReadResult} barcode
+ * @param {{x: number, y: number}} offset Region offset in page image coordinates
+ * @param {number} scale Resolution factor of the region image
+ * @returns {zxing.ReadResult}
+ */
+export function mapBarcodeToPage(barcode, offset, scale) {
+	const mapPoint = (point) => ({ x: offset.x + point.x / scale, y: offset.y + point.y / scale });
+	return {
+		...barcode,
+		position: {
+			topLeft: mapPoint(barcode.position.topLeft),
+			topRight: mapPoint(barcode.position.topRight),
+			bottomRight: mapPoint(barcode.position.bottomRight),
+			bottomLeft: mapPoint(barcode.position.bottomLeft),
+		},
+	};
+}
+
+/**
+ * Check whether two detections are the same barcode
+ * @param {zxing.ReadResult} a
+ * @param {zxing.ReadResult} b
+ * @returns {boolean}
+ */
+function isDuplicate(a, b) {
+	const bboxA = BboxUtils.bboxFromBarcode(a), bboxB = BboxUtils.bboxFromBarcode(b);
+	if (BboxUtils.bboxIoU(bboxA, bboxB) >= DUPLICATE_IOU) return true;
+
+	// Tiles may cut a barcode, the partial detection lies within the complete one
+	return a.format === b.format && a.text === b.text
+		&& (BboxUtils.bboxInsideOther(bboxA, bboxB) || BboxUtils.bboxInsideOther(bboxB, bboxA) || BboxUtils.bboxIoU(bboxA, bboxB) > 0);
+}
+
+/**
+ * Merge detections, earlier valid results win over later duplicates (invalid results are replaced)
+ * @param {zxing.ReadResult[]} barcodes
+ * @param {zxing.ReadResult[]} additional
+ * @returns {zxing.ReadResult[]}
+ */
+export function mergeBarcodes(barcodes, additional) {
+	const result = [...barcodes];
+	for (const barcode of additional) {
+		const idx = result.findIndex((other) => isDuplicate(other, barcode));
+		if (idx < 0)
+			result.push(barcode);
+		else if (!result[idx].isValid && barcode.isValid)
+			result[idx] = barcode;
+	}
+	return result;
+}
+
+/**
+ * Bbox of a detection for matching the results of different decoders
+ *
+ * Linear barcodes are reported as a line across the bars (at a different height by each decoder),
+ * the bbox is extended across the bars and padded.
+ *
+ * @param {Bbox} bbox Detected bbox
+ * @returns {Bbox}
+ */
+function engineMatchBbox(bbox) {
+	const width = bbox.x1 - bbox.x0, height = bbox.y1 - bbox.y0;
+	const padding = Math.max(width, height) * 0.1 + 5;
+	const dx = padding + (width < height * 0.1 ? height * 0.3 : 0);
+	const dy = padding + (height < width * 0.1 ? width * 0.3 : 0);
+	return { x0: bbox.x0 - dx, y0: bbox.y0 - dy, x1: bbox.x1 + dx, y1: bbox.y1 + dy };
+}
+
+/**
+ * Check whether two detections (of different decoders or sources) are at the same location
+ * @param {Bbox} a
+ * @param {Bbox} b
+ * @returns {boolean}
+ */
+export function isSameLocation(a, b) {
+	const bboxA = engineMatchBbox(a), bboxB = engineMatchBbox(b);
+	const inside = (bbox, point) => point.x >= bbox.x0 && point.x <= bbox.x1 && point.y >= bbox.y0 && point.y <= bbox.y1;
+	return BboxUtils.bboxIoU(bboxA, bboxB) >= ENGINE_MATCH_IOU
+		|| inside(bboxA, BboxUtils.bboxCenterPoint(bboxB))
+		|| inside(bboxB, BboxUtils.bboxCenterPoint(bboxA));
+}
+
+/**
+ * Merge the page detections of rxing into the zxing detections (matched by location and payload)
+ *
+ * Every barcode records the decoders that found it in `engines`. Matched barcodes whose format,
+ * text or content bytes differ get an `engineMismatch` with the differing fields and the rxing
+ * reading, otherwise the rxing raw bytes (codewords) are kept as `rxingBytes` (strict mode).
+ * Barcodes only rxing found are added with `rxingBytes`, their content bytes are unknown (`null`)
+ * unless rxing reports them.
+ *
+ * NOTE: Bytes are only compared for `RXING_CONTENT_BYTES_FORMATS`, the codewords rxing reports for
+ * other formats have no zxing counterpart (strict mode verifies them on the regenerated symbol).
+ *
+ * @param {zxing.ReadResult[]} barcodes zxing detections
+ * @param {Array<{format: string?, text: string, bytes: Uint8Array, position: Position?}>} rxingBarcodes
+ * @returns {zxing.ReadResult[]}
+ */
+export function mergeEngineBarcodes(barcodes, rxingBarcodes) {
+	const result = barcodes.map((barcode) => ({ ...barcode, engines: barcode.engines ?? ['zxing'] }));
+	for (const other of rxingBarcodes) {
+		if (!other.format || !other.position) continue;
+		const contentBytes = RXING_CONTENT_BYTES_FORMATS.includes(other.format) ? other.bytes : null;
+
+		const candidates = result.filter((barcode) => !barcode.engines.includes('rxing') && isSameLocation(BboxUtils.bboxFromBarcode(barcode), BboxUtils.bboxFromBarcode(other)));
+		const match = candidates.find((barcode) => barcode.format.toLowerCase() === other.format && barcode.text === other.text)
+			?? candidates.at(0);
+		if (!match) {
+			result.push({
+				format: other.format,
+				text: other.text,
+				bytes: contentBytes,
+				position: other.position,
+				isValid: true,
+				engines: ['rxing'],
+				rxingBytes: other.bytes,
+			});
+			continue;
+		}
+
+		match.engines = [...match.engines, 'rxing'];
+		const fields = [
+			...(match.format.toLowerCase() !== other.format ? ['format'] : []),
+			...(match.text !== other.text ? ['text'] : []),
+			...(contentBytes && Buffer.compare(Buffer.from(match.bytes ?? []), Buffer.from(contentBytes)) !== 0 ? ['bytes'] : []),
+		];
+		if (fields.length <= 0) {
+			match.rxingBytes = other.bytes;
+			continue;
+		}
+		const data = contentBytes ? { data: Buffer.from(contentBytes).toString('base64') } : {};
+		match.engineMismatch = { fields, rxing: { format: other.format, text: other.text, ...data } };
+	}
+	return result;
+}
+
+/**
+ * Overlapping tiles covering an image
+ * @param {number} width
+ * @param {number} height
+ * @param {number} tileSize
+ * @param {number} overlap Overlap ratio (0..1)
+ * @returns {Bbox[]}
+ */
+export function tileRegions(width, height, tileSize, overlap = 0.2) {
+	const step = Math.max(Math.floor(tileSize * (1 - overlap)), 1);
+	const starts = (size) => {
+		const result = [];
+		for (let start = 0; start + tileSize < size; start += step) result.push(start);
+		result.push(Math.max(size - tileSize, 0));
+		return Array.from(new Set(result));
+	};
+
+	return starts(height).flatMap((y0) => starts(width).map((x0) => ({
+		x0, y0,
+		x1: Math.min(x0 + tileSize, width),
+		y1: Math.min(y0 + tileSize, height),
+	})));
+}
+
+/**
+ * Decode an image in overlapping tiles
+ * @param {Image} image
+ * @param {SecondPassOptions} options
+ * @returns {Promise<zxing.ReadResult[]>} Detections in image coordinates
+ */
+async function readTiles(image, options) {
+	const ctx = createCanvas(image.width, image.height).getContext('2d');
+	ctx.drawImage(image, 0, 0);
+
+	let result = [];
+	for (const tile of tileRegions(image.width, image.height, options.tileSize, options.tileOverlap)) {
+		const imageData = ctx.getImageData(tile.x0, tile.y0, tile.x1 - tile.x0, tile.y1 - tile.y0);
+		const barcodes = await zxing.readBarcodes(imageData, ZXING_PAGE_OPTIONS);
+		result = mergeBarcodes(result, barcodes.map((barcode) => mapBarcodeToPage(barcode, { x: tile.x0, y: tile.y0 }, 1)));
+	}
+	return result;
+}
+
+/**
+ * Run the second detection pass on a page
+ *
+ * @param {CanvasRenderingContext2D} pageCtx Page image
+ * @param {zxing.ReadResult[]} barcodes First pass detections
+ * @param {object} context
+ * @param {RenderRegion} context.renderRegion
+ * @param {TextLine[]} context.textLines Text lines of the page (excluded from candidate regions)
+ * @param {SecondPassOptions} options
+ * @returns {Promise<{barcodes: zxing.ReadResult[], regions: Bbox[], tiled: boolean}>} Additional detections in page image coordinates
+ */
+export async function secondPass(pageCtx, barcodes, context, options = {}) {
+	const scale = options.scale ?? 3;
+	const tileOptions = { tileSize: options.tileSize ?? 1500, tileOverlap: options.tileOverlap ?? 0.2 };
+	const { width, height } = pageCtx.canvas;
+
+	// Pages without any result: scan the whole page at high resolution in tiles
+	if (barcodes.length <= 0) {
+		const image = await loadImage(await context.renderRegion(null, scale));
+		const detected = await readTiles(image, tileOptions);
+		return { barcodes: detected.map((barcode) => mapBarcodeToPage(barcode, { x: 0, y: 0 }, scale)), regions: [], tiled: true };
+	}
+
+	// Candidate regions: barcode-like areas without valid detection and invalid detections
+	const validBboxes = barcodes.filter((barcode) => barcode.isValid).map((barcode) => BboxUtils.bboxFromBarcode(barcode));
+	const regions = [
+		...findBarcodeCandidates(pageCtx.getImageData(0, 0, width, height), {
+			exclude: [...validBboxes, ...context.textLines.map((line) => line.bbox)],
+		}),
+		...barcodes.filter((barcode) => !barcode.isValid).map((barcode) => BboxUtils.bboxFromBarcode(barcode)),
+	].map((bbox) => {
+		// Add a quiet zone margin around the region
+		const margin = Math.max(16, Math.round(Math.max(bbox.x1 - bbox.x0, bbox.y1 - bbox.y0) * 0.25));
+		return {
+			x0: Math.max(bbox.x0 - margin, 0),
+			y0: Math.max(bbox.y0 - margin, 0),
+			x1: Math.min(bbox.x1 + margin, width),
+			y1: Math.min(bbox.y1 + margin, height),
+		};
+	});
+
+	let detected = [];
+	for (const region of regions) {
+		const image = await loadImage(await context.renderRegion(region, scale));
+		const regionBarcodes = image.width > tileOptions.tileSize || image.height > tileOptions.tileSize
+			? await readTiles(image, tileOptions)
+			: await zxing.readBarcodes(await imageToImageData(image), ZXING_PAGE_OPTIONS);
+		detected = mergeBarcodes(detected, regionBarcodes.map((barcode) => mapBarcodeToPage(barcode, { x: region.x0, y: region.y0 }, scale)));
+	}
+	return { barcodes: detected, regions, tiled: false };
+}
+
+/**
+ * @param {Image} image
+ * @returns {Promise<ImageData>}
+ */
+async function imageToImageData(image) {
+	const ctx = createCanvas(image.width, image.height).getContext('2d');
+	ctx.drawImage(image, 0, 0);
+	return ctx.getImageData(0, 0, image.width, image.height);
+}
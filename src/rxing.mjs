@@ -2,18 +2,59 @@
  * PoC port of extract-barcodes from C++ to JS/TS
  */
 import { createCanvas, loadImage } from 'canvas';
-import { getBarcodeImageData } from './utils.mjs';
+import { BboxUtils, getBarcodeImageData } from './utils.mjs';
 import * as rxing from 'rxing-wasm';
 
+/**
+ * Formats whose rxing raw bytes are the content bytes (like zxing `bytes`), rxing reports the
+ * codewords of other formats (e.g. DataMatrix, incl. padding)
+ */
+export const RXING_CONTENT_BYTES_FORMATS = Object.freeze(['qrcode']);
+
+/**
+ * Map an rxing barcode format onto the (lower case) zxing format name
+ * @param {number} rxingFormatId `rxing.BarcodeFormat` value
+ * @returns {string?} `null` for formats without zxing equivalent
+ */
 export function rxingFormatToZxing(rxingFormatId) {
 	switch (rxingFormatId) {
+	case rxing.BarcodeFormat.AZTEC:
+		return "aztec";
+	case rxing.BarcodeFormat.CODABAR:
+		return "codabar";
+	case rxing.BarcodeFormat.Code39:
+		return "code39";
+	case rxing.BarcodeFormat.Code93:
+		return "code93";
 	case rxing.BarcodeFormat.Code128:
 		return "code128";
-	case rxing.BarcodeFormat.QrCode:
-		return "qrcode";
 	case rxing.BarcodeFormat.DataMatrix:
 		return "datamatrix";
-	default:	// ignore mapping errors for now
+	case rxing.BarcodeFormat.Ean8:
+		return "ean-8";
+	case rxing.BarcodeFormat.Ean13:
+		return "ean-13";
+	case rxing.BarcodeFormat.ITF:
+		return "itf";
+	case rxing.BarcodeFormat.MAXICODE:
+		return "maxicode";
+	case rxing.BarcodeFormat.Pdf417:
+		return "pdf417";
+	case rxing.BarcodeFormat.QrCode:
+		return "qrcode";
+	case rxing.BarcodeFormat.MicroQR:
+		return "microqrcode";
+	case rxing.BarcodeFormat.RectangularMicroQR:
+		return "rmqrcode";
+	case rxing.BarcodeFormat.Rss14:
+		return "databar";
+	case rxing.BarcodeFormat.RssExpanded:
+		return "databarexpanded";
+	case rxing.BarcodeFormat.UpcA:
+		return "upc-a";
+	case rxing.BarcodeFormat.UpcE:
+		return "upc-e";
+	default:	// ignore mapping errors for now (UPC/EAN extensions, Telepen)
 		return null;
 	}
 }
@@ -31,6 +72,38 @@ export function rxingBboxToZxingPosition(rxingBbox, offset = null) {
 	};
 }
 
+/**
+ * Position enclosing all result points of an rxing detection
+ *
+ * rxing reports finder pattern centers for QR codes (and similar symbols) and a line across the
+ * bars for linear codes. Matrix symbols are padded, so the position covers the whole symbol.
+ *
+ * @param {Float32Array|number[]} points Flat list of result point coordinates
+ * @param {string?} format zxing format name
+ * @returns {Position?} `null` without result points
+ */
+export function rxingPointsToZxingPosition(points, format = null) {
+	const xs = [], ys = [];
+	for (let idx = 0; idx + 1 < (points?.length ?? 0); idx += 2) {
+		xs.push(points[idx]);
+		ys.push(points[idx + 1]);
+	}
+	if (xs.length <= 0) return null;
+	const padding = ["qrcode", "microqrcode", "rmqrcode", "aztec", "maxicode"].includes(format)
+		? Math.round(Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys)) * 0.15)
+		: 0;
+	return rxingBboxToZxingPosition([
+		Math.min(...xs) - padding, Math.min(...ys) - padding,
+		Math.max(...xs) + padding, Math.max(...ys) + padding,
+	]);
+}
+
+/**
+ * Detect all barcodes of a page image with rxing
+ * @param {Buffer} page Page image (PNG)
+ * @returns {Promise<Array<{format: string?, text: string, bytes: Uint8Array, position: Position?}>>} Detections, `bytes` are
+ *   the raw bytes (codewords) of the symbol, see `RXING_CONTENT_BYTES_FORMATS`
+ */
 export async function rxingDetectBarcodes(page) {
 	return loadImage(page).then(async (image) => {
 		const pageCanvas = createCanvas(image.width, image.height);
@@ -45,11 +118,12 @@ export async function rxingDetectBarcodes(page) {
 
 		try {
 			return rxing.decode_multi(lumaData, image.width, image.height, hints, true).reduce((res, item) => {
+				const format = rxingFormatToZxing(item.format());
 				res.push({
-					format: rxingFormatToZxing(item.format()),
+					format,
 					text:   item.text(),
 					bytes:  item.raw_bytes(),
-					position: rxingBboxToZxingPosition(item.result_points()),
+					position: rxingPointsToZxingPosition(item.result_points(), format),
 				});
 				item.free();
 				return res;
@@ -59,21 +133,62 @@ export async function rxingDetectBarcodes(page) {
 				return [];
 
 			throw err;
+		} finally {
+			hints.free();
 		}
 	});
 }
 
 /**
+ * Decode a single barcode image (e.g. a regenerated barcode) with rxing
+ * @param {ImageData} imageData
+ * @returns {Promise<object?>} The detected barcode, `null` if none was found
+ */
+export async function rxingDecodeImage(imageData) {
+	const lumaData = rxing.convert_imagedata_to_luma(imageData);
+
+	const hints = new rxing.DecodeHintDictionary();
+	hints.set_hint(rxing.DecodeHintTypes.TryHarder, "true");
+
+	let result = null;
+	try {
+		result = await rxing.decode_barcode_with_hints(lumaData, imageData.width, imageData.height, hints, true);
+		const format = rxingFormatToZxing(result.format());
+		return {
+			format,
+			position: rxingPointsToZxingPosition(result.result_points(), format),
+			text:   result.text(),
+			bytes:  result.raw_bytes(),
+		};
+	} catch (err) {
+		return null;
+	} finally {
+		hints?.free();
+		result?.free();
+	}
+}
+
+/**
+ * Decode a single barcode of a page with rxing, rotated barcodes are deskewed first
  * @param {CanvasRenderingContext2D} srcCanvas Source canvas
- * @param {Bbox} bbox
+ * @param {Bbox|Position} region Barcode bbox or (four-point) position
  * @returns
  */
-export async function rxingDetectBarcode(srcCtx, bbox, options = { padding: 5 }) {
-	const imageData = getBarcodeImageData(srcCtx, bbox, { padding: options?.padding });
+export async function rxingDetectBarcode(srcCtx, region, options = { padding: 5 }) {
+	const padding = options?.padding ?? 0;
+	const imageData = getBarcodeImageData(srcCtx, region, { padding });
 	const lumaData = rxing.convert_imagedata_to_luma(imageData);
 
 	const iw = imageData.width, ih = imageData.height;
-	const ix = bbox.x0, iy = bbox.y0;
+
+	// Map crop coordinates back onto the page
+	const frame = region.topLeft ? BboxUtils.positionFrame(region) : null;
+	const toPage = (frame && !frame.axisAligned)
+		? (point) => frame.toPage({ x: point.x - padding, y: point.y - padding })
+		: (point) => {
+			const bbox = frame ? BboxUtils.bboxFromPosition(region) : region;
+			return { x: point.x - padding + bbox.x0, y: point.y - padding + bbox.y0 };
+		};
 
 	const hints = new rxing.DecodeHintDictionary();
 	hints.set_hint(rxing.DecodeHintTypes.TryHarder, "true");
@@ -81,9 +196,11 @@ export async function rxingDetectBarcode(srcCtx, bbox, options = { padding: 5 })
 	let result = null;
 	try {
 		result = await rxing.decode_barcode_with_hints(lumaData, iw, ih, hints, true);
+		const format = rxingFormatToZxing(result.format());
+		const position = rxingPointsToZxingPosition(result.result_points(), format);
 		return {
-			format: rxingFormatToZxing(result.format()),
-			position: rxingBboxToZxingPosition(result.result_points(), { x: ix, y: iy }),
+			format,
+			position: position ? Object.fromEntries(Object.entries(position).map(([corner, point]) => [corner, toPage(point)])) : null,
 			text:   result.text(),
 			bytes:  result.raw_bytes(),
 		};
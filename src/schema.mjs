@@ -0,0 +1,133 @@
+/**
+ * Versioned output schema of extraction results (JSON Schema, `schema/result.schema.json`)
+ *
+ * Results are checked with a small validator covering the keywords used by the schema
+ * (type, const, enum, required, properties, patternProperties, additionalProperties, items,
+ * minItems, minimum, maximum, oneOf and local `$ref`s), other tools can use the schema file itself.
+ */
+import fs from 'node:fs/promises';
+
+/**
+ * Version of the result format, stored as `common.schemaVersion`
+ */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Location of the JSON Schema
+ */
+export const RESULT_SCHEMA_FILE = new URL('../schema/result.schema.json', import.meta.url);
+
+/**
+ * @typedef {object} SchemaError
+ * @property {string} path JSON pointer of the invalid value
+ * @property {string} message
+ */
+
+let resultSchema = null;
+
+/**
+ * Load the JSON Schema of extraction results
+ * @returns {Promise<object>}
+ */
+export async function loadResultSchema() {
+	resultSchema ??= JSON.parse(await fs.readFile(RESULT_SCHEMA_FILE, { encoding: 'utf8' }));
+	return resultSchema;
+}
+
+/**
+ * JSON Schema type of a value
+ * @param {any} value
+ * @returns {string}
+ */
+function jsonType(value) {
+	if (value === null) return 'null';
+	if (Array.isArray(value)) return 'array';
+	if (Number.isInteger(value)) return 'integer';
+	return typeof value;
+}
+
+/**
+ * Validate a value against a (sub)schema
+ * @param {any} value
+ * @param {object} schema
+ * @param {object} root Root schema (resolves `$ref`s)
+ * @param {string} path JSON pointer of the value
+ * @returns {SchemaError[]}
+ */
+function validateValue(value, schema, root, path) {
+	if (schema.$ref) {
+		const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], root);
+		if (!target) return [{ path, message: `unresolved schema reference '${schema.$ref}'` }];
+		return validateValue(value, target, root, path);
+	}
+
+	const type = jsonType(value);
+	if (schema.type) {
+		const types = [schema.type].flat();
+		if (!types.includes(type) && !(type === 'integer' && types.includes('number')))
+			return [{ path, message: `must be ${types.join(' or ')}, found ${type}` }];
+	}
+	if ('const' in schema && value !== schema.const)
+		return [{ path, message: `must be ${JSON.stringify(schema.const)}` }];
+	if (schema.enum && !schema.enum.includes(value))
+		return [{ path, message: `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(', ')}` }];
+	if (schema.oneOf) {
+		const matches = schema.oneOf.map((option) => validateValue(value, option, root, path));
+		const valid = matches.filter((errors) => errors.length <= 0).length;
+		if (valid === 1) return [];
+		if (valid > 1) return [{ path, message: 'matches more than one alternative' }];
+		// Report the alternative which got furthest (errors inside the value, the fewest of them)
+		const score = (errors) => errors.every((error) => error.path === path) ? Infinity : errors.length;
+		return matches.reduce((best, errors) => score(errors) < score(best) ? errors : best);
+	}
+
+	const errors = [];
+	if (type === 'number' || type === 'integer') {
+		if (schema.minimum != null && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+		if (schema.maximum != null && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+	} else if (type === 'array') {
+		if (schema.minItems != null && value.length < schema.minItems) errors.push({ path, message: `must have at least ${schema.minItems} item(s)` });
+		if (schema.items) {
+			for (const [idx, item] of value.entries()) errors.push(...validateValue(item, schema.items, root, `${path}/${idx}`));
+		}
+	} else if (type === 'object') {
+		for (const key of schema.required ?? []) {
+			if (!(key in value)) errors.push({ path, message: `missing required property '${key}'` });
+		}
+		const patterns = Object.entries(schema.patternProperties ?? {}).map(([pattern, subschema]) => [new RegExp(pattern, 'u'), subschema]);
+		for (const [key, item] of Object.entries(value)) {
+			const itemPath = `${path}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+			const subschemas = [
+				...(schema.properties?.[key] ? [schema.properties[key]] : []),
+				...patterns.filter(([pattern]) => pattern.test(key)).map(([_, subschema]) => subschema),
+			];
+			if (subschemas.length <= 0 && schema.additionalProperties === false)
+				errors.push({ path: itemPath, message: 'unknown property' });
+			for (const subschema of subschemas) errors.push(...validateValue(item, subschema, root, itemPath));
+		}
+	}
+	return errors;
+}
+
+/**
+ * Validate an extraction result (or `--out-dir` manifest)
+ * @param {any} result Parsed result JSON
+ * @returns {Promise<SchemaError[]>} Empty if the result is valid
+ */
+export async function validateResult(result) {
+	const schema = await loadResultSchema();
+	return validateValue(result, schema, schema, '');
+}
+
+/**
+ * Validate the records of an NDJSON result (`--format ndjson`)
+ * @param {any[]} records Parsed records in file order
+ * @returns {Promise<SchemaError[]>} Empty if all records are valid, paths start with the record index
+ */
+export async function validateRecords(records) {
+	const schema = await loadResultSchema();
+	const errors = records.flatMap((record, idx) => validateValue(record, schema.$defs.record, schema, `/${idx}`));
+	if (records[0]?.type !== 'common')
+		errors.unshift({ path: '/0', message: "first record must be the 'common' header" });
+	return errors;
+}
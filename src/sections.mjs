@@ -0,0 +1,150 @@
+/**
+ * Section heading detection and option grouping
+ *
+ * Headings are detected document-wide from the text line heights (font size) of the poppler
+ * TSV output, running page headers/footers are excluded by their position. Every barcode is
+ * assigned the path of headings preceding it (e.g. `['Code 39', 'Enable/Disable']`), barcodes
+ * sharing the same path form an option group (mutually exclusive values of one parameter).
+ */
+
+/**
+ * @typedef {object} Heading
+ * @property {number} page
+ * @property {number} level Heading level, 1 being the largest font size
+ * @property {string} text
+ * @property {Bbox} bbox
+ *
+ * @typedef {object} OptionGroup
+ * @property {string} id Section path joined with ' > '
+ * @property {string[]} section
+ * @property {Array<{page: number, index: number, label: string?, text: string}>} options
+ */
+
+/**
+ * Minimum font size ratio (compared to the body text) of a heading
+ */
+const HEADING_SIZE_RATIO = 1.15;
+
+/**
+ * Maximum number of heading levels
+ */
+const MAX_HEADING_LEVELS = 4;
+
+const lineHeight = (line) => line.bbox.y1 - line.bbox.y0;
+const median = (values) => [...values].sort((a, b) => a - b).at(values.length >>> 1) ?? 0;
+
+/**
+ * Detect running page headers and footers (same text at the same position on several pages)
+ * @param {TextLine[]} textLines
+ * @param {number} minPages
+ * @returns {Set<TextLine>}
+ */
+function runningLines(textLines, minPages = 3) {
+	const normalize = (text) => text.trim().toLowerCase().replace(/\d+/g, '#');
+	const occurrences = textLines.reduce((res, line) => {
+		const key = `${normalize(line.text)}@${Math.round(line.bbox.y0 / 10)}`;
+		if (!res.has(key)) res.set(key, []);
+		res.get(key).push(line);
+		return res;
+	}, new Map());
+
+	const result = new Set();
+	for (const lines of occurrences.values()) {
+		if (new Set(lines.map((line) => line.page)).size >= minPages)
+			lines.forEach((line) => result.add(line));
+	}
+	return result;
+}
+
+/**
+ * Detect section headings of a document
+ *
+ * @param {TextLine[]} textLines Text lines of the whole document
+ * @returns {Heading[]} Headings in reading order
+ */
+export function detectHeadings(textLines) {
+	if (textLines.length <= 0) return [];
+
+	const bodyHeight = median(textLines.map(lineHeight));
+	const excluded = runningLines(textLines);
+	const candidates = textLines.filter((line) => {
+		const text = line.text.trim();
+		return !excluded.has(line)
+			&& lineHeight(line) >= bodyHeight * HEADING_SIZE_RATIO
+			&& text.length > 1 && text.length <= 80
+			&& /\p{L}/u.test(text);
+	});
+
+	// Cluster heading sizes (8% tolerance), largest size = level 1
+	const sizes = candidates.map(lineHeight).sort((a, b) => b - a).reduce((res, height) => {
+		if (res.length <= 0 || res.at(-1) - height > res.at(-1) * 0.08) res.push(height);
+		return res;
+	}, []).slice(0, MAX_HEADING_LEVELS);
+	const levelOf = (line) => {
+		const idx = sizes.findIndex((size) => lineHeight(line) >= size - size * 0.08);
+		return idx >= 0 ? idx + 1 : null;
+	};
+
+	// Join multi-line headings (consecutive lines of the same block with the same level)
+	const ordered = candidates
+		.map((line) => ({ line, level: levelOf(line) }))
+		.filter((item) => item.level != null)
+		.sort((a, b) => (a.line.page - b.line.page) || (a.line.bbox.y0 - b.line.bbox.y0) || (a.line.bbox.x0 - b.line.bbox.x0));
+
+	return ordered.reduce((res, { line, level }) => {
+		const previous = res.at(-1);
+		if (previous && previous.page === line.page && previous.level === level && previous.block === line.block
+			&& line.bbox.y0 - previous.bbox.y1 <= lineHeight(line) * 0.5) {
+			previous.text += ' ' + line.text.trim();
+			previous.bbox = {
+				x0: Math.min(previous.bbox.x0, line.bbox.x0),
+				y0: previous.bbox.y0,
+				x1: Math.max(previous.bbox.x1, line.bbox.x1),
+				y1: Math.max(previous.bbox.y1, line.bbox.y1),
+			};
+		} else {
+			res.push({ page: line.page, block: line.block, level, text: line.text.trim(), bbox: { ...line.bbox } });
+		}
+		return res;
+	}, []).map(({ block: _block, ...heading }) => heading);
+}
+
+/**
+ * Build the section path from the headings preceding a position (in reading order)
+ * @param {Heading[]} headings Preceding headings, in reading order
+ * @returns {string[]}
+ */
+export function sectionPath(headings) {
+	const stack = [];
+	for (const heading of headings) {
+		while (stack.length > 0 && stack.at(-1).level >= heading.level)
+			stack.pop();
+		stack.push(heading);
+	}
+	return stack.map((heading) => heading.text);
+}
+
+/**
+ * Option group id of a section path
+ * @param {string[]} section
+ * @returns {string?}
+ */
+export const sectionGroupId = (section) => section.length > 0 ? section.join(' > ') : null;
+
+/**
+ * Collect the option groups (parameter => possible values) of an extraction result
+ * @param {object} pageResults
+ * @returns {OptionGroup[]}
+ */
+export function collectOptionGroups(pageResults) {
+	const groups = new Map();
+	for (const page of Object.values(pageResults)) {
+		for (const [index, barcode] of (page.barcodes ?? []).entries()) {
+			if (barcode.group == null) continue;
+			if (!groups.has(barcode.group))
+				groups.set(barcode.group, { id: barcode.group, section: barcode.section, options: [] });
+			groups.get(barcode.group).options.push({ page: page.id, index, label: barcode.label ?? null, text: barcode.text });
+		}
+	}
+	return Array.from(groups.values());
+}
@@ -0,0 +1,366 @@
+/**
+ * Local HTTP service: uploaded manuals are extracted as queued jobs
+ *
+ * Uploads are stored in a temporary directory and processed one after the other (like the files
+ * given to the CLI), every extraction uses up to `jobs` worker threads. Finished jobs keep their
+ * result in memory until they are deleted or the number of kept jobs is exceeded.
+ *
+ *   POST   /jobs?pages=20-30&exclude-pages=22&strict=true   Upload a PDF (or page image) as request body
+ *   GET    /jobs                                            All jobs
+ *   GET    /jobs/<id>                                       Job status and progress per page
+ *   GET    /jobs/<id>/result                                Extraction result (JSON)
+ *   GET    /jobs/<id>/pages/<page>/barcodes/<index>/<source|output>.<png|svg>   Barcode image
+ *   DELETE /jobs/<id>                                       Remove a queued or finished job
+ */
+import { randomUUID } from 'node:crypto';
+import { createWriteStream } from 'node:fs';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { Transform } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+
+import { Poppler } from 'node-poppler';
+
+import { pruneCache } from './cache.mjs';
+import { extractBarcodes } from './extract.mjs';
+
+/**
+ * @typedef {object} ServerOptions
+ * @property {number?} jobs Number of pages processed in parallel worker threads per extraction (default: 1)
+ * @property {number?} maxUpload Maximum upload size in bytes (default: 200 MB)
+ * @property {number?} keepJobs Number of finished jobs kept (default: 20)
+ * @property {string[]?} engines Decoders run over each page (default: ['zxing'])
+ * @property {boolean?} cache Use the persistent cache (default: true)
+ * @property {string?} cacheDir Cache directory
+ * @property {number?} cacheMaxAge Remove cache entries not used for the given number of days after each job
+ * @property {Poppler?} poppler Poppler instance to use
+ * @property {(event: object) => void} onProgress Progress callback (all jobs, events carry the `job` id)
+ *
+ * @typedef {object} JobPage
+ * @property {string} stage Last progress stage of the page
+ * @property {number} barcodes Number of barcodes
+ * @property {boolean} done
+ *
+ * @typedef {object} Job
+ * @property {string} id
+ * @property {'queued'|'running'|'done'|'failed'} status
+ * @property {string} name Name of the uploaded file
+ * @property {{pages: string?, excludePages: string?, strict: boolean}} options
+ * @property {string} created Timestamp
+ * @property {string?} started
+ * @property {string?} finished
+ * @property {{pages: number?, processed: number, message: string?}} progress
+ * @property {Object<number, JobPage>} pages Progress per page
+ * @property {string?} error
+ * @property {object?} result
+ * @property {string?} uploadDir
+ * @property {string?} file Uploaded file
+ */
+
+/**
+ * Default maximum upload size
+ */
+export const DEFAULT_MAX_UPLOAD = 200 * 1024 * 1024;
+
+/**
+ * File extension of an upload by its magic bytes
+ * @param {Buffer} header First bytes of the file
+ * @returns {string?} `null` for unsupported files
+ */
+function uploadExtension(header) {
+	if (header.subarray(0, 5).toString('latin1') === '%PDF-') return '.pdf';
+	if (header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return '.png';
+	if (header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return '.jpg';
+	if (['II*\u0000', 'MM\u0000*'].includes(header.subarray(0, 4).toString('latin1'))) return '.tiff';
+	return null;
+}
+
+/**
+ * Error with HTTP status code
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error}
+ */
+function httpError(status, message) {
+	return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Parse the extraction options of an upload (query parameters, same as the CLI options)
+ * @param {URLSearchParams} params
+ * @returns {{pages: string?, excludePages: string?, strict: boolean}}
+ */
+function jobOptions(params) {
+	const pages = params.get('pages') || null;
+	const excludePages = params.get('exclude-pages') || null;
+	if (pages != null && !/^\d*(-\d*)?$/.test(pages))
+		throw httpError(400, `Invalid page range '${pages}'`);
+	if (excludePages != null && !/^\d+(-\d+)?(,\d+(-\d+)?)*$/.test(excludePages))
+		throw httpError(400, `Invalid page list '${excludePages}'`);
+	return { pages, excludePages, strict: ['true', '1', ''].includes(params.get('strict')) };
+}
+
+/**
+ * Public representation of a job (without its result)
+ * @param {Job} job
+ * @returns {object}
+ */
+function jobStatus(job) {
+	const { result, uploadDir: _uploadDir, file: _file, ...status } = job;
+	return {
+		...status,
+		barcodes: result ? Object.values(result).reduce((count, page) => count + (page.barcodes?.length ?? 0), 0) : null,
+		links: {
+			self: `/jobs/${job.id}`,
+			...(job.status === 'done' ? { result: `/jobs/${job.id}/result` } : {}),
+		},
+	};
+}
+
+/**
+ * Queue of extraction jobs, processed one after the other
+ * @param {ServerOptions} options
+ * @returns {{add: (job: Job) => void, get: (id: string) => Job?, list: () => Job[], remove: (id: string) => Promise<boolean>, close: () => Promise<void>}}
+ */
+export function createJobQueue(options = {}) {
+	const jobs = new Map();
+	const queue = [];
+	const poppler = options.poppler ?? new Poppler();
+	const progress = options.onProgress ?? (() => {});
+	let running = null;
+
+	const cleanup = async (job) => {
+		if (job.uploadDir) await fs.rm(job.uploadDir, { recursive: true, force: true });
+		job.uploadDir = job.file = null;
+	};
+
+	// Oldest finished jobs are dropped first
+	const trimFinished = () => {
+		const finished = [...jobs.values()].filter((job) => ['done', 'failed'].includes(job.status));
+		for (const job of finished.slice(0, Math.max(finished.length - (options.keepJobs ?? 20), 0)))
+			jobs.delete(job.id);
+	};
+
+	const run = async (job) => {
+		job.status = 'running';
+		job.started = new Date().toISOString();
+		try {
+			job.result = await extractBarcodes(job.file, {
+				poppler,
+				pages: job.options.pages,
+				excludePages: job.options.excludePages,
+				strict: job.options.strict,
+				engines: options.engines,
+				jobs: options.jobs ?? 1,
+				cache: options.cache,
+				cacheDir: options.cacheDir,
+				onProgress: (event) => {
+					if (event.page != null) {
+						const page = (job.pages[event.page] ??= { stage: event.stage, barcodes: 0, done: false });
+						page.stage = event.stage;
+						if (event.stage === 'page' && event.barcodes != null) page.barcodes = event.barcodes;
+						if (event.done) page.done = true;
+					}
+					if (event.done) job.progress = { pages: event.pages, processed: event.processed, message: event.message };
+					else job.progress.message = event.message;
+					progress({ ...event, job: job.id });
+				},
+			});
+			// Results refer to the uploaded file by its original name
+			job.result.common.file = job.name;
+			job.status = 'done';
+		} catch (err) {
+			job.status = 'failed';
+			job.error = err?.message ?? String(err);
+			progress({ level: 'error', stage: 'done', file: job.name, job: job.id, error: err, message: `Job '${job.id}' (${job.name}) failed` });
+		} finally {
+			job.finished = new Date().toISOString();
+			await cleanup(job);
+			if (options.cache !== false && options.cacheMaxAge != null)
+				await pruneCache(options.cacheDir, options.cacheMaxAge).catch(() => null);
+			trimFinished();
+		}
+	};
+
+	const next = () => {
+		if (running || queue.length <= 0) return;
+		const job = queue.shift();
+		running = run(job).finally(() => {
+			running = null;
+			next();
+		});
+	};
+
+	return {
+		add: (job) => {
+			jobs.set(job.id, job);
+			queue.push(job);
+			next();
+		},
+		get: (id) => jobs.get(id) ?? null,
+		list: () => [...jobs.values()],
+		remove: async (id) => {
+			const job = jobs.get(id);
+			if (!job) return false;
+			if (job.status === 'running') throw httpError(409, `Job '${id}' is running`);
+			if (queue.includes(job)) queue.splice(queue.indexOf(job), 1);
+			jobs.delete(id);
+			await cleanup(job);
+			return true;
+		},
+		close: async () => {
+			for (const job of queue.splice(0)) await cleanup(job);
+			await running;
+		},
+	};
+}
+
+/**
+ * Write a request body into a file
+ *
+ * Bodies exceeding the size limit are not destroyed (the connection would be reset before the error
+ * response is sent): the request is unpiped and the rest of its body is discarded.
+ *
+ * @param {http.IncomingMessage} req
+ * @param {string} file
+ * @param {number} maxUpload Maximum size in bytes
+ * @returns {Promise<number>} Size of the body
+ */
+async function receiveBody(req, file, maxUpload) {
+	let size = 0;
+	const limit = new Transform({
+		transform(chunk, _encoding, callback) {
+			size += chunk.length;
+			if (size <= maxUpload) return callback(null, chunk);
+
+			req.unpipe(limit);
+			req.resume();
+			callback(httpError(413, `Upload exceeds ${maxUpload} bytes`));
+		},
+	});
+	// Request errors (aborted uploads) are not forwarded by `pipe`
+	const forwardError = (err) => limit.destroy(err);
+	req.once('error', forwardError);
+	try {
+		req.pipe(limit);
+		await pipeline(limit, createWriteStream(file));
+		return size;
+	} finally {
+		req.off('error', forwardError);
+	}
+}
+
+/**
+ * Store an uploaded file in a new temporary directory
+ * @param {http.IncomingMessage} req
+ * @param {string} name Name of the uploaded file
+ * @param {number} maxUpload Maximum size in bytes
+ * @returns {Promise<{uploadDir: string, file: string}>}
+ */
+async function storeUpload(req, name, maxUpload) {
+	const uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-barcode-upload-'));
+	try {
+		const uploadFile = path.join(uploadDir, 'upload');
+		const size = await receiveBody(req, uploadFile, maxUpload);
+		if (size <= 0) throw httpError(400, "Empty upload, send the PDF as request body");
+
+		const handle = await fs.open(uploadFile, 'r');
+		const { buffer } = await handle.read({ buffer: Buffer.alloc(8), position: 0 }).finally(() => handle.close());
+		const extension = uploadExtension(buffer);
+		if (!extension) throw httpError(415, `Unsupported file '${name}', expected a PDF, PNG, JPEG or TIFF file`);
+
+		// Extensions select PDF or image input
+		const file = path.join(uploadDir, `${path.basename(name, path.extname(name)).replace(/[^\w.-]+/g, '_') || 'upload'}${extension}`);
+		await fs.rename(uploadFile, file);
+		return { uploadDir, file };
+	} catch (err) {
+		await fs.rm(uploadDir, { recursive: true, force: true });
+		throw err;
+	}
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {any} body
+ * @param {object} headers
+ */
+function sendJson(res, status, body, headers = {}) {
+	res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+	res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the HTTP server (not listening yet)
+ * @param {ServerOptions} options
+ * @returns {{server: http.Server, queue: ReturnType<typeof createJobQueue>}}
+ */
+export function createExtractionServer(options = {}) {
+	const queue = createJobQueue(options);
+	const maxUpload = options.maxUpload ?? DEFAULT_MAX_UPLOAD;
+
+	const routes = [
+		['POST', /^\/jobs\/?$/, async (req, res, url) => {
+			const jobOpts = jobOptions(url.searchParams);
+			const name = url.searchParams.get('name') || req.headers['x-filename'] || 'upload.pdf';
+			if (Number(req.headers['content-length']) > maxUpload)
+				throw httpError(413, `Upload exceeds ${maxUpload} bytes`);
+			const { uploadDir, file } = await storeUpload(req, String(name), maxUpload);
+			const job = {
+				id: randomUUID(), status: 'queued', name: path.basename(String(name)),
+				options: jobOpts,
+				created: new Date().toISOString(), started: null, finished: null,
+				progress: { pages: null, processed: 0, message: null },
+				pages: {}, error: null, result: null,
+				uploadDir, file,
+			};
+			queue.add(job);
+			sendJson(res, 202, jobStatus(job), { Location: `/jobs/${job.id}` });
+		}],
+		['GET', /^\/jobs\/?$/, async (req, res) => {
+			sendJson(res, 200, queue.list().map(jobStatus));
+		}],
+		['GET', /^\/jobs\/([\w-]+)$/, async (req, res, url, job) => {
+			sendJson(res, 200, jobStatus(job));
+		}],
+		['DELETE', /^\/jobs\/([\w-]+)$/, async (req, res, url, job) => {
+			await queue.remove(job.id);
+			res.writeHead(204).end();
+		}],
+		['GET', /^\/jobs\/([\w-]+)\/result$/, async (req, res, url, job) => {
+			if (job.status !== 'done') throw httpError(409, `Job '${job.id}' is ${job.status}`);
+			sendJson(res, 200, job.result);
+		}],
+		['GET', /^\/jobs\/([\w-]+)\/pages\/(\d+)\/barcodes\/(\d+)\/(source|output)\.(png|svg)$/, async (req, res, url, job, page, index, field, type) => {
+			if (job.status !== 'done') throw httpError(409, `Job '${job.id}' is ${job.status}`);
+			const image = job.result[`page:${page}`]?.barcodes?.[index]?.[field]?.[type];
+			if (!image) throw httpError(404, `No ${field} ${type} image of barcode ${index} on page ${page}`);
+			res.writeHead(200, { 'Content-Type': type === 'png' ? 'image/png' : 'image/svg+xml' });
+			res.end(type === 'png' ? Buffer.from(image, 'base64') : image);
+		}],
+	];
+
+	const server = http.createServer(async (req, res) => {
+		try {
+			const url = new URL(req.url, 'http://localhost');
+			const matching = routes.filter(([_, pattern]) => pattern.test(url.pathname));
+			const route = matching.find(([method]) => method === req.method);
+			if (!route) throw httpError(matching.length > 0 ? 405 : 404, `${req.method} ${url.pathname} not supported`);
+
+			const [id, ...params] = url.pathname.match(route[1]).slice(1);
+			const job = id != null ? queue.get(id) : null;
+			if (id != null && !job) throw httpError(404, `Unknown job '${id}'`);
+			await route[2](req, res, url, job, ...params);
+		} catch (err) {
+			if (!err?.status) options.onProgress?.({ level: 'error', stage: 'done', error: err, message: `Failed to handle ${req.method} ${req.url}` });
+			if (!res.headersSent) sendJson(res, err?.status ?? 500, { error: err?.message ?? String(err) });
+			else res.end();
+			// Unread request bodies (e.g. rejected uploads) are discarded
+			req.resume();
+		}
+	});
+	return { server, queue };
+}
@@ -0,0 +1,195 @@
+/**
+ * Print-ready PDF sheets of regenerated barcodes
+ *
+ * The regenerated bwip-js SVGs are drawn onto a cairo PDF surface (node-canvas), which keeps
+ * them as vector graphics. Everything works offline, no fonts or resources are downloaded.
+ */
+import { createCanvas, loadImage } from 'canvas';
+
+import { LINEAR_FORMATS } from './bwip.mjs';
+import { ArgumentUtils, StringUtils } from './utils.mjs';
+
+/**
+ * Page sizes in points (1/72 inch)
+ */
+export const PAGE_SIZES = Object.freeze({
+	a4:     Object.freeze({ w: 595.28, h: 841.89 }),
+	letter: Object.freeze({ w: 612, h: 792 }),
+});
+
+export const mmToPts = (mm) => mm * 72 / 25.4;
+
+/**
+ * @typedef {object} SheetItem
+ * @property {number?} page Page number of the barcode in the source document
+ * @property {number} index Index of the barcode on its page
+ * @property {object} barcode Barcode result
+ *
+ * @typedef {object} SheetSelection
+ * @property {string|Iterable<number>?} pages Page list, e.g. `1-3,5`
+ * @property {string|RegExp?} label Label pattern (case-insensitive)
+ * @property {string[]?} payloads Decoded barcode texts
+ *
+ * @typedef {object} SheetOptions
+ * @property {'a4'|'letter'} pageSize
+ * @property {number} columns
+ * @property {number} barcodeWidth Barcode width in mm
+ * @property {number?} barcodeHeight Bar height of linear barcodes in mm, defaults to the aspect ratio of the
+ *   symbol (2D symbols always keep their aspect ratio)
+ * @property {number} margin Page margin in mm
+ * @property {string?} title Title on the first page
+ * @property {string?} header Header on every page
+ */
+
+/**
+ * Select barcodes of an extraction result (all criteria have to match)
+ * @param {object} pageResults
+ * @param {SheetSelection} selection
+ * @returns {SheetItem[]}
+ */
+export function selectBarcodes(pageResults, selection = {}) {
+	const pages = (selection.pages == null || typeof selection.pages === 'string')
+		? ArgumentUtils.parsePagelistSet(selection.pages)
+		: new Set(selection.pages);
+	const label = (selection.label == null || selection.label instanceof RegExp)
+		? selection.label
+		: new RegExp(selection.label, 'i');
+	const payloads = selection.payloads?.length > 0 ? new Set(selection.payloads) : null;
+
+	return Object.entries(pageResults)
+		.filter(([key]) => key.startsWith('page:'))
+		.map(([_, page]) => page)
+		.sort((a, b) => a.id - b.id)
+		.flatMap((page) => (page.barcodes ?? []).map((barcode, index) => ({ page: page.id, index, barcode })))
+		.filter(({ page, barcode }) => (pages.size <= 0 || pages.has(page))
+			&& (label == null || label.test(barcode.label ?? ''))
+			&& (payloads == null || payloads.has(barcode.text) || payloads.has(barcode.text?.trim())));
+}
+
+/**
+ * Load the regenerated barcode image (SVG preferred, PNG fallback)
+ * @param {object} barcode
+ * @returns {Promise<Image?>}
+ */
+async function loadBarcodeImage(barcode) {
+	if (StringUtils.isNotBlank(barcode.output?.svg))
+		return loadImage(Buffer.from(barcode.output.svg, 'utf8'));
+	if (StringUtils.isNotBlank(barcode.output?.png))
+		return loadImage(Buffer.from(barcode.output.png, 'base64'));
+	return null;
+}
+
+/**
+ * Break text into lines fitting the given width
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {string[]}
+ */
+function wrapText(ctx, text, maxWidth) {
+	return String(text ?? '').split(/\s+/).filter((word) => word.length > 0).reduce((lines, word) => {
+		const candidate = lines.length > 0 ? `${lines.at(-1)} ${word}` : word;
+		if (lines.length > 0 && ctx.measureText(candidate).width <= maxWidth)
+			lines[lines.length - 1] = candidate;
+		else
+			lines.push(word);
+		return lines;
+	}, []);
+}
+
+/**
+ * Lay out barcodes with their labels on print-ready PDF pages
+ * @param {SheetItem[]} items
+ * @param {SheetOptions} options
+ * @returns {Promise<Buffer>} PDF document
+ */
+export async function renderBarcodeSheet(items, options = {}) {
+	const pageSize = PAGE_SIZES[options.pageSize ?? 'a4'];
+	if (!pageSize) throw new Error(`Unsupported page size '${options.pageSize}'`);
+
+	const columns = Math.max(1, options.columns ?? 3);
+	const margin = mmToPts(options.margin ?? 15);
+	const gap = mmToPts(4);
+	const labelFont = '9pt sans-serif', labelLineHeight = 11;
+	const headerHeight = StringUtils.isNotBlank(options.header) ? 20 : 0;
+	const titleHeight = StringUtils.isNotBlank(options.title) ? 32 : 0;
+	const footerHeight = 16;
+
+	const canvas = createCanvas(pageSize.w, pageSize.h, 'pdf');
+	const ctx = canvas.getContext('2d');
+	const cellWidth = (pageSize.w - 2 * margin) / columns;
+
+	// Measure all cells first, so the total page count is known when drawing headers and footers
+	ctx.font = labelFont;
+	const cells = [];
+	for (const item of items) {
+		const image = await loadBarcodeImage(item.barcode);
+		if (!image) continue;
+
+		const width = Math.min(mmToPts(options.barcodeWidth ?? 50), cellWidth - gap);
+		const linear = LINEAR_FORMATS.includes(item.barcode.format?.toLowerCase());
+		const height = (options.barcodeHeight != null && linear)
+			? mmToPts(options.barcodeHeight)
+			: width * image.height / image.width;
+		const lines = wrapText(ctx, item.barcode.label ?? item.barcode.text, cellWidth - gap);
+		cells.push({ item, image, width, height, lines, cellHeight: height + (lines.length + 1) * labelLineHeight + gap });
+	}
+
+	// Paginate rows
+	const pages = [];
+	let y = Infinity, bottom = pageSize.h - margin - footerHeight;
+	for (let idx = 0; idx < cells.length; idx += columns) {
+		const row = cells.slice(idx, idx + columns);
+		const rowHeight = Math.max(...row.map((cell) => cell.cellHeight));
+		if (y + rowHeight > bottom) {
+			pages.push([]);
+			y = margin + headerHeight + (pages.length === 1 ? titleHeight : 0);
+		}
+		pages.at(-1).push({ y, row });
+		y += rowHeight;
+	}
+
+	for (const [pageIdx, rows] of (pages.length > 0 ? pages : [[]]).entries()) {
+		if (pageIdx > 0) ctx.addPage(pageSize.w, pageSize.h);
+		ctx.fillStyle = '#000000';
+		ctx.textBaseline = 'top';
+
+		if (headerHeight > 0) {
+			ctx.font = '8pt sans-serif';
+			ctx.fillText(options.header, margin, margin);
+		}
+		if (pageIdx === 0 && titleHeight > 0) {
+			ctx.font = 'bold 16pt sans-serif';
+			ctx.fillText(options.title, margin, margin + headerHeight);
+		}
+		ctx.font = '8pt sans-serif';
+		ctx.textAlign = 'right';
+		ctx.fillText(`${pageIdx + 1} / ${Math.max(pages.length, 1)}`, pageSize.w - margin, pageSize.h - margin - 10);
+		ctx.textAlign = 'left';
+
+		for (const { y: rowY, row } of rows) {
+			for (const [col, cell] of row.entries()) {
+				const x = margin + col * cellWidth + (cellWidth - cell.width) / 2;
+				ctx.drawImage(cell.image, x, rowY, cell.width, cell.height);
+
+				ctx.font = labelFont;
+				ctx.textAlign = 'center';
+				const centerX = margin + col * cellWidth + cellWidth / 2;
+				cell.lines.forEach((line, lineIdx) => ctx.fillText(line, centerX, rowY + cell.height + 4 + lineIdx * labelLineHeight));
+
+				if (cell.item.page != null) {
+					ctx.font = '6pt sans-serif';
+					ctx.fillStyle = '#777777';
+					ctx.fillText(`p. ${cell.item.page}`, centerX, rowY + cell.height + 4 + cell.lines.length * labelLineHeight);
+					ctx.fillStyle = '#000000';
+				}
+				ctx.textAlign = 'left';
+			}
+		}
+	}
+
+	return canvas.toBuffer('application/pdf', {
+		title: options.title ?? undefined,
+		creator: 'config-barcode-extractor',
+	});
+}
@@ -12,13 +12,13 @@ export const pixelToPts = (px)  => px  * 1.33;
 /**
  *
  * @param {CanvasRenderingContext2D} srcCtx
- * @param {Bbox} bbox Barcode bbox
+ * @param {Bbox|Position} region Barcode bbox or (possibly rotated) position
  * @param {string?} outfile
  * @returns {Promise<Uint8Array>}
  */
-export const writeBarcodeImage = async (srcCtx, bbox, outfile) => {
+export const writeBarcodeImage = async (srcCtx, region, outfile) => {
 	const padding = 5;
-	const imageData = getBarcodeImageData(srcCtx, bbox);
+	const imageData = getBarcodeImageData(srcCtx, region);
 	const w = imageData.width + (padding << 1);
 	const h = imageData.height + (padding << 1);
 
@@ -48,26 +48,62 @@ export const writeImage = async (srcCtx, outfile) => {
 };
 
 /**
- *
+ * Crop a barcode from the page, barcodes given by their (four-point) position are deskewed
+ * to upright orientation
  * @param {CanvasRenderingContext2D} srcCtx
- * @param {Bbox} bbox Barcode bounding box
+ * @param {Bbox|Position} region Barcode bounding box or position
  * @returns {Image}
  */
-export const getBarcodeImageData = (srcCtx, bbox, options = { padding: 5 }) => {
+export const getBarcodeImageData = (srcCtx, region, options = { padding: 5 }) => {
+	const padding = options?.padding ?? 0;
+	const frame = region.topLeft ? BboxUtils.positionFrame(region) : null;
+	if (frame && !frame.axisAligned)
+		return getDeskewedImageData(srcCtx, frame, padding);
+
+	const bbox = frame ? BboxUtils.bboxFromPosition(region) : region;
 	const sw = bbox.x1 - bbox.x0, sh = bbox.y1 - bbox.y0;
 	const sx = bbox.x0, sy = bbox.y0;
 
-	const padding = options?.padding ?? 0;
 	const dw = sw + (padding << 1);
-	const dh = sw + (padding << 1);
+	const dh = sh + (padding << 1);
 
 	// Transfer pixels into destination canvas
 	const ctx = createCanvas(dw, dh).getContext('2d');
 	ctx.fillStyle = '#ffffff';
 	ctx.fillRect(0, 0, dw, dh);
 
-	const imageData = srcCtx.getImageData(sx, sy, sw, sh);
-	ctx.putImageData(imageData, padding, padding);
+	// Regions reaching beyond the page are clamped (and left white)
+	const cx0 = Math.max(sx, 0), cy0 = Math.max(sy, 0);
+	const cx1 = Math.min(bbox.x1, srcCtx.canvas.width), cy1 = Math.min(bbox.y1, srcCtx.canvas.height);
+	if (cx1 > cx0 && cy1 > cy0) {
+		const imageData = srcCtx.getImageData(cx0, cy0, cx1 - cx0, cy1 - cy0);
+		ctx.putImageData(imageData, padding + cx0 - sx, padding + cy0 - sy);
+	}
+	return ctx.getImageData(0, 0, dw, dh);
+};
+
+/**
+ * Resample a rotated / skewed barcode into an upright image
+ * @param {CanvasRenderingContext2D} srcCtx
+ * @param {PositionFrame} frame
+ * @param {number} padding
+ * @returns {Image}
+ */
+const getDeskewedImageData = (srcCtx, frame, padding) => {
+	const dw = frame.width + (padding << 1);
+	const dh = frame.height + (padding << 1);
+
+	const ctx = createCanvas(dw, dh).getContext('2d');
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, dw, dh);
+
+	// Inverse of the barcode frame (page => upright barcode coordinates)
+	const { ex, ey, origin } = frame;
+	const det = ex.x * ey.y - ex.y * ey.x;
+	ctx.translate(padding, padding);
+	ctx.transform(ey.y / det, -ex.y / det, -ey.x / det, ex.x / det, 0, 0);
+	ctx.translate(-origin.x, -origin.y);
+	ctx.drawImage(srcCtx.canvas, 0, 0);
 	return ctx.getImageData(0, 0, dw, dh);
 };
 
@@ -113,6 +149,25 @@ export class StringUtils {
 	static isNotBlank(str) {
 		return this.isBlank(str) === false;
 	}
+
+	/**
+	 * Escape HTML special characters
+	 * @param {string} str
+	 * @returns {string}
+	 */
+	static escapeHtml(str) {
+		return String(str ?? '').replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+	}
+
+	/**
+	 * Replace control characters by their Unicode control pictures (e.g. GS => U+241D)
+	 * @param {string} str
+	 * @returns {string}
+	 */
+	static visibleControlChars(str) {
+		return String(str ?? '').replace(/[\x00-\x1f\x7f]/g,
+			(ch) => ch === '\x7f' ? '\u2421' : String.fromCharCode(0x2400 + ch.charCodeAt(0)));
+	}
 }
 
 export class ArgumentUtils {
@@ -168,6 +223,21 @@ export class ArgumentUtils {
  * @typedef {object} Point
  * @property {number} x
  * @property {number} y
+ *
+ * @typedef {object} Position Four-point barcode position (zxing-wasm)
+ * @property {Point} topLeft
+ * @property {Point} topRight
+ * @property {Point} bottomRight
+ * @property {Point} bottomLeft
+ *
+ * @typedef {object} PositionFrame
+ * @property {Point} origin
+ * @property {Point} ex
+ * @property {Point} ey
+ * @property {number} width
+ * @property {number} height
+ * @property {boolean} axisAligned
+ * @property {(point: Point) => Point} toPage
  */
 export const CardinalDirection = Object.freeze({
 	NORTH: 0x1,
@@ -213,6 +283,47 @@ export class BboxUtils {
 		}
 	}
 
+	/**
+	 * Calculate the gap between two bounding boxes (0 if they overlap)
+	 * @param {Bbox} bboxA
+	 * @param {Bbox} bboxB
+	 * @returns {number} The edge distance in pixels
+	 */
+	static bboxGapDistance(bboxA, bboxB) {
+		const dx = Math.max(0, bboxA.x0 - bboxB.x1, bboxB.x0 - bboxA.x1);
+		const dy = Math.max(0, bboxA.y0 - bboxB.y1, bboxB.y0 - bboxA.y1);
+		return Math.sqrt((dx * dx) + (dy * dy));
+	}
+
+	/**
+	 * Merge bounding boxes into one enclosing bbox
+	 * @param {Bbox[]} bboxes
+	 * @returns {Bbox}
+	 */
+	static bboxUnion(bboxes) {
+		return bboxes.reduce((res, bbox) => ({
+			x0: Math.min(res.x0, bbox.x0),
+			y0: Math.min(res.y0, bbox.y0),
+			x1: Math.max(res.x1, bbox.x1),
+			y1: Math.max(res.y1, bbox.y1),
+		}), { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity });
+	}
+
+	/**
+	 * Intersection over union of two bounding boxes
+	 * @param {Bbox} bboxA
+	 * @param {Bbox} bboxB
+	 * @returns {number} Overlap ratio between 0 (disjoint) and 1 (identical)
+	 */
+	static bboxIoU(bboxA, bboxB) {
+		const iw = Math.max(0, Math.min(bboxA.x1, bboxB.x1) - Math.max(bboxA.x0, bboxB.x0));
+		const ih = Math.max(0, Math.min(bboxA.y1, bboxB.y1) - Math.max(bboxA.y0, bboxB.y0));
+		const intersection = iw * ih;
+		const area = (bbox) => (bbox.x1 - bbox.x0) * (bbox.y1 - bbox.y0);
+		const union = area(bboxA) + area(bboxB) - intersection;
+		return union > 0 ? intersection / union : 0;
+	}
+
 	/**
 	 * Check whether bboxB is inside bboxA
 	 * @param {Bbox} bboxA
@@ -224,31 +335,103 @@ export class BboxUtils {
 	}
 
 	/**
-	 * Convert barcode outline into a bbox
-	 * @param {any} barcode
+	 * Convert a (four-point) barcode position into the enclosing bbox
+	 * @param {Position} position
 	 * @returns {Bbox}
 	 */
-	static bboxFromBarcode(barcode) {
+	static bboxFromPosition(position) {
+		const points = [position.topLeft, position.topRight, position.bottomRight, position.bottomLeft];
 		return Object.freeze({
-			x0: barcode.position.topLeft.x,
-			y0: barcode.position.topLeft.y,
-			x1: barcode.position.bottomRight.x,
-			y1: barcode.position.bottomRight.y,
+			x0: Math.floor(Math.min(...points.map((point) => point.x))),
+			y0: Math.floor(Math.min(...points.map((point) => point.y))),
+			x1: Math.ceil(Math.max(...points.map((point) => point.x))),
+			y1: Math.ceil(Math.max(...points.map((point) => point.y))),
 		});
 	}
 
+	/**
+	 * Convert barcode outline into a bbox (enclosing all four corners, also for rotated barcodes)
+	 * @param {any} barcode
+	 * @returns {Bbox}
+	 */
+	static bboxFromBarcode(barcode) {
+		return this.bboxFromPosition(barcode.position);
+	}
+
+	/**
+	 * Upright coordinate frame of a (possibly rotated) barcode position
+	 *
+	 * `origin` is the top left corner, `ex` and `ey` are the page space vectors of one pixel
+	 * along the barcode's x- and y-axis. Mapping upright barcode coordinates back onto the page:
+	 * `page = origin + u * ex + v * ey`.
+	 *
+	 * @param {Position} position
+	 * @returns {PositionFrame}
+	 */
+	static positionFrame(position) {
+		const { topLeft: tl, topRight: tr, bottomLeft: bl } = position;
+		const width = Math.max(Math.round(Math.hypot(tr.x - tl.x, tr.y - tl.y)), 1);
+		const height = Math.max(Math.round(Math.hypot(bl.x - tl.x, bl.y - tl.y)), 1);
+		const ex = { x: (tr.x - tl.x) / width, y: (tr.y - tl.y) / width };
+		const ey = { x: (bl.x - tl.x) / height, y: (bl.y - tl.y) / height };
+
+		return {
+			origin: { x: tl.x, y: tl.y },
+			ex, ey, width, height,
+			axisAligned: tl.y === tr.y && tl.x === bl.x && tr.x > tl.x && bl.y > tl.y,
+			toPage: ({ x: u, y: v }) => ({ x: tl.x + u * ex.x + v * ey.x, y: tl.y + u * ex.y + v * ey.y }),
+		};
+	}
+
+	/**
+	 * Grow a position by the given margins along its own axes
+	 *
+	 * Linear barcodes are often reported as a line (top and bottom corners coincide), the
+	 * vertical axis is then perpendicular to the horizontal one.
+	 *
+	 * @param {Position} position
+	 * @param {number} dx Horizontal margin (left and right)
+	 * @param {number} dy Vertical margin (top and bottom)
+	 * @returns {Position}
+	 */
+	static expandPosition(position, dx, dy) {
+		const { ex, ey: frameEy } = BboxUtils.positionFrame(position);
+		const ey = Math.hypot(frameEy.x, frameEy.y) < 0.5 ? { x: -ex.y, y: ex.x } : frameEy;
+		const move = (point, sx, sy) => ({ x: point.x + sx * dx * ex.x + sy * dy * ey.x, y: point.y + sx * dx * ex.y + sy * dy * ey.y });
+		return {
+			topLeft: move(position.topLeft, -1, -1),
+			topRight: move(position.topRight, 1, -1),
+			bottomRight: move(position.bottomRight, 1, 1),
+			bottomLeft: move(position.bottomLeft, -1, 1),
+		};
+	}
+
+	/**
+	 * Orientation of a barcode position in degrees (clockwise, 0 = upright)
+	 * @param {Position} position
+	 * @returns {number}
+	 */
+	static positionOrientation(position) {
+		const { topLeft: tl, topRight: tr } = position;
+		const degrees = Math.round(Math.atan2(tr.y - tl.y, tr.x - tl.x) * 180 / Math.PI);
+		return ((degrees % 360) + 360) % 360;
+	}
+
 	/**
 	 * Detect in which cardinal direction bboxB is in relation to bboxA
 	 * @param {Bbox} bboxA
 	 * @param {Bbox} bboxB
+	 * @param {number} orientation Clockwise rotation of bboxA's content in degrees, directions are
+	 *   reported relative to the content (e.g. SOUTH = below a barcode rotated by 90 degrees)
 	 * @returns {CardinalDirection} one of the cardinal directions
 	 */
-	static bboxDirectionOf(bboxA, bboxB) {
+	static bboxDirectionOf(bboxA, bboxB, orientation = 0) {
 		const centerA = this.bboxCenterPoint(bboxA);
 		const centerB = this.bboxCenterPoint(bboxB);
 
-		// Calculate angle between both center points
-		const radians = Math.atan2((centerA.y - centerB.y), (centerA.x - centerB.x));
+		// Calculate counter-clockwise angle (0 = east) from A to B in the range [0, 2*PI)
+		const angle = Math.atan2((centerA.y - centerB.y), (centerB.x - centerA.x)) + orientation * Math.PI / 180;
+		const radians = ((angle % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
 		if (radians >= 5.495 || radians < 0.785)
 			return CardinalDirection.EAST;
 		else if (radians >= 0.785 && radians < 2.355)
@@ -0,0 +1,544 @@
+/**
+ * Barcode extraction from PDF vector geometry
+ *
+ * Pages are converted into SVG by poppler (cairo), the drawing operations are reduced to
+ * rectilinear filled shapes (rectangles, module outlines and stroked bars) in PDF points.
+ * Neighbouring shapes are clustered into barcode candidates, their exact module size is derived
+ * from the distinct edge coordinates. Every cluster is rasterized cleanly (a fixed number of
+ * pixels per module) and decoded with zxing, which yields exact bar widths, module grids and
+ * physical dimensions, and a byte-perfect vector crop of the symbol.
+ */
+import * as zxing from 'zxing-wasm';
+
+import { isSameLocation } from './refine.mjs';
+import { BboxUtils } from './utils.mjs';
+
+/**
+ * @typedef {object} VectorShape Filled rectilinear subpath (PDF points, page coordinates)
+ * @property {number} path Id of the source path (subpaths of a path share their fill)
+ * @property {'nonzero'|'evenodd'} fillRule
+ * @property {Point[]} points Closed polygon
+ * @property {Bbox} bbox
+ *
+ * @typedef {object} VectorCluster
+ * @property {Bbox} bbox Bounding box in PDF points
+ * @property {VectorShape[]} shapes
+ * @property {number} moduleWidth Module width in points
+ * @property {number} moduleHeight Module height in points
+ * @property {boolean} linear Cluster consists of bars (1D barcode)
+ *
+ * @typedef {object} VectorBarcode
+ * @property {VectorCluster} cluster
+ * @property {zxing.ReadResult?} barcode Decoded barcode (position in PDF points)
+ * @property {number[]?} bars Bar and space widths in modules (linear barcodes)
+ * @property {{columns: number, rows: number}?} modules Module grid (matrix barcodes)
+ */
+
+/**
+ * Coordinates closer than this (in points) are considered equal
+ */
+const EPSILON = 0.01;
+
+/**
+ * Pixels per module and quiet zone (in modules) of the clean rasterization
+ */
+const PIXELS_PER_MODULE = 4;
+const QUIET_ZONE = 10;
+
+export const ptsToMm = (pts) => pts * 25.4 / 72;
+
+const IDENTITY = Object.freeze([1, 0, 0, 1, 0, 0]);
+
+/**
+ * Multiply two SVG transformation matrices (`[a, b, c, d, e, f]`)
+ * @param {number[]} m1
+ * @param {number[]} m2
+ * @returns {number[]}
+ */
+const multiply = (m1, m2) => [
+	m1[0] * m2[0] + m1[2] * m2[1],
+	m1[1] * m2[0] + m1[3] * m2[1],
+	m1[0] * m2[2] + m1[2] * m2[3],
+	m1[1] * m2[2] + m1[3] * m2[3],
+	m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+	m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+];
+
+const applyMatrix = (m, { x, y }) => ({ x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] });
+
+/**
+ * Parse an SVG `transform` attribute
+ * @param {string?} transform
+ * @returns {number[]}
+ */
+function parseTransform(transform) {
+	let result = IDENTITY;
+	for (const [_, op, args] of String(transform ?? '').matchAll(/(matrix|translate|scale)\s*\(([^)]*)\)/g)) {
+		const v = args.trim().split(/[\s,]+/).map(Number.parseFloat);
+		switch (op) {
+		case 'matrix':
+			result = multiply(result, v);
+			break;
+		case 'translate':
+			result = multiply(result, [1, 0, 0, 1, v[0], v[1] ?? 0]);
+			break;
+		case 'scale':
+			result = multiply(result, [v[0], 0, 0, v[1] ?? v[0], 0, 0]);
+			break;
+		}
+	}
+	return result;
+}
+
+/**
+ * Parse the attributes (and inline style declarations) of an SVG element
+ * @param {string} source
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+	const attributes = {};
+	for (const [_, name, value] of source.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g))
+		attributes[name] = value;
+	for (const declaration of (attributes.style ?? '').split(';')) {
+		const [name, value] = declaration.split(':').map((item) => item?.trim());
+		if (name && value != null) attributes[name] = value;
+	}
+	return attributes;
+}
+
+/**
+ * Check whether a fill or stroke color is dark (luminance below 50%)
+ * @param {string?} color
+ * @returns {boolean}
+ */
+function isDarkColor(color) {
+	if (color == null || color === 'none') return false;
+	if (color === 'black') return true;
+
+	let rgb = null;
+	const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)?.at(1);
+	if (hex) {
+		const full = hex.length === 3 ? hex.replace(/./g, '$&$&') : hex;
+		rgb = [0, 2, 4].map((idx) => Number.parseInt(full.slice(idx, idx + 2), 16) / 255);
+	} else {
+		const match = color.match(/^rgb\(([^)]*)\)$/);
+		rgb = match?.at(1).split(',').map((value) => value.trim().endsWith('%')
+			? Number.parseFloat(value) / 100
+			: Number.parseFloat(value) / 255);
+	}
+	if (!rgb || rgb.length !== 3 || rgb.some(Number.isNaN)) return false;
+	return (rgb[0] * 0.299 + rgb[1] * 0.587 + rgb[2] * 0.114) < 0.5;
+}
+
+/**
+ * Split SVG path data into subpaths of points (straight segments only, `null` for curves)
+ * @param {string} d
+ * @returns {Array<Point[]?>}
+ */
+function parsePathData(d) {
+	const subpaths = [];
+	let current = null, x = 0, y = 0, startX = 0, startY = 0;
+	const tokens = d.match(/[MmLlHhVvZzCcSsQqTtAa]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) ?? [];
+	let command = null;
+	for (let idx = 0; idx < tokens.length;) {
+		if (/^[A-Za-z]$/.test(tokens[idx])) command = tokens[idx++];
+		const num = () => Number.parseFloat(tokens[idx++]);
+		switch (command) {
+		case 'M': case 'm':
+			x = (command === 'm' ? x : 0) + num(); y = (command === 'm' ? y : 0) + num();
+			startX = x; startY = y;
+			current = [{ x, y }];
+			subpaths.push(current);
+			command = command === 'm' ? 'l' : 'L';	// Subsequent coordinate pairs are line-to
+			break;
+		case 'L': case 'l':
+			x = (command === 'l' ? x : 0) + num(); y = (command === 'l' ? y : 0) + num();
+			current?.push({ x, y });
+			break;
+		case 'H': case 'h':
+			x = (command === 'h' ? x : 0) + num();
+			current?.push({ x, y });
+			break;
+		case 'V': case 'v':
+			y = (command === 'v' ? y : 0) + num();
+			current?.push({ x, y });
+			break;
+		case 'Z': case 'z':
+			x = startX; y = startY;
+			current = null;
+			break;
+		default: {
+			// Curves: mark the subpath as unusable and skip the coordinates
+			if (subpaths.length > 0) subpaths[subpaths.length - 1] = null;
+			while (idx < tokens.length && !/^[A-Za-z]$/.test(tokens[idx])) idx++;
+			current = null;
+			break;
+		}}
+	}
+	return subpaths;
+}
+
+/**
+ * Bounding box of a list of points
+ * @param {Point[]} points
+ * @returns {Bbox}
+ */
+const pointsBbox = (points) => ({
+	x0: Math.min(...points.map((point) => point.x)),
+	y0: Math.min(...points.map((point) => point.y)),
+	x1: Math.max(...points.map((point) => point.x)),
+	y1: Math.max(...points.map((point) => point.y)),
+});
+
+/**
+ * Check whether all edges of a closed polygon are horizontal or vertical
+ * @param {Point[]} points
+ * @returns {boolean}
+ */
+const isRectilinear = (points) => points.every((point, idx) => {
+	const next = points[(idx + 1) % points.length];
+	return Math.abs(point.x - next.x) <= EPSILON || Math.abs(point.y - next.y) <= EPSILON;
+});
+
+/**
+ * Extract the dark, filled rectilinear shapes of a (cairo generated) SVG page
+ * @param {string} svg
+ * @returns {{width: number, height: number, shapes: VectorShape[]}} Page size and shapes in points
+ */
+export function parseSvgShapes(svg) {
+	const root = svg.match(/<svg\b([^>]*)>/)?.at(1) ?? '';
+	const rootAttributes = parseAttributes(root);
+	const viewBox = rootAttributes.viewBox?.trim().split(/[\s,]+/).map(Number.parseFloat);
+	const width = viewBox?.[2] ?? Number.parseFloat(rootAttributes.width);
+	const height = viewBox?.[3] ?? Number.parseFloat(rootAttributes.height);
+
+	const shapes = [];
+	const stack = [IDENTITY];
+	let hidden = 0, pathId = 0;
+	for (const [tag, closing, name, attributeSource, selfClosing] of svg.matchAll(/<(\/?)([\w:]+)\b([^>]*?)(\/?)>/g)) {
+		if (tag.startsWith('<!') || tag.startsWith('<?')) continue;
+		// Ignore definitions (glyphs, clip paths, patterns)
+		if (['defs', 'symbol', 'clipPath', 'mask', 'pattern'].includes(name)) {
+			if (closing) hidden--;
+			else if (!selfClosing) hidden++;
+			continue;
+		}
+		if (name === 'g') {
+			if (closing) stack.pop();
+			else if (!selfClosing) stack.push(multiply(stack.at(-1), parseTransform(parseAttributes(attributeSource).transform)));
+			continue;
+		}
+		if (hidden > 0 || closing || (name !== 'path' && name !== 'rect')) continue;
+
+		const attributes = parseAttributes(attributeSource);
+		const matrix = multiply(stack.at(-1), parseTransform(attributes.transform));
+		const fillRule = attributes['fill-rule'] === 'evenodd' ? 'evenodd' : 'nonzero';
+		const id = pathId++;
+		const opacity = (name) => Number.parseFloat(attributes[name] ?? attributes.opacity ?? '1');
+
+		// Filled rectangles and paths (SVG default fill is black)
+		if (isDarkColor(attributes.fill ?? (name === 'rect' || attributes.stroke == null ? 'black' : 'none')) && opacity('fill-opacity') >= 0.5) {
+			const subpaths = name === 'rect'
+				? [(({ x = 0, y = 0, w, h }) => [{ x, y }, { x: x + w, y }, { x: x + w, y: y + h }, { x, y: y + h }])({
+					x: Number.parseFloat(attributes.x ?? '0'), y: Number.parseFloat(attributes.y ?? '0'),
+					w: Number.parseFloat(attributes.width), h: Number.parseFloat(attributes.height),
+				})]
+				: parsePathData(attributes.d ?? '');
+			for (const subpath of subpaths) {
+				if (!subpath || subpath.length < 4) continue;
+				const points = subpath.map((point) => applyMatrix(matrix, point));
+				if (isRectilinear(points))
+					shapes.push({ path: id, fillRule, points, bbox: pointsBbox(points) });
+			}
+		}
+
+		// Stroked straight, axis-aligned lines (bars drawn as thick lines)
+		if (isDarkColor(attributes.stroke) && opacity('stroke-opacity') >= 0.5 && name === 'path') {
+			const strokeWidth = Number.parseFloat(attributes['stroke-width'] ?? '1') * Math.sqrt(Math.abs(matrix[0] * matrix[3] - matrix[1] * matrix[2]));
+			for (const subpath of parsePathData(attributes.d ?? '')) {
+				if (!subpath) continue;
+				for (let idx = 1; idx < subpath.length; idx++) {
+					const a = applyMatrix(matrix, subpath[idx - 1]), b = applyMatrix(matrix, subpath[idx]);
+					const half = strokeWidth / 2;
+					let bbox = null;
+					if (Math.abs(a.x - b.x) <= EPSILON)
+						bbox = { x0: a.x - half, x1: a.x + half, y0: Math.min(a.y, b.y), y1: Math.max(a.y, b.y) };
+					else if (Math.abs(a.y - b.y) <= EPSILON)
+						bbox = { x0: Math.min(a.x, b.x), x1: Math.max(a.x, b.x), y0: a.y - half, y1: a.y + half };
+					if (!bbox) continue;
+					shapes.push({
+						path: pathId++, fillRule: 'nonzero', bbox,
+						points: [{ x: bbox.x0, y: bbox.y0 }, { x: bbox.x1, y: bbox.y0 }, { x: bbox.x1, y: bbox.y1 }, { x: bbox.x0, y: bbox.y1 }],
+					});
+				}
+			}
+		}
+	}
+	return { width, height, shapes };
+}
+
+/**
+ * Smallest distance between distinct (sorted, merged) coordinates
+ * @param {number[]} values
+ * @returns {number?}
+ */
+function minimumStep(values) {
+	const sorted = [...values].sort((a, b) => a - b).reduce((res, value) => {
+		if (res.length <= 0 || value - res.at(-1) > EPSILON) res.push(value);
+		return res;
+	}, []);
+	const steps = sorted.slice(1).map((value, idx) => value - sorted[idx]);
+	return steps.length > 0 ? Math.min(...steps) : null;
+}
+
+/**
+ * Cluster shapes into barcode candidates
+ *
+ * Shapes are linked if they overlap along one axis and the gap along the other axis is at most
+ * four times the narrow side of the larger shape (widest space of common symbologies).
+ *
+ * @param {VectorShape[]} shapes
+ * @param {object} options
+ * @param {number} options.minShapes Minimum number of shapes of a cluster
+ * @param {number} options.maxSize Maximum size of a single shape in points (excludes frames, backgrounds)
+ * @returns {VectorCluster[]}
+ */
+export function clusterShapes(shapes, options = {}) {
+	const minShapes = options.minShapes ?? 3;
+	const maxSize = options.maxSize ?? 300;
+	const candidates = shapes.filter(({ bbox }) => bbox.x1 - bbox.x0 <= maxSize && bbox.y1 - bbox.y0 <= maxSize
+		&& bbox.x1 - bbox.x0 > EPSILON && bbox.y1 - bbox.y0 > EPSILON);
+
+	// Union-find over shape indices
+	const parent = candidates.map((_, idx) => idx);
+	const find = (idx) => parent[idx] === idx ? idx : (parent[idx] = find(parent[idx]));
+	const narrow = ({ bbox }) => Math.min(bbox.x1 - bbox.x0, bbox.y1 - bbox.y0);
+
+	// Sweep along x, shapes sorted by their left edge
+	const order = candidates.map((_, idx) => idx).sort((a, b) => candidates[a].bbox.x0 - candidates[b].bbox.x0);
+	for (let i = 0; i < order.length; i++) {
+		const a = candidates[order[i]];
+		for (let j = i + 1; j < order.length; j++) {
+			const b = candidates[order[j]];
+			const maxGap = 4 * Math.max(narrow(a), narrow(b)) + EPSILON;
+			if (b.bbox.x0 - a.bbox.x1 > maxGap * 2) break;
+
+			const overlapX = Math.min(a.bbox.x1, b.bbox.x1) - Math.max(a.bbox.x0, b.bbox.x0);
+			const overlapY = Math.min(a.bbox.y1, b.bbox.y1) - Math.max(a.bbox.y0, b.bbox.y0);
+			const minHeight = Math.min(a.bbox.y1 - a.bbox.y0, b.bbox.y1 - b.bbox.y0);
+			if ((overlapX >= -EPSILON && -overlapY <= maxGap) || (overlapY >= minHeight * 0.5 && -overlapX <= maxGap))
+				parent[find(order[i])] = find(order[j]);
+		}
+	}
+
+	const groups = candidates.reduce((res, shape, idx) => {
+		const root = find(idx);
+		if (!res.has(root)) res.set(root, []);
+		res.get(root).push(shape);
+		return res;
+	}, new Map());
+
+	return Array.from(groups.values()).filter((group) => group.length >= minShapes).map((group) => {
+		const bbox = group.reduce((res, shape) => ({
+			x0: Math.min(res.x0, shape.bbox.x0), y0: Math.min(res.y0, shape.bbox.y0),
+			x1: Math.max(res.x1, shape.bbox.x1), y1: Math.max(res.y1, shape.bbox.y1),
+		}), { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity });
+
+		const xs = group.flatMap((shape) => shape.points.map((point) => point.x));
+		const ys = group.flatMap((shape) => shape.points.map((point) => point.y));
+		const moduleWidth = minimumStep(xs);
+		const minHeight = Math.min(...group.map((shape) => shape.bbox.y1 - shape.bbox.y0));
+		const linear = moduleWidth != null && minHeight >= moduleWidth * 5;
+		return {
+			bbox, shapes: group, linear,
+			moduleWidth,
+			moduleHeight: linear ? bbox.y1 - bbox.y0 : minimumStep(ys),
+		};
+	}).filter((cluster) => cluster.moduleWidth != null && cluster.moduleHeight != null
+		&& (cluster.bbox.x1 - cluster.bbox.x0) / cluster.moduleWidth >= 10);
+}
+
+/**
+ * Rasterize a cluster at a fixed number of pixels per module (with quiet zone)
+ * @param {VectorCluster} cluster
+ * @returns {{imageData: ImageData, toPoints: (point: Point) => Point}}
+ */
+export function rasterizeCluster(cluster) {
+	const { bbox, moduleWidth } = cluster;
+	const h = bbox.y1 - bbox.y0;
+	const sx = PIXELS_PER_MODULE / moduleWidth;
+	// Linear barcodes: bar height is irrelevant for decoding, keep it at (at most) 50 modules
+	const sy = cluster.linear
+		? PIXELS_PER_MODULE * Math.min(50, h / moduleWidth) / h
+		: PIXELS_PER_MODULE / cluster.moduleHeight;
+	const quiet = QUIET_ZONE * PIXELS_PER_MODULE;
+	const width = Math.round((bbox.x1 - bbox.x0) * sx) + 2 * quiet;
+	const height = Math.round((bbox.y1 - bbox.y0) * sy) + 2 * quiet;
+
+	const data = new Uint8ClampedArray(width * height * 4).fill(255);
+	const paths = cluster.shapes.reduce((res, shape) => {
+		if (!res.has(shape.path)) res.set(shape.path, []);
+		res.get(shape.path).push(shape);
+		return res;
+	}, new Map());
+
+	for (let py = quiet; py < height - quiet; py++) {
+		const y = bbox.y0 + (py - quiet + 0.5) / sy;
+		for (const shapes of paths.values()) {
+			// Vertical edges crossing this scanline, with their direction (winding)
+			const crossings = shapes.flatMap((shape) => shape.points.map((point, idx) => {
+				const next = shape.points[(idx + 1) % shape.points.length];
+				const ymin = Math.min(point.y, next.y), ymax = Math.max(point.y, next.y);
+				return (Math.abs(point.x - next.x) <= EPSILON && y >= ymin && y < ymax)
+					? { x: point.x, dir: next.y > point.y ? 1 : -1 }
+					: null;
+			}).filter((crossing) => crossing != null)).sort((a, b) => a.x - b.x);
+
+			let winding = 0;
+			for (let idx = 0; idx < crossings.length - 1; idx++) {
+				winding += shapes[0].fillRule === 'evenodd' ? 1 : crossings[idx].dir;
+				const inside = shapes[0].fillRule === 'evenodd' ? (winding & 1) === 1 : winding !== 0;
+				if (!inside) continue;
+
+				const px0 = Math.round((crossings[idx].x - bbox.x0) * sx) + quiet;
+				const px1 = Math.round((crossings[idx + 1].x - bbox.x0) * sx) + quiet;
+				for (let px = px0; px < px1; px++) {
+					const offset = (py * width + px) * 4;
+					data[offset] = data[offset + 1] = data[offset + 2] = 0;
+				}
+			}
+		}
+	}
+
+	return {
+		imageData: { data, width, height },
+		toPoints: ({ x, y }) => ({ x: bbox.x0 + (x - quiet) / sx, y: bbox.y0 + (y - quiet) / sy }),
+	};
+}
+
+/**
+ * Bar and space widths (in modules) along the center scanline of a rasterized linear cluster
+ * @param {ImageData} imageData
+ * @returns {number[]}
+ */
+function barWidths(imageData) {
+	const { data, width, height } = imageData;
+	const row = height >>> 1;
+	const dark = Array.from({ length: width }, (_, x) => data[(row * width + x) * 4] < 128);
+	const first = dark.indexOf(true), last = dark.lastIndexOf(true);
+	if (first < 0) return [];
+
+	const runs = [];
+	for (let x = first; x <= last; x++) {
+		if (x > first && dark[x] === dark[x - 1]) runs[runs.length - 1]++;
+		else runs.push(1);
+	}
+	return runs.map((run) => Math.round(run / PIXELS_PER_MODULE));
+}
+
+/**
+ * Find and decode the vector barcodes of a page
+ * @param {string} svg Page SVG (poppler / cairo output)
+ * @returns {Promise<{width: number, height: number, barcodes: VectorBarcode[]}>} Page size (points) and vector barcodes
+ */
+export async function readVectorBarcodes(svg) {
+	const { width, height, shapes } = parseSvgShapes(svg);
+	const barcodes = [];
+	for (const cluster of clusterShapes(shapes)) {
+		const { imageData, toPoints } = rasterizeCluster(cluster);
+		const [decoded] = await zxing.readBarcodes(imageData, { tryHarder: true, maxNumberOfSymbols: 1 });
+		const barcode = decoded?.isValid ? {
+			...decoded,
+			position: Object.fromEntries(['topLeft', 'topRight', 'bottomRight', 'bottomLeft']
+				.map((corner) => [corner, toPoints(decoded.position[corner])])),
+		} : null;
+
+		barcodes.push({
+			cluster, barcode,
+			bars: cluster.linear ? barWidths(imageData) : null,
+			modules: cluster.linear ? null : {
+				columns: Math.round((cluster.bbox.x1 - cluster.bbox.x0) / cluster.moduleWidth),
+				rows: Math.round((cluster.bbox.y1 - cluster.bbox.y0) / cluster.moduleHeight),
+			},
+		});
+	}
+	return { width, height, barcodes };
+}
+
+/**
+ * Vector SVG of a cluster (exact page geometry, physical size in mm)
+ * @param {VectorCluster} cluster
+ * @returns {string}
+ */
+export function clusterToSvg(cluster) {
+	const { x0, y0, x1, y1 } = cluster.bbox;
+	const round = (value) => Math.round(value * 1000) / 1000;
+	const paths = cluster.shapes.reduce((res, shape) => {
+		if (!res.has(shape.path)) res.set(shape.path, { fillRule: shape.fillRule, d: [] });
+		res.get(shape.path).d.push(`M${shape.points.map((point) => `${round(point.x)} ${round(point.y)}`).join('L')}Z`);
+		return res;
+	}, new Map());
+
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${round(ptsToMm(x1 - x0))}mm" height="${round(ptsToMm(y1 - y0))}mm" viewBox="${round(x0)} ${round(y0)} ${round(x1 - x0)} ${round(y1 - y0)}">`
+		+ Array.from(paths.values()).map(({ fillRule, d }) => `<path fill="#000000" fill-rule="${fillRule}" d="${d.join('')}"/>`).join('')
+		+ '</svg>';
+}
+
+/**
+ * Describe a vector barcode for the extraction result
+ * @param {VectorBarcode} vectorBarcode
+ * @param {zxing.ReadResult?} barcode Raster detection to cross-check with
+ * @returns {object}
+ */
+export function vectorInfo(vectorBarcode, barcode = null) {
+	const { cluster, bars, modules } = vectorBarcode;
+	const round = (value) => Math.round(value * 1000) / 1000;
+	const decoded = vectorBarcode.barcode;
+	return {
+		bbox: { x0: round(cluster.bbox.x0), y0: round(cluster.bbox.y0), x1: round(cluster.bbox.x1), y1: round(cluster.bbox.y1) },
+		width: round(ptsToMm(cluster.bbox.x1 - cluster.bbox.x0)),	// mm
+		height: round(ptsToMm(cluster.bbox.y1 - cluster.bbox.y0)),	// mm
+		moduleWidth: round(ptsToMm(cluster.moduleWidth)),	// X-dimension in mm
+		...(cluster.linear ? { bars } : { moduleHeight: round(ptsToMm(cluster.moduleHeight)), modules }),
+		decoded: decoded ? { format: decoded.format.toLowerCase(), text: decoded.text } : null,
+		matches: (decoded && barcode)
+			? decoded.format.toLowerCase() === barcode.format.toLowerCase() && decoded.text === barcode.text
+			: null,
+	};
+}
+
+/**
+ * Attach vector barcodes to the raster detections of a page, decoded vector barcodes without
+ * raster counterpart are added (`pass: 3`)
+ * @param {zxing.ReadResult[]} barcodes Raster detections (page image coordinates)
+ * @param {{width: number, barcodes: VectorBarcode[]}} vectorPage Result of `readVectorBarcodes`
+ * @param {number} imageWidth Width of the page image, to scale points into pixels
+ * @returns {zxing.ReadResult[]} Barcodes with a `vector` property where matched
+ */
+export function attachVectorBarcodes(barcodes, vectorPage, imageWidth) {
+	const scale = imageWidth / vectorPage.width;
+	const toPixels = ({ x, y }) => ({ x: x * scale, y: y * scale });
+	const result = barcodes.map((barcode) => ({ ...barcode }));
+
+	for (const vectorBarcode of vectorPage.barcodes) {
+		const { x0, y0, x1, y1 } = vectorBarcode.cluster.bbox;
+		const bbox = { x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale };
+		// Same matching as for the decoder engines (raster detections of linear barcodes are a line across the bars)
+		const match = result
+			.filter((barcode) => barcode.vector == null)
+			.map((barcode) => ({ barcode, bbox: BboxUtils.bboxFromBarcode(barcode) }))
+			.filter((candidate) => isSameLocation(candidate.bbox, bbox))
+			.map(({ barcode, bbox: other }) => ({ barcode, distance: BboxUtils.bboxCenterDistance(other, bbox) }))
+			.sort((a, b) => a.distance - b.distance)
+			.at(0)?.barcode;
+
+		if (match) {
+			match.vector = vectorBarcode;
+		} else if (vectorBarcode.barcode) {
+			const position = Object.fromEntries(Object.entries(vectorBarcode.barcode.position)
+				.map(([corner, point]) => [corner, toPixels(point)]));
+			result.push({ ...vectorBarcode.barcode, position, pass: 3, vector: vectorBarcode });
+		}
+	}
+	return result;
+}
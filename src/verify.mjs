@@ -0,0 +1,102 @@
+/**
+ * Verification of regenerated barcodes
+ *
+ * Feeds the regenerated PNG back through the decoders and compares the result
+ * with the data of the original (source) detection.
+ */
+import { createCanvas, loadImage } from 'canvas';
+import * as zxing from 'zxing-wasm';
+
+import { rxingDecodeImage } from './rxing.mjs';
+
+/**
+ * Barcode formats additionally verified with rxing-wasm (raw byte comparison)
+ */
+export const rxingVerifyFormats = Object.freeze(["code128", "datamatrix"]);
+
+/**
+ * @typedef {object} EngineVerification
+ * @property {boolean} decoded Whether the regenerated barcode could be decoded at all
+ * @property {boolean?} format
+ * @property {boolean?} text
+ * @property {boolean?} bytes
+ * @property {boolean?} readerInit
+ * @property {boolean?} version
+ *
+ * @typedef {object} BarcodeVerification
+ * @property {boolean} verified Whether all checks matched
+ * @property {Object<string, EngineVerification>} engines Per-engine check results
+ * @property {string[]} mismatches List of failed checks (`<engine>.<check>`)
+ */
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array?} a
+ * @param {Uint8Array?} b
+ * @returns {boolean}
+ */
+export function bytesEqual(a, b) {
+	if (a == null || b == null) return a == b;
+	return Buffer.compare(Buffer.from(a), Buffer.from(b)) === 0;
+}
+
+/**
+ * Add a white quiet zone around the image (bwip only adds a small padding)
+ * @param {Uint8Array} png
+ * @param {number} margin Quiet zone in pixels
+ * @returns {Promise<ImageData>}
+ */
+async function quietZoneImageData(png, margin = 20) {
+	const image = await loadImage(png);
+	const w = image.width + (margin << 1), h = image.height + (margin << 1);
+	const ctx = createCanvas(w, h).getContext('2d');
+	ctx.fillStyle = '#ffffff';
+	ctx.fillRect(0, 0, w, h);
+	ctx.drawImage(image, margin, margin);
+	return ctx.getImageData(0, 0, w, h);
+}
+
+/**
+ * Verify a regenerated barcode by decoding it again
+ *
+ * @param {object} source Original zxing detection (with optional rxing `rawBytes`)
+ * @param {Uint8Array} barcodePng Regenerated barcode image
+ * @returns {Promise<BarcodeVerification>}
+ */
+export async function verifyBarcode(source, barcodePng) {
+	const sourceFormat = source.format.toLowerCase();
+	const imageData = await quietZoneImageData(barcodePng);
+	const engines = {};
+
+	// zxing-wasm: compare decoded content and symbol properties
+	const decoded = (await zxing.readBarcodes(imageData, { tryHarder: true, tryCode39ExtendedMode: true }))
+		.filter((item) => item.isValid);
+	const zxingResult = decoded.find((item) => item.format.toLowerCase() === sourceFormat) ?? decoded.at(0);
+	engines['zxing'] = zxingResult ? {
+		decoded: true,
+		format: zxingResult.format.toLowerCase() === sourceFormat,
+		text: zxingResult.text === source.text,
+		...(source.bytes ? { bytes: bytesEqual(zxingResult.bytes, source.bytes) } : {}),
+		readerInit: zxingResult.readerInit === source.readerInit,
+		version: (source.version ?? '') === (zxingResult.version ?? ''),
+	} : { decoded: false };
+
+	// rxing-wasm: compare raw bytes (if available from strict mode)
+	if (rxingVerifyFormats.includes(sourceFormat)) {
+		const rxingResult = await rxingDecodeImage(imageData);
+		engines['rxing'] = rxingResult ? {
+			decoded: true,
+			format: rxingResult.format === sourceFormat,
+			text: rxingResult.text === source.text,
+			...(source.rawBytes ? { bytes: bytesEqual(rxingResult.bytes, source.rawBytes) } : {}),
+		} : { decoded: false };
+	}
+
+	const mismatches = Object.entries(engines).flatMap(([engine, checks]) => {
+		return Object.entries(checks)
+			.filter(([_, value]) => value === false)
+			.map(([check]) => `${engine}.${check}`);
+	});
+
+	return { verified: mismatches.length <= 0, engines, mismatches };
+}
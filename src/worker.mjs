@@ -0,0 +1,21 @@
+/**
+ * Page processing worker thread (see `createWorkerPool`)
+ *
+ * Every worker has its own zxing, rxing and poppler instances, page tasks come with the text
+ * lines and headings they need, progress events are posted back to the main thread.
+ */
+import { parentPort } from 'node:worker_threads';
+
+import { extractPage } from './extract.mjs';
+
+parentPort.on('message', async ({ id, task, options }) => {
+	try {
+		const result = await extractPage(task, {
+			...options,
+			onProgress: (event) => parentPort.postMessage({ id, event }),
+		});
+		parentPort.postMessage({ id, result });
+	} catch (err) {
+		parentPort.postMessage({ id, error: err });
+	}
+});